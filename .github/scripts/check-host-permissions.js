@@ -0,0 +1,47 @@
+/**
+ * Checks the host permissions of both manifests against the chat provider registry
+ * The Firefox manifest needs the hosts of header providers, which get their prompt in a
+ * request header; the Chromium manifest needs the hosts of every provider, since its side
+ * panel frames the chat. Run it from the repository root:
+ *
+ *     node .github/scripts/check-host-permissions.js
+ */
+
+const fs = require('fs');
+const { CHAT_PROVIDERS } = require('../../chat-providers.js');
+
+/**
+ * Compares the host permissions a manifest grants with the ones it should
+ * @param {string} label - The manifest, for the messages
+ * @param {string[]} granted - The host permissions in the manifest
+ * @param {Array<object>} providers - The providers whose host permissions the manifest needs
+ * @returns {string[]} - The mismatches found
+ */
+function compareHostPermissions(label, granted, providers) {
+  const needed = providers.flatMap(provider => provider.hostPermissions);
+  return [
+    ...needed.filter(pattern => !granted.includes(pattern))
+      .map(pattern => `${label}: missing ${pattern}`),
+    ...granted.filter(pattern => !needed.includes(pattern))
+      .map(pattern => `${label}: ${pattern} is not a host permission of any provider that needs it`)
+  ];
+}
+
+const firefoxManifest = JSON.parse(fs.readFileSync('manifest.json', 'utf8'));
+const chromiumManifest = JSON.parse(fs.readFileSync('chromium/manifest.json', 'utf8'));
+
+const problems = [
+  ...compareHostPermissions(
+    'manifest.json',
+    firefoxManifest.permissions.filter(permission => permission.includes('://')),
+    CHAT_PROVIDERS.filter(provider => provider.delivery === 'header')
+  ),
+  ...compareHostPermissions('chromium/manifest.json', chromiumManifest.host_permissions || [], CHAT_PROVIDERS)
+];
+
+problems.forEach(problem => console.error(problem));
+if (problems.length > 0) {
+  process.exitCode = 1;
+} else {
+  console.log('Host permissions match the chat providers');
+}
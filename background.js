@@ -1,17 +1,90 @@
-// Store the current video URL for sidebar
-let currentVideoUrl = null;
-// Store the video URL from context menu right-clicks
-let contextVideoUrl = null;
-const GEMINI_PROMPT_HEADER = "X-Firefox-Gemini";
-const GEMINI_APP_URL_PATTERN = "*://gemini.google.com/app*";
+// Summarization state of each browser window, keyed by window ID; see getWindowState
+const windowStates = new Map();
+// The video thumbnail under the mouse in each YouTube tab, keyed by tab ID
+const hoveredVideoUrls = new Map();
+// How long a header prompt waits for its window's sidebar to load the chat
 const GEMINI_HEADER_TIMEOUT_MS = 30000;
-let activeGeminiHeaderInjection = null;
-let cachedPromptTemplate = window.EXTENSION_CONSTANTS.DEFAULT_PROMPT;
+// Followed by a delivery ID; an alarm rather than a timer, so it also fires after Chromium
+// stopped the service worker
+const HEADER_EXPIRY_ALARM_PREFIX = "header-expiry:";
+const CONTEXT_MENU_ID = "summarize-video";
+// Followed by a profile ID, or by nothing for the automatic choice made by the prompt rules
+const CONTEXT_MENU_PROFILE_PREFIX = "summarize-profile:";
+const CONTEXT_MENU_PROVIDER_ID = "summarize-provider";
+const CONTEXT_MENU_PROVIDER_PREFIX = "summarize-provider:";
+const CONTEXT_MENU_FROM_HERE_ID = "summarize-from-here";
+const CONTEXT_MENU_RECENT_ID = "explain-recent";
+const CONTEXT_MENU_PLAYLIST_ID = "summarize-playlist";
+const CONTEXT_MENU_PLAYLIST_NEXT_ID = "summarize-playlist-next";
+const PLAYLIST_URL_PATTERNS = ["*://*.youtube.com/playlist*", "*://*.youtube.com/watch*list=*"];
+const CONTEXT_MENU_QUEUE_ADD_ID = "add-to-queue";
+const CONTEXT_MENU_QUEUE_OPEN_ID = "open-queue";
+const CONTEXT_MENU_HISTORY_OPEN_ID = "open-history";
+const CONTEXT_MENU_COMPARE_MARK_ID = "mark-for-comparison";
+const CONTEXT_MENU_COMPARE_ID = "compare-marked";
+const CONTEXT_MENU_COMPARE_CLEAR_ID = "clear-comparison";
+const CONTEXT_MENU_ASK_ID = "ask-about-video";
+const CONTEXT_MENU_SELECTION_ID = "explain-selection";
+// A comparison needs at least this many marked videos
+const MIN_COMPARED_VIDEOS = 2;
+const COMMAND_SUMMARIZE_CURRENT = "summarize-current-video";
+const COMMAND_SUMMARIZE_HOVERED = "summarize-hovered-video";
+const COMMAND_PROFILE_PREFIX = "summarize-with-profile-";
+// Only in the Chromium build; Firefox opens its sidebar with _execute_sidebar_action
+const COMMAND_OPEN_SIDEBAR = "open-sidebar";
+// Menu items for videos outside YouTube pages: links and thumbnails on any site, and
+// embedded players. Their profile children use the item ID, a colon and the profile ID.
+const EXTERNAL_VIDEO_MENUS = [
+  {
+    id: "summarize-link",
+    contexts: ["link", "image"],
+    targetUrlPatterns: window.YouTubeUrl.YOUTUBE_VIDEO_LINK_URL_PATTERNS
+  },
+  {
+    id: "summarize-frame",
+    contexts: ["frame"],
+    documentUrlPatterns: window.YouTubeUrl.YOUTUBE_EMBED_URL_PATTERNS
+  }
+];
+// Prompts about text the user typed or selected, which replace the prompt profiles and rules,
+// keyed by the placeholder the text fills
+const USER_TEXT_PROMPTS = {
+  question: { templateSetting: 'questionPromptTemplate', promptName: 'promptNameQuestion' },
+  selection: { templateSetting: 'selectionPromptTemplate', promptName: 'promptNameSelection' }
+};
+// Settings cache used during user-action handlers, which must not wait for storage
+let cachedSettings = window.Settings.getDefaultSettings();
+// The chat providers allowed by the administrator's policy, if there is one
+let allowedProviders = window.ChatProviders.CHAT_PROVIDERS;
+// The playlist whose later videos did not fit in the last playlist prompt
+let pendingPlaylistPart = null;
+let queueLength = 0;
+// The videos marked for comparison, cached so the compare action can open the sidebar right away
+let markedVideos = [];
+// Videos waiting for a question typed in a question window, keyed by question ID
+const pendingQuestions = new Map();
+// Prompts not yet delivered, waiting for their sidebar or its chat, keyed by delivery ID
+const pendingDeliveries = new Map();
+// Page action icons with the queue count drawn on them, keyed by count
+const queueBadgeIcons = new Map();
+let contextMenuUpdate = Promise.resolve();
 
-refreshCachedPromptTemplate();
+window.Platform.initializeBackground();
+// Set once the state saved before the background script last stopped is back; see restoreBackgroundState
+let isBackgroundStateRestored = false;
+const backgroundStateRestored = restoreBackgroundState();
+refreshCachedSettings();
+refreshQueueBadge();
+refreshMarkedVideos();
 browser.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === "sync" && changes.promptTemplate) {
-    cachedPromptTemplate = changes.promptTemplate.newValue || window.EXTENSION_CONSTANTS.DEFAULT_PROMPT;
+  if ((areaName === "sync" && window.Settings.hasSettingsChange(changes)) || areaName === "managed") {
+    refreshCachedSettings();
+  }
+  if (areaName === "local" && changes.summaryQueue) {
+    refreshQueueBadge();
+  }
+  if (areaName === "local" && changes.comparisonVideos) {
+    refreshMarkedVideos();
   }
 });
 
@@ -20,52 +93,637 @@ browser.storage.onChanged.addListener((changes, areaName) => {
  * @param {object} tab - The browser tab object
  */
 function updatePageActionVisibility(tab) {
-  if (tab.url && tab.url.includes('youtube.com/watch')) {
-    browser.pageAction.show(tab.id);
+  if (isPlaylistPage(tab.url)) {
+    // On a playlist page the page action summarizes the playlist
+    window.Platform.showAction(tab.id, "");
+  } else if (window.YouTubeUrl.isYouTubeVideoPage(tab.url)) {
+    // The page action opens a popup with the profiles and a field for asking a question
+    window.Platform.showAction(tab.id, "popup.html");
   } else {
-    browser.pageAction.hide(tab.id);
+    window.Platform.hideAction(tab.id);
+    return;
+  }
+
+  updateQueueBadge(tab.id);
+}
+
+/**
+ * Draws the page action icon with the number of queued videos in its corner
+ * @param {number} count - The number of queued videos
+ * @returns {Promise<Object<number, ImageData>>} - Image data keyed by icon size
+ */
+function createQueueBadgeIcon(count) {
+  if (queueBadgeIcons.has(count)) {
+    return queueBadgeIcons.get(count);
+  }
+
+  const label = count > 99 ? '99+' : String(count);
+  // Drawn without the DOM, which Chromium's service worker doesn't have
+  const iconPromise = Promise.all([16, 32].map(size => {
+    return fetch(browser.runtime.getURL(`icons/icon-${size}.png`))
+      .then(response => response.blob())
+      .then(blob => createImageBitmap(blob))
+      .then(image => {
+        const canvas = new OffscreenCanvas(size, size);
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, size, size);
+
+        const radius = size * 0.3;
+        context.fillStyle = '#d93025';
+        context.beginPath();
+        context.arc(size - radius, size - radius, radius, 0, 2 * Math.PI);
+        context.fill();
+
+        context.fillStyle = '#fff';
+        context.font = `bold ${Math.round(radius * (label.length > 1 ? 1.1 : 1.5))}px sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(label, size - radius, size - radius + 1);
+
+        return [size, context.getImageData(0, 0, size, size)];
+      });
+  })).then(entries => Object.fromEntries(entries));
+
+  queueBadgeIcons.set(count, iconPromise);
+  return iconPromise;
+}
+
+/**
+ * Shows the number of queued videos on a tab's page action
+ * @param {number} tabId - The ID of the tab
+ */
+function updateQueueBadge(tabId) {
+  const count = queueLength;
+  const title = window.I18n.getMessage('menuSummarizeWith', window.ChatProviders.getChatProvider(cachedSettings.defaultProvider).name);
+  window.Platform.setActionTitle(tabId,
+    count > 0 ? window.I18n.getMessage('pageActionTitleQueued', [title, String(count)]) : title);
+
+  if (count === 0) {
+    // Passing null restores the icon from the manifest
+    window.Platform.setActionIcon(tabId, null);
+    return;
+  }
+
+  createQueueBadgeIcon(count).then(imageData => {
+    // The queue may have changed while the icon was drawn
+    if (count === queueLength) {
+      return window.Platform.setActionIcon(tabId, imageData);
+    }
+  }).catch(error => {
+    console.error('Error drawing queue badge:', error);
+  });
+}
+
+/**
+ * Reloads the queue length and updates the badge on every tab
+ */
+function refreshQueueBadge() {
+  window.SummaryQueue.loadQueue().then(items => {
+    queueLength = items.length;
+    return browser.tabs.query({});
+  }).then(tabs => {
+    tabs.forEach(updatePageActionVisibility);
+  }).catch(error => {
+    console.error('Error loading summary queue:', error);
+  });
+}
+
+/**
+ * Reloads the videos marked for comparison and updates the comparison menu items
+ */
+function refreshMarkedVideos() {
+  window.ComparisonList.loadMarkedVideos().then(videos => {
+    markedVideos = videos;
+    updateComparisonMenu();
+  }).catch(error => {
+    console.error('Error loading videos marked for comparison:', error);
+  });
+}
+
+/**
+ * Shows the number of marked videos on the compare item, which is only enabled once enough are marked
+ */
+function updateComparisonMenu() {
+  const count = markedVideos.length;
+  contextMenuUpdate = contextMenuUpdate.then(() => Promise.all([
+    browser.contextMenus.update(CONTEXT_MENU_COMPARE_ID, {
+      title: window.I18n.getMessage('menuCompareMarked', String(count)),
+      enabled: count >= MIN_COMPARED_VIDEOS
+    }),
+    browser.contextMenus.update(CONTEXT_MENU_COMPARE_CLEAR_ID, { enabled: count > 0 })
+  ])).catch(error => {
+    console.error('Error updating comparison menu:', error);
+  });
+}
+
+/**
+ * Checks whether a URL is a YouTube playlist page (not a watch page inside a playlist)
+ * @param {string} url - The URL to check
+ * @returns {boolean}
+ */
+function isPlaylistPage(url) {
+  const parsed = window.YouTubeUrl.isYouTubePage(url) && window.YouTubeUrl.parseYouTubeUrl(url);
+  return Boolean(parsed && parsed.kind === 'playlist');
+}
+
+/**
+ * Returns the summarization state of a window, creating it on first use
+ * @param {number} [windowId] - The ID of the window
+ * @returns {{videoUrl: string|null, contextVideoUrl: string|null, contextVideoMetadata: object|null,
+ *   chatProvider: object, pendingDelivery: object|null}} - The last summarized video, the video
+ *   right-clicked on a YouTube page and its metadata, the chat the sidebar opens, and the prompt
+ *   waiting for the sidebar to load the chat
+ */
+function getWindowState(windowId) {
+  if (!windowStates.has(windowId)) {
+    windowStates.set(windowId, {
+      videoUrl: null,
+      contextVideoUrl: null,
+      contextVideoMetadata: null,
+      chatProvider: window.ChatProviders.getChatProvider(cachedSettings.defaultProvider),
+      pendingDelivery: null
+    });
+  }
+  return windowStates.get(windowId);
+}
+
+/**
+ * Creates an ID for a pending question or delivery, unique across restarts of the background script
+ * @param {string} kind - What the ID is for
+ * @returns {string}
+ */
+function createPendingId(kind) {
+  return `${kind}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Reads back the state saved before the background script was last stopped
+ * Events handled while it loads keep the state they set. Deliveries that can't go on,
+ * because their prompt was not rendered yet or their chat was already loading, fail.
+ * @returns {Promise<void>}
+ */
+function restoreBackgroundState() {
+  return window.SessionState.loadSessionState().then(saved => {
+    (saved.windowStates || []).forEach(({ windowId, videoUrl, chatProviderId }) => {
+      const state = getWindowState(windowId);
+      state.videoUrl = state.videoUrl || videoUrl;
+      if (!state.pendingDelivery) {
+        state.chatProvider = window.ChatProviders.getChatProvider(chatProviderId);
+      }
+    });
+
+    (saved.pendingDeliveries || []).forEach(({ id, windowId, providerId, promptText, armed, source }) => {
+      const state = getWindowState(windowId);
+      if (state.pendingDelivery) {
+        browser.alarms.clear(`${HEADER_EXPIRY_ALARM_PREFIX}${id}`);
+        updateAttempt(source, { outcome: 'cancelled', reason: 'replaced' });
+        return;
+      }
+      if (armed || promptText === undefined) {
+        browser.alarms.clear(`${HEADER_EXPIRY_ALARM_PREFIX}${id}`);
+        updateAttempt(source, { outcome: 'failed', reason: 'backgroundStopped' });
+        notify(source, 'error', window.I18n.getMessage('notificationPromptLost'));
+        return;
+      }
+
+      const delivery = {
+        id,
+        provider: window.ChatProviders.getChatProvider(providerId),
+        promptPromise: Promise.resolve(promptText),
+        promptText,
+        windowId,
+        source
+      };
+      pendingDeliveries.set(id, delivery);
+      state.pendingDelivery = delivery;
+    });
+
+    (saved.pendingQuestions || []).forEach(({ id, ...question }) => {
+      if (!pendingQuestions.has(id)) {
+        pendingQuestions.set(id, question);
+      }
+    });
+
+    (saved.hoveredVideoUrls || []).forEach(([tabId, videoUrl]) => {
+      if (!hoveredVideoUrls.has(tabId)) {
+        hoveredVideoUrls.set(tabId, videoUrl);
+      }
+    });
+
+    pendingPlaylistPart = pendingPlaylistPart || saved.pendingPlaylistPart || null;
+  }).catch(error => {
+    console.error('Error restoring background state:', error);
+  }).then(() => {
+    isBackgroundStateRestored = true;
+    saveBackgroundState();
+  });
+}
+
+/**
+ * Saves the state the background script needs after Chromium stops its service worker
+ * The video right-clicked on a page isn't saved, since the content script is asked again
+ */
+function saveBackgroundState() {
+  backgroundStateRestored.then(() => window.SessionState.saveSessionState({
+    windowStates: Array.from(windowStates, ([windowId, state]) => ({
+      windowId,
+      videoUrl: state.videoUrl,
+      chatProviderId: state.chatProvider.id
+    })),
+    pendingDeliveries: Array.from(pendingDeliveries.values(), delivery => ({
+      id: delivery.id,
+      windowId: delivery.windowId,
+      providerId: delivery.provider.id,
+      promptText: delivery.promptText,
+      armed: Boolean(delivery.armed),
+      source: delivery.source
+    })),
+    pendingQuestions: Array.from(pendingQuestions, ([id, question]) => ({
+      id,
+      videoUrl: question.videoUrl,
+      // Metadata still being read is left out, and read again by the question window
+      metadata: question.metadata && typeof question.metadata.then !== 'function' ? question.metadata : {},
+      source: question.source
+    })),
+    hoveredVideoUrls: Array.from(hoveredVideoUrls),
+    pendingPlaylistPart
+  })).catch(error => {
+    console.error('Error saving background state:', error);
+  });
+}
+
+/**
+ * Starts a summary that needs the state saved before the background script was stopped
+ * Until the state is back, the chat panel opens right away, while the user action still
+ * allows it, and shows the summary once prepare has set it up.
+ * @param {number} windowId - The window to open the chat panel in
+ * @param {function(): boolean} prepare - Sets up the summary and returns whether there is one
+ */
+function startSummaryWithSavedState(windowId, prepare) {
+  if (!isBackgroundStateRestored) {
+    window.Platform.openChatPanel(windowId);
+    backgroundStateRestored.then(prepare);
+  } else if (prepare()) {
+    window.Platform.openChatPanel(windowId);
+  }
+}
+
+/**
+ * Stops waiting to deliver a prompt, whether or not its sidebar has started loading the chat
+ * @param {object} delivery - The pending delivery
+ */
+function cancelDelivery(delivery) {
+  browser.alarms.clear(`${HEADER_EXPIRY_ALARM_PREFIX}${delivery.id}`);
+  pendingDeliveries.delete(delivery.id);
+
+  const state = windowStates.get(delivery.windowId);
+  if (state && state.pendingDelivery === delivery) {
+    state.pendingDelivery = null;
+  }
+
+  window.Platform.disarmPromptHeader(delivery);
+  saveBackgroundState();
+}
+
+/**
+ * Stops waiting to deliver a prompt and records how its summary ended
+ * @param {object} delivery - The pending delivery
+ * @param {string} outcome - 'delivered', 'failed' or 'cancelled'
+ * @param {string} [reason] - Why it failed or was cancelled; see SummaryAttempts.ATTEMPT_REASONS
+ */
+function endDelivery(delivery, outcome, reason = '') {
+  cancelDelivery(delivery);
+  updateAttempt(delivery.source, { outcome, reason });
+}
+
+/**
+ * Drops a header prompt that its window's sidebar did not load in time, and says so
+ * @param {object} delivery - The expired delivery
+ */
+function expireHeaderDelivery(delivery) {
+  endDelivery(delivery, 'failed', 'headerTimeout');
+  notify(delivery.source, 'error', window.I18n.getMessage('notificationPromptExpired', delivery.provider.name));
+}
+
+/**
+ * Shows a notification unless the user turned it off for where the summary was started
+ * @param {object} [source] - Where the summary was started from; notifications without a trigger are always shown
+ * @param {string} level - 'info' for confirmations, 'error' for errors and warnings
+ * @param {string} message - The notification text
+ */
+function notify(source, level, message) {
+  const preference = (source && cachedSettings.notificationLevels[source.trigger]) || 'always';
+  if (preference === 'never' || (preference === 'errors' && level !== 'error')) {
+    return;
   }
+
+  browser.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/icon-48.png',
+    title: window.I18n.getMessage('notificationTitle'),
+    message
+  });
 }
 
 /**
- * Removes a webRequest listener only if it is currently registered
- * @param {function} listener - The listener function to remove
+ * Returns the diagnostics record of a summary started by the user, creating it on first use
+ * Sources without a trigger, such as launcher previews, have none
+ * @param {object} [source] - Where the summary was started from
+ * @returns {object|null} - The attempt, see summary-attempts.js
  */
-function removeGeminiHeaderListener(listener) {
-  if (browser.webRequest.onBeforeSendHeaders.hasListener(listener)) {
-    browser.webRequest.onBeforeSendHeaders.removeListener(listener);
+function getAttempt(source) {
+  if (!source || !source.trigger) {
+    return null;
+  }
+
+  if (!source.attempt) {
+    source.attempt = {
+      id: window.SummaryAttempts.createAttemptId(),
+      timestamp: Date.now(),
+      trigger: source.trigger,
+      videoUrl: '',
+      title: '',
+      providerName: '',
+      method: '',
+      promptName: '',
+      outcome: 'pending',
+      reason: '',
+      detail: '',
+      warnings: []
+    };
   }
+  return source.attempt;
 }
 
 /**
- * Clears the pending Gemini header injection listener and timeout
+ * Changes the diagnostics record of a summary and stores it, except for private windows
+ * @param {object} [source] - Where the summary was started from
+ * @param {object} changes - The attempt fields to change
  */
-function clearPendingGeminiHeaderInjection() {
-  if (!activeGeminiHeaderInjection) {
+function updateAttempt(source, changes) {
+  const attempt = getAttempt(source);
+  if (!attempt) {
     return;
   }
 
-  clearTimeout(activeGeminiHeaderInjection.timeoutId);
-  removeGeminiHeaderListener(activeGeminiHeaderInjection.listener);
-  activeGeminiHeaderInjection = null;
+  Object.assign(attempt, changes);
+  if (!source.incognito) {
+    window.SummaryAttempts.saveAttempt(attempt).catch(error => {
+      console.error('Error recording summary attempt:', error);
+    });
+  }
+}
+
+/**
+ * Records a summary that could not be started, and tells the user why
+ * @param {object} source - Where the summary was started from
+ * @param {string} reason - The failure reason; see SummaryAttempts.ATTEMPT_REASONS
+ * @param {string} message - The notification text
+ */
+function failAttempt(source, reason, message) {
+  updateAttempt(source, { outcome: 'failed', reason });
+  notify(source, 'error', message);
+}
+
+/**
+ * Notes a problem that did not stop a summary in its diagnostics record
+ * @param {object} [source] - Where the summary was started from
+ * @param {string} reason - The warning; see SummaryAttempts.ATTEMPT_REASONS
+ * @param {string} [detail] - More about the problem, such as an error message
+ */
+function addAttemptWarning(source, reason, detail = '') {
+  const attempt = getAttempt(source);
+  if (attempt) {
+    updateAttempt(source, { warnings: [...attempt.warnings, { reason, detail }] });
+  }
+}
+
+/**
+ * Loads the settings cache and rebuilds the UI that shows settings:
+ * the context menu lists the profiles, provider and minute count, and
+ * the thumbnail buttons depend on the thumbnail button setting
+ */
+function refreshCachedSettings() {
+  Promise.all([window.Settings.loadSettings(), window.Settings.loadPolicy()]).then(([settings, policy]) => {
+    cachedSettings = settings;
+    allowedProviders = window.Settings.getAllowedProviders(policy);
+    window.Platform.allowChatFrames(allowedProviders);
+    createContextMenu();
+    return browser.tabs.query({});
+  }).then(tabs => {
+    tabs.filter(tab => window.YouTubeUrl.isYouTubePage(tab.url)).forEach(sendThumbnailButtonState);
+  }).catch(error => {
+    console.error('Error loading settings:', error);
+  });
+}
+
+/**
+ * Describes the thumbnail buttons for the content scripts: whether they are shown,
+ * and the prompts Shift-click offers
+ * @returns {{enabled: boolean, profiles: Array<{id: string, name: string}>, hasRules: boolean}}
+ */
+function getThumbnailButtonState() {
+  return {
+    enabled: cachedSettings.thumbnailButtonEnabled,
+    profiles: cachedSettings.promptProfiles.map(({ id, name }) => ({ id, name })),
+    hasRules: hasEnabledPromptRules()
+  };
+}
+
+/**
+ * Tells a YouTube tab's content script about changed thumbnail button settings
+ * @param {object} tab - The YouTube tab
+ */
+function sendThumbnailButtonState(tab) {
+  browser.tabs.sendMessage(tab.id, { action: 'setThumbnailButtonState', state: getThumbnailButtonState() })
+    .catch(error => {
+      // Tabs opened before the extension was loaded have no content script
+      console.log('Could not update thumbnail buttons:', error);
+    });
+}
+
+/**
+ * Asks a tab's content script for the playlist shown on the page
+ * @param {number} tabId - The ID of the YouTube tab
+ * @param {object} [source] - The summary that needs it, warned when the content script is unavailable
+ * @returns {Promise<object|null>} - The playlist, or null if none was found
+ */
+function requestPlaylist(tabId, source) {
+  return browser.tabs.sendMessage(tabId, { action: 'getPlaylist' })
+    .then(response => (response && response.playlist) || null)
+    .catch(error => {
+      console.log('Could not read playlist:', error);
+      addAttemptWarning(source, 'contentScriptUnavailable', error.message);
+      return null;
+    });
+}
+
+/**
+ * Asks a tab's content script for the player's current position
+ * @param {number} tabId - The ID of the YouTube tab
+ * @param {object} [source] - The summary that needs it, warned when the content script is unavailable
+ * @returns {Promise<{currentTime: number, duration: number|null}|null>}
+ */
+function requestPlaybackPosition(tabId, source) {
+  return browser.tabs.sendMessage(tabId, { action: 'getPlaybackPosition' })
+    .then(response => (response && response.position) || null)
+    .catch(error => {
+      console.log('Could not read playback position:', error);
+      addAttemptWarning(source, 'contentScriptUnavailable', error.message);
+      return null;
+    });
+}
+
+/**
+ * Asks a tab's content script for the metadata of the hovered thumbnail's video
+ * @param {number} tabId - The ID of the YouTube tab
+ * @param {object} [source] - The summary that needs it, warned when the content script is unavailable
+ * @returns {Promise<object>} - The metadata, or an empty object if the content script is unavailable
+ */
+function requestHoveredVideoMetadata(tabId, source) {
+  return browser.tabs.sendMessage(tabId, { action: 'getHoveredVideoMetadata' })
+    .then(response => (response && response.metadata) || {})
+    .catch(error => {
+      console.log('Could not read hovered video metadata:', error);
+      addAttemptWarning(source, 'contentScriptUnavailable', error.message);
+      return {};
+    });
+}
+
+/**
+ * Asks a tab's content script for the metadata of the video it is playing
+ * @param {number} tabId - The ID of the YouTube tab
+ * @param {object} [source] - The summary that needs it, warned when the content script is unavailable
+ * @returns {Promise<object>} - The metadata, or an empty object if the content script is unavailable
+ */
+function requestVideoMetadata(tabId, source) {
+  return browser.tabs.sendMessage(tabId, { action: 'getVideoMetadata' })
+    .then(response => (response && response.metadata) || {})
+    .catch(error => {
+      console.log('Could not read video metadata:', error);
+      addAttemptWarning(source, 'contentScriptUnavailable', error.message);
+      return {};
+    });
+}
+
+/**
+ * Asks a tab's content script for a video's transcript, formatted with the transcript settings
+ * @param {object} [source] - Where the summary was started from; its tab downloads the captions
+ * @param {string} videoUrl - The YouTube video URL
+ * @returns {Promise<string>} - The transcript, or an empty string if there is none
+ */
+function requestTranscript(source, videoUrl) {
+  const options = {
+    language: cachedSettings.transcriptLanguage,
+    maxChars: cachedSettings.transcriptMaxChars,
+    strategy: cachedSettings.transcriptTruncation
+  };
+
+  const tabId = source && source.tabId;
+  const request = tabId === undefined
+    ? Promise.reject(new Error('The summary was not started from a tab'))
+    : browser.tabs.sendMessage(tabId, { action: 'getTranscript', videoUrl, options });
+
+  return request
+    .catch(error => {
+      console.log('Could not request transcript:', error);
+      return { error: window.I18n.getMessage('transcriptErrorNotYouTubeTab') };
+    })
+    .then(response => {
+      if (response && response.transcript) {
+        return response.transcript;
+      }
+
+      const problem = (response && response.error) || window.I18n.getMessage('transcriptErrorDownload');
+      console.error('Error fetching transcript:', problem);
+      addAttemptWarning(source, 'transcriptMissing', problem);
+      notify(source, 'error', window.I18n.getMessage('notificationTranscriptMissing', problem));
+      return '';
+    });
+}
+
+/**
+ * Describes where a summary was started from
+ * @param {object} [tab] - The tab the summary was started from
+ * @param {string} [trigger] - What the user did to start it, see EXTENSION_CONSTANTS.SUMMARY_TRIGGERS;
+ *   left out for prompt previews, which are not summaries yet
+ * @returns {{tabId: number|undefined, windowId: number|undefined, incognito: boolean, trigger: string|undefined}}
+ */
+function getSummarySource(tab, trigger) {
+  return {
+    tabId: tab && tab.id,
+    windowId: tab && tab.windowId,
+    incognito: Boolean(tab && tab.incognito),
+    trigger
+  };
+}
+
+/**
+ * Extracts the video ID from a YouTube URL
+ * @param {string} videoUrl - The YouTube video URL
+ * @returns {string} - The video ID, or an empty string for other URLs
+ */
+function getVideoIdFromUrl(videoUrl) {
+  const parsed = window.YouTubeUrl.parseYouTubeUrl(videoUrl);
+  return (parsed && parsed.videoId) || '';
 }
 
 /**
- * Loads the prompt template cache used during user-action handlers
+ * Records a summary's video and prompt in its diagnostics record, and in the local
+ * history unless history is off or the window is private
+ * @param {Object<string, string>} values - The placeholder values the prompt was rendered with
+ * @param {string} promptText - The rendered prompt
+ * @param {{promptName: string, profileId?: string, title?: string, source?: object}} details - How the summary was started
  */
-function refreshCachedPromptTemplate() {
-  browser.storage.sync.get(['promptTemplate']).then(result => {
-    cachedPromptTemplate = result.promptTemplate || window.EXTENSION_CONSTANTS.DEFAULT_PROMPT;
+function recordSummary(values, promptText, details) {
+  updateAttempt(details.source, {
+    videoUrl: values.videoUrl,
+    title: details.title || values.videoTitle || values.playlistTitle || '',
+    promptName: details.promptName
+  });
+
+  if (details.source && details.source.incognito) {
+    return;
+  }
+
+  if (!cachedSettings.historyEnabled) {
+    return;
+  }
+
+  window.SummaryHistory.addHistoryEntry({
+    videoId: getVideoIdFromUrl(values.videoUrl),
+    videoUrl: values.videoUrl,
+    title: details.title || values.videoTitle || values.playlistTitle || '',
+    channel: values.channel || '',
+    profileId: details.profileId || '',
+    promptName: details.promptName,
+    prompt: promptText
   }).catch(error => {
-    console.error('Error loading prompt template:', error);
+    console.error('Error recording summary history:', error);
   });
 }
 
+/**
+ * Checks whether any prompt rule can pick a template
+ * @returns {boolean}
+ */
+function hasEnabledPromptRules() {
+  return cachedSettings.promptRules.some(rule => rule.enabled);
+}
+
+/**
+ * Finds a cached prompt profile, falling back to the first profile
+ * @param {string} [profileId] - The ID of the profile to use
+ * @returns {{id: string, name: string, template: string}}
+ */
+function getPromptProfile(profileId) {
+  return cachedSettings.promptProfiles.find(profile => profile.id === profileId) || cachedSettings.promptProfiles[0];
+}
+
 // Listen for page action clicks (extension icon in address bar)
-browser.pageAction.onClicked.addListener((tab) => {
-  // Since page action only shows on YouTube videos, we can assume it's valid
-  currentVideoUrl = tab.url;
-  openGeminiSidebarWithHeader(currentVideoUrl);
+// This only fires on playlist pages; on video pages the popup handles the click
+window.Platform.addActionClickListener((tab) => {
+  summarizeTabVideo(tab, 'toolbar');
 });
 
 // Listen for tab updates to show/hide page action
@@ -76,6 +734,40 @@ browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
+// Forget the hovered video of closed tabs
+browser.tabs.onRemoved.addListener((tabId) => {
+  if (hoveredVideoUrls.delete(tabId)) {
+    saveBackgroundState();
+  }
+});
+
+// Forget the state of closed windows, including any prompt still waiting for their sidebar
+browser.windows.onRemoved.addListener((windowId) => {
+  const state = windowStates.get(windowId);
+  if (state && state.pendingDelivery) {
+    endDelivery(state.pendingDelivery, 'cancelled', 'windowClosed');
+  }
+  window.Platform.getArmedPromptHeaders()
+    .filter(delivery => delivery.windowId === windowId)
+    .forEach(delivery => endDelivery(delivery, 'cancelled', 'windowClosed'));
+  windowStates.delete(windowId);
+  saveBackgroundState();
+});
+
+// End header prompts whose sidebar did not load the chat in time
+browser.alarms.onAlarm.addListener((alarm) => {
+  if (!alarm.name.startsWith(HEADER_EXPIRY_ALARM_PREFIX)) {
+    return;
+  }
+
+  backgroundStateRestored.then(() => {
+    const delivery = pendingDeliveries.get(alarm.name.slice(HEADER_EXPIRY_ALARM_PREFIX.length));
+    if (delivery) {
+      expireHeaderDelivery(delivery);
+    }
+  });
+});
+
 // Listen for tab activation to show/hide page action
 browser.tabs.onActivated.addListener((activeInfo) => {
   browser.tabs.get(activeInfo.tabId).then((tab) => {
@@ -86,170 +778,1178 @@ browser.tabs.onActivated.addListener((activeInfo) => {
 // Listen for messages from sidebar and content script
 browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "getSidebarUrl") {
-    sendResponse({ videoUrl: currentVideoUrl });
+    // Resolved asynchronously because query providers need the rendered prompt
+    return backgroundStateRestored.then(() => {
+      const state = getWindowState(request.windowId);
+      const hasPendingSummary = Boolean(state.pendingDelivery);
+      return getSidebarNavigationUrl(request.windowId)
+        .then(sidebarUrl => ({ hasPendingSummary, videoUrl: state.videoUrl, sidebarUrl }));
+    });
+  } else if (request.action === "chatLoaded") {
+    // Only sent by the Chromium side panel, which can't tell when its prompt header was sent
+    window.Platform.getArmedPromptHeaders()
+      .filter(delivery => delivery.windowId === request.windowId)
+      .forEach(delivery => endDelivery(delivery, 'delivered'));
+  } else if (request.action === "getLauncherVideo") {
+    return getLauncherVideo(request.tabId);
+  } else if (request.action === "previewPrompt") {
+    const parts = getVideoPromptParts(request.videoUrl, request.profileId, request.metadata);
+    return renderPrompt(parts.template, parts.valuesPromise, { promptName: parts.promptName, source: request.source })
+      .then(({ promptText, promptName }) => ({ prompt: promptText, promptName, profileId: parts.profileId }));
+  } else if (request.action === "sendLauncherPrompt") {
+    // The launcher is already in the sidebar, so it only needs the prompt delivered
+    const values = window.PromptTemplate.buildPromptValues(request.videoUrl, request.metadata);
+    const source = { ...request.source, windowId: request.windowId, trigger: 'extensionPages' };
+    getWindowState(request.windowId).videoUrl = request.videoUrl;
+    recordSummary(values, request.prompt, {
+      promptName: request.promptName,
+      profileId: request.profileId,
+      source
+    });
+    deliverPrompt(Promise.resolve(request.prompt), request.providerId, source);
   } else if (request.action === "setContextVideoUrl") {
     // Store the video URL from context menu right-click
-    contextVideoUrl = request.videoUrl;
+    const state = getWindowState(sender.tab.windowId);
+    state.contextVideoUrl = request.videoUrl;
+    state.contextVideoMetadata = request.metadata || null;
+  } else if (request.action === "setHoveredVideoUrl") {
+    if (request.videoUrl) {
+      hoveredVideoUrls.set(sender.tab.id, request.videoUrl);
+    } else {
+      hoveredVideoUrls.delete(sender.tab.id);
+    }
+    saveBackgroundState();
+  } else if (request.action === "getPromptProfiles") {
+    sendResponse({
+      profiles: cachedSettings.promptProfiles.map(({ id, name }) => ({ id, name })),
+      hasRules: hasEnabledPromptRules()
+    });
+  } else if (request.action === "getThumbnailButtonState") {
+    sendResponse(getThumbnailButtonState());
+  } else if (request.action === "summarizeThumbnailVideo") {
+    summarizeThumbnailVideo(sender.tab, request.videoUrl, request.metadata, request.profileId);
+  } else if (request.action === "getChatProviders") {
+    sendResponse({
+      providers: allowedProviders.map(({ id, name, sidebarUrl }) => ({ id, name, sidebarUrl })),
+      defaultProviderId: cachedSettings.defaultProvider
+    });
+  } else if (request.action === "prepareSummary") {
+    // The popup opens the sidebar itself because it holds the user gesture
+    // The popup sends the source of the tab it was opened for; other pages are the source themselves
+    const videoUrl = window.YouTubeUrl.normalizeYouTubeUrl(request.videoUrl) || request.videoUrl;
+    const source = request.source || getSummarySource(sender.tab, 'extensionPages');
+    const metadata = request.metadata || requestVideoMetadata(request.tabId, source);
+    getWindowState(source.windowId).videoUrl = videoUrl;
+    const userText = request.question ? { kind: 'question', text: request.question } : undefined;
+    prepareGeminiWithHeader(videoUrl, request.profileId, metadata, source, request.providerId, userText);
+  } else if (request.action === "getQuestionVideo") {
+    // Each question window reads its video once
+    return backgroundStateRestored.then(() => {
+      const pending = pendingQuestions.get(request.questionId);
+      if (!pending) {
+        return null;
+      }
+
+      pendingQuestions.delete(request.questionId);
+      saveBackgroundState();
+      return Promise.resolve(pending.metadata).then(metadata => ({
+        videoUrl: pending.videoUrl,
+        metadata: metadata || {},
+        source: pending.source
+      }));
+    });
+  } else if (request.action === "removeFromQueue") {
+    return window.SummaryQueue.removeFromQueue(request.itemIds);
+  } else if (request.action === "moveQueueItem") {
+    return window.SummaryQueue.moveQueueItem(request.itemId, request.offset);
+  } else if (request.action === "clearQueue") {
+    return window.SummaryQueue.clearQueue();
+  } else if (request.action === "deleteHistoryEntries") {
+    return window.SummaryHistory.deleteHistoryEntries(request.entryIds);
+  } else if (request.action === "importHistoryEntries") {
+    return window.SummaryHistory.importHistoryEntries(request.entries);
+  } else if (request.action === "clearHistory") {
+    return window.SummaryHistory.clearHistory();
+  } else if (request.action === "prepareCombinedSummary") {
+    // The queue page opens the sidebar itself because it holds the user gesture
+    getWindowState(sender.tab.windowId).videoUrl = request.videos[0].videoUrl;
+    prepareCombinedSummary(request.videos, getSummarySource(sender.tab, 'extensionPages'));
+  } else if (request.action === "prepareHistoryRerun") {
+    // The history page opens the sidebar itself because it holds the user gesture
+    const entry = request.entry;
+    const values = window.PromptTemplate.buildPromptValues(entry.videoUrl, entry);
+    const source = getSummarySource(sender.tab, 'extensionPages');
+    getWindowState(sender.tab.windowId).videoUrl = entry.videoUrl;
+    recordSummary(values, entry.prompt, {
+      promptName: entry.promptName,
+      profileId: entry.profileId,
+      title: entry.title,
+      source
+    });
+    deliverPrompt(Promise.resolve(entry.prompt), undefined, source);
+  }
+});
+
+// Handle keyboard shortcuts; Firefox toggles the sidebar itself
+browser.commands.onCommand.addListener((command, tab) => {
+  if (command === COMMAND_OPEN_SIDEBAR) {
+    window.Platform.openChatPanel(tab.windowId);
+  } else if (command === COMMAND_SUMMARIZE_CURRENT) {
+    summarizeTabVideo(tab, 'shortcut');
+  } else if (command === COMMAND_SUMMARIZE_HOVERED) {
+    summarizeHoveredVideo(tab);
+  } else if (command.startsWith(COMMAND_PROFILE_PREFIX)) {
+    const profile = cachedSettings.promptProfiles[Number(command.slice(COMMAND_PROFILE_PREFIX.length)) - 1];
+    if (!profile) {
+      failAttempt(getSummarySource(tab, 'shortcut'), 'noProfile',
+        window.I18n.getMessage('notificationNoProfile', command.slice(COMMAND_PROFILE_PREFIX.length)));
+      return;
+    }
+
+    // Profile shortcuts prefer the hovered thumbnail and fall back to the current video
+    startSummaryWithSavedState(tab.windowId, () => hoveredVideoUrls.has(tab.id)
+      ? prepareHoveredVideo(tab, profile.id)
+      : prepareTabVideo(tab, 'shortcut', profile.id));
   }
 });
 
+/**
+ * Describes the video open in a tab for the sidebar launcher
+ * @param {number} tabId - The ID of the tab
+ * @returns {Promise<{video: object|null, source: object}>} - The video's URL, ID and metadata, or null
+ *   if the tab isn't playing a YouTube video, and the summary source for the tab
+ */
+function getLauncherVideo(tabId) {
+  return browser.tabs.get(tabId).then(tab => {
+    const source = getSummarySource(tab);
+    if (!window.YouTubeUrl.isYouTubeVideoPage(tab.url)) {
+      return { video: null, source };
+    }
+
+    const videoUrl = window.YouTubeUrl.normalizeYouTubeUrl(tab.url);
+    return requestVideoMetadata(tab.id).then(metadata => ({
+      video: {
+        videoUrl,
+        videoId: getVideoIdFromUrl(videoUrl),
+        // Pages that are still loading have no scraped title yet
+        metadata: { ...metadata, title: metadata.title || tab.title.replace(/ - YouTube$/, '') }
+      },
+      source
+    }));
+  });
+}
+
+/**
+ * Summarizes the video or playlist open in a tab, as the page action does
+ * @param {object} tab - The active tab
+ * @param {string} trigger - 'toolbar' or 'shortcut'
+ * @param {string} [profileId] - The prompt profile to use
+ */
+function summarizeTabVideo(tab, trigger, profileId) {
+  if (isPlaylistPage(tab.url) && !profileId) {
+    summarizePlaylist(tab, trigger);
+  } else if (prepareTabVideo(tab, trigger, profileId)) {
+    window.Platform.openChatPanel(tab.windowId);
+  }
+}
+
+/**
+ * Sets up the summary of the video playing in a tab, without opening the sidebar
+ * @param {object} tab - The active tab
+ * @param {string} trigger - 'toolbar' or 'shortcut'
+ * @param {string} [profileId] - The prompt profile to use
+ * @returns {boolean} - Whether the tab is playing a video
+ */
+function prepareTabVideo(tab, trigger, profileId) {
+  const source = getSummarySource(tab, trigger);
+  if (!window.YouTubeUrl.isYouTubeVideoPage(tab.url)) {
+    failAttempt(source, 'notVideoPage', window.I18n.getMessage('notificationOpenVideo'));
+    return false;
+  }
+
+  const videoUrl = window.YouTubeUrl.normalizeYouTubeUrl(tab.url);
+  getWindowState(tab.windowId).videoUrl = videoUrl;
+  prepareGeminiWithHeader(videoUrl, profileId, requestVideoMetadata(tab.id, source), source);
+  return true;
+}
+
+/**
+ * Summarizes the video thumbnail under the mouse in a tab; only keyboard shortcuts do this
+ * @param {object} tab - The active tab
+ * @param {string} [profileId] - The prompt profile to use
+ */
+function summarizeHoveredVideo(tab, profileId) {
+  startSummaryWithSavedState(tab.windowId, () => prepareHoveredVideo(tab, profileId));
+}
+
+/**
+ * Sets up the summary of the video thumbnail under the mouse in a tab, without opening the sidebar
+ * @param {object} tab - The active tab
+ * @param {string} [profileId] - The prompt profile to use
+ * @returns {boolean} - Whether the mouse is over a thumbnail
+ */
+function prepareHoveredVideo(tab, profileId) {
+  const source = getSummarySource(tab, 'shortcut');
+  const videoUrl = hoveredVideoUrls.get(tab.id);
+  if (!videoUrl) {
+    failAttempt(source, 'noHoveredVideo', window.I18n.getMessage('notificationPointAtThumbnail'));
+    return false;
+  }
+
+  getWindowState(tab.windowId).videoUrl = videoUrl;
+  prepareGeminiWithHeader(videoUrl, profileId, requestHoveredVideoMetadata(tab.id, source), source);
+  return true;
+}
+
+/**
+ * Summarizes the video of a thumbnail button clicked in a tab
+ * The click reaches the background as a message, which not every browser counts as
+ * a user action, so the user is asked to open the sidebar when it can't be opened here
+ * @param {object} tab - The tab with the thumbnail
+ * @param {string} videoUrl - The thumbnail's video URL
+ * @param {object} [metadata] - Metadata scraped from the thumbnail
+ * @param {string} [profileId] - The prompt profile to use
+ */
+function summarizeThumbnailVideo(tab, videoUrl, metadata, profileId) {
+  const source = getSummarySource(tab, 'thumbnailButton');
+  const normalizedUrl = window.YouTubeUrl.normalizeYouTubeUrl(videoUrl);
+  if (!normalizedUrl) {
+    notifyVideoNotDetected(source);
+    return;
+  }
+
+  getWindowState(tab.windowId).videoUrl = normalizedUrl;
+  prepareGeminiWithHeader(normalizedUrl, profileId, metadata || {}, source);
+  window.Platform.openChatPanel(tab.windowId).then(opened => {
+    if (!opened) {
+      addAttemptWarning(source, 'sidebarNotOpened');
+      notify(source, 'error', window.I18n.getMessage('notificationOpenSidebar'));
+    }
+  });
+}
+
 // Create context menu when extension starts
 browser.runtime.onStartup.addListener(createContextMenu);
 browser.runtime.onInstalled.addListener(createContextMenu);
 
 /**
- * Creates the context menu item for summarizing videos
+ * Creates the context menu item for summarizing videos, with one child item per
+ * prompt profile when more than one profile exists, and the items for YouTube
+ * links and embedded players on other sites
  */
 function createContextMenu() {
-  browser.contextMenus.create({
-    id: "summarize-video",
-    title: "Summarize with Gemini",
-    contexts: ["image", "link", "page"],
-    documentUrlPatterns: ["*://*.youtube.com/*"]
+  contextMenuUpdate = contextMenuUpdate.then(() => browser.contextMenus.removeAll()).then(() => {
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_ID,
+      title: window.I18n.getMessage('menuSummarizeWith', window.ChatProviders.getChatProvider(cachedSettings.defaultProvider).name),
+      contexts: ["image", "link", "page"],
+      documentUrlPatterns: window.YouTubeUrl.YOUTUBE_PAGE_URL_PATTERNS
+    });
+
+    EXTERNAL_VIDEO_MENUS.forEach(menu => {
+      browser.contextMenus.create({
+        ...menu,
+        title: window.I18n.getMessage('menuSummarizeWith', window.ChatProviders.getChatProvider(cachedSettings.defaultProvider).name)
+      });
+    });
+
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_FROM_HERE_ID,
+      title: window.I18n.getMessage('menuSummarizeFromHere'),
+      contexts: ["page", "video", window.Platform.ACTION_MENU_CONTEXT],
+      documentUrlPatterns: window.YouTubeUrl.YOUTUBE_VIDEO_PAGE_URL_PATTERNS
+    });
+
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_RECENT_ID,
+      title: window.I18n.getMessage('menuExplainRecent', String(cachedSettings.recentMinutes)),
+      contexts: ["page", "video", window.Platform.ACTION_MENU_CONTEXT],
+      documentUrlPatterns: window.YouTubeUrl.YOUTUBE_VIDEO_PAGE_URL_PATTERNS
+    });
+
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_PLAYLIST_ID,
+      title: window.I18n.getMessage('menuSummarizePlaylist'),
+      contexts: ["page", window.Platform.ACTION_MENU_CONTEXT],
+      documentUrlPatterns: PLAYLIST_URL_PATTERNS
+    });
+
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_PLAYLIST_NEXT_ID,
+      title: window.I18n.getMessage('menuSummarizePlaylistNext'),
+      contexts: ["page", window.Platform.ACTION_MENU_CONTEXT],
+      documentUrlPatterns: PLAYLIST_URL_PATTERNS
+    });
+
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_QUEUE_ADD_ID,
+      title: window.I18n.getMessage('menuAddToQueue'),
+      contexts: ["image", "link", "page"],
+      documentUrlPatterns: window.YouTubeUrl.YOUTUBE_PAGE_URL_PATTERNS
+    });
+
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_ASK_ID,
+      title: window.I18n.getMessage('menuAskAboutVideo'),
+      contexts: ["image", "link", "page"],
+      documentUrlPatterns: window.YouTubeUrl.YOUTUBE_PAGE_URL_PATTERNS
+    });
+
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_SELECTION_ID,
+      title: window.I18n.getMessage('menuExplainSelection'),
+      contexts: ["selection"],
+      documentUrlPatterns: window.YouTubeUrl.YOUTUBE_VIDEO_PAGE_URL_PATTERNS
+    });
+
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_COMPARE_MARK_ID,
+      title: window.I18n.getMessage('menuMarkForComparison'),
+      contexts: ["image", "link", "page"],
+      documentUrlPatterns: window.YouTubeUrl.YOUTUBE_PAGE_URL_PATTERNS
+    });
+
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_COMPARE_ID,
+      title: window.I18n.getMessage('menuCompareMarked', String(markedVideos.length)),
+      enabled: markedVideos.length >= MIN_COMPARED_VIDEOS,
+      contexts: ["image", "link", "page"],
+      documentUrlPatterns: window.YouTubeUrl.YOUTUBE_PAGE_URL_PATTERNS
+    });
+
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_COMPARE_CLEAR_ID,
+      title: window.I18n.getMessage('menuClearComparison'),
+      enabled: markedVideos.length > 0,
+      contexts: ["image", "link", "page"],
+      documentUrlPatterns: window.YouTubeUrl.YOUTUBE_PAGE_URL_PATTERNS
+    });
+
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_QUEUE_OPEN_ID,
+      title: window.I18n.getMessage('menuOpenQueue'),
+      contexts: [window.Platform.ACTION_MENU_CONTEXT]
+    });
+
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_HISTORY_OPEN_ID,
+      title: window.I18n.getMessage('menuOpenHistory'),
+      contexts: [window.Platform.ACTION_MENU_CONTEXT]
+    });
+
+    // A policy can allow a single chat, which leaves no other chat to offer
+    const otherProviders = allowedProviders.filter(provider => provider.id !== cachedSettings.defaultProvider);
+    if (otherProviders.length > 0) {
+      browser.contextMenus.create({
+        id: CONTEXT_MENU_PROVIDER_ID,
+        title: window.I18n.getMessage('menuSummarizeWithAnotherChat'),
+        contexts: ["image", "link", "page"],
+        documentUrlPatterns: window.YouTubeUrl.YOUTUBE_PAGE_URL_PATTERNS
+      });
+    }
+
+    otherProviders.forEach(provider => {
+      browser.contextMenus.create({
+        id: CONTEXT_MENU_PROVIDER_PREFIX + provider.id,
+        parentId: CONTEXT_MENU_PROVIDER_ID,
+        title: provider.name,
+        contexts: ["image", "link", "page"],
+        documentUrlPatterns: window.YouTubeUrl.YOUTUBE_PAGE_URL_PATTERNS
+      });
+    });
+
+    if (cachedSettings.promptProfiles.length > 1) {
+      // Picking a profile skips the rules, so offer the automatic choice first
+      const choices = hasEnabledPromptRules()
+        ? [{ id: '', name: window.I18n.getMessage('automaticProfileName') }, ...cachedSettings.promptProfiles]
+        : cachedSettings.promptProfiles;
+      choices.forEach(profile => {
+        browser.contextMenus.create({
+          id: CONTEXT_MENU_PROFILE_PREFIX + profile.id,
+          parentId: CONTEXT_MENU_ID,
+          title: profile.name,
+          contexts: ["image", "link", "page"],
+          documentUrlPatterns: window.YouTubeUrl.YOUTUBE_PAGE_URL_PATTERNS
+        });
+
+        EXTERNAL_VIDEO_MENUS.forEach(menu => {
+          browser.contextMenus.create({
+            ...menu,
+            id: `${menu.id}:${profile.id}`,
+            parentId: menu.id,
+            title: profile.name
+          });
+        });
+      });
+    }
+  }).catch(error => {
+    console.error('Error creating context menu:', error);
+  });
+}
+
+// YouTube pages already show the main item for their own links, so the link item is
+// hidden there to avoid listing the same action twice. Chromium has no onShown event,
+// so there both items are listed.
+if (browser.contextMenus.onShown) {
+  browser.contextMenus.onShown.addListener((info, tab) => {
+    const visible = !window.YouTubeUrl.isYouTubePage(tab && tab.url);
+    browser.contextMenus.update(EXTERNAL_VIDEO_MENUS[0].id, { visible })
+      .then(() => browser.contextMenus.refresh())
+      .catch(error => {
+        console.error('Error updating context menu:', error);
+      });
   });
 }
 
 // Handle context menu clicks
 browser.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId === "summarize-video") {
+  const menuItemId = String(info.menuItemId);
+  const externalMenu = EXTERNAL_VIDEO_MENUS.find(menu =>
+    menuItemId === menu.id || menuItemId.startsWith(`${menu.id}:`));
+  if (externalMenu) {
+    const videoUrl = getExternalVideoUrl(info);
+    if (videoUrl) {
+      const profileId = menuItemId === externalMenu.id ? undefined : menuItemId.slice(externalMenu.id.length + 1) || undefined;
+      handleVideoSummarization(videoUrl, profileId, getExternalVideoMetadata(info), getSummarySource(tab, 'contextMenu'));
+    } else {
+      notifyVideoNotDetected(getSummarySource(tab, 'contextMenu'));
+    }
+  } else if (menuItemId === CONTEXT_MENU_ID ||
+    menuItemId.startsWith(CONTEXT_MENU_PROFILE_PREFIX) ||
+    menuItemId.startsWith(CONTEXT_MENU_PROVIDER_PREFIX)) {
+    const profileId = menuItemId.startsWith(CONTEXT_MENU_PROFILE_PREFIX)
+      ? menuItemId.slice(CONTEXT_MENU_PROFILE_PREFIX.length) || undefined
+      : undefined;
+    const providerId = menuItemId.startsWith(CONTEXT_MENU_PROVIDER_PREFIX)
+      ? menuItemId.slice(CONTEXT_MENU_PROVIDER_PREFIX.length)
+      : undefined;
+
     // Use the stored context video URL if available, otherwise try to extract from the page
-    let videoUrl = contextVideoUrl;
+    const state = getWindowState(tab.windowId);
+    const videoUrl = state.contextVideoUrl;
+    const videoMetadata = state.contextVideoMetadata || {};
+    const source = getSummarySource(tab, 'contextMenu');
     
     // If no context URL stored, try to get it from the content script
     if (!videoUrl) {
-      browser.tabs.sendMessage(tab.id, { action: 'getContextVideoUrl' })
-        .then(response => {
-          if (response && response.videoUrl) {
-            handleVideoSummarization(response.videoUrl);
-          } else {
-            // Fallback: if we're on a watch page, use the current tab URL
-            if (tab.url && tab.url.includes('youtube.com/watch')) {
-              handleVideoSummarization(tab.url);
-            } else {
-              browser.notifications.create({
-                type: 'basic',
-                iconUrl: 'icons/icon-48.png',
-                title: 'YouTube Summarizer',
-                message: 'Could not detect video URL. Please try right-clicking directly on a video thumbnail.'
-              });
-            }
-          }
-        })
-        .catch(() => {
-          // Content script might not be ready, try current tab URL as fallback
-          if (tab.url && tab.url.includes('youtube.com/watch')) {
-            handleVideoSummarization(tab.url);
-          }
-        });
+      resolveContextVideo(tab, source).then(video => {
+        if (video) {
+          handleVideoSummarization(video.videoUrl, profileId, video.metadata, source, providerId);
+        } else {
+          notifyVideoNotDetected(source);
+        }
+      });
     } else {
-      handleVideoSummarization(videoUrl);
+      handleVideoSummarization(videoUrl, profileId, videoMetadata, source, providerId);
     }
     
     // Clear the stored context URL after use
-    contextVideoUrl = null;
+    state.contextVideoUrl = null;
+    state.contextVideoMetadata = null;
+  } else if (menuItemId === CONTEXT_MENU_FROM_HERE_ID) {
+    summarizeTimeRange(tab, 'fromHere');
+  } else if (menuItemId === CONTEXT_MENU_RECENT_ID) {
+    summarizeTimeRange(tab, 'recent');
+  } else if (menuItemId === CONTEXT_MENU_PLAYLIST_ID) {
+    summarizePlaylist(tab, 'contextMenu');
+  } else if (menuItemId === CONTEXT_MENU_PLAYLIST_NEXT_ID) {
+    summarizeNextPlaylistPart(tab);
+  } else if (menuItemId === CONTEXT_MENU_QUEUE_ADD_ID) {
+    addContextVideoToQueue(tab);
+  } else if (menuItemId === CONTEXT_MENU_ASK_ID) {
+    askAboutContextVideo(tab);
+  } else if (menuItemId === CONTEXT_MENU_SELECTION_ID) {
+    explainSelection(tab, info.selectionText);
+  } else if (menuItemId === CONTEXT_MENU_COMPARE_MARK_ID) {
+    markContextVideoForComparison(tab);
+  } else if (menuItemId === CONTEXT_MENU_COMPARE_ID) {
+    compareMarkedVideos(tab);
+  } else if (menuItemId === CONTEXT_MENU_COMPARE_CLEAR_ID) {
+    window.ComparisonList.clearMarkedVideos().catch(error => {
+      console.error('Error clearing videos marked for comparison:', error);
+    });
+  } else if (menuItemId === CONTEXT_MENU_QUEUE_OPEN_ID) {
+    browser.tabs.create({ url: browser.runtime.getURL("queue.html") });
+  } else if (menuItemId === CONTEXT_MENU_HISTORY_OPEN_ID) {
+    browser.tabs.create({ url: browser.runtime.getURL("history.html") });
   }
 });
 
+/**
+ * Finds the video a link, thumbnail or embedded player outside YouTube points to
+ * @param {object} info - The context menu click info
+ * @returns {string|null} - The canonical watch URL, or null if none was found
+ */
+function getExternalVideoUrl(info) {
+  const candidates = [info.linkUrl, info.srcUrl, info.frameUrl];
+  for (const url of candidates) {
+    const videoUrl = window.YouTubeUrl.normalizeYouTubeUrl(url);
+    if (videoUrl) {
+      return videoUrl;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds what metadata is known about a video linked from another site
+ * @param {object} info - The context menu click info
+ * @returns {object} - The metadata, with the link text as the title when it is not just the URL
+ *   and whether the link points to a Short
+ */
+function getExternalVideoMetadata(info) {
+  const parsedUrl = window.YouTubeUrl.parseYouTubeUrl(info.linkUrl || info.frameUrl);
+  const metadata = { isShort: Boolean(parsedUrl && parsedUrl.kind === 'shorts') };
+  const linkText = (info.linkText || '').trim();
+  if (linkText && linkText !== info.linkUrl && !window.YouTubeUrl.parseYouTubeUrl(linkText)) {
+    metadata.title = linkText;
+  }
+  return metadata;
+}
+
+/**
+ * Finds the video a context menu click refers to
+ * @param {object} tab - The tab the context menu was opened in
+ * @param {object} [source] - The summary that needs it, warned when the content script is unavailable
+ * @returns {Promise<{videoUrl: string, metadata: object}|null>} - The video, or null if none was detected
+ */
+function resolveContextVideo(tab, source) {
+  const state = getWindowState(tab.windowId);
+  if (state.contextVideoUrl) {
+    return Promise.resolve({ videoUrl: state.contextVideoUrl, metadata: state.contextVideoMetadata || {} });
+  }
+
+  return browser.tabs.sendMessage(tab.id, { action: 'getContextVideoUrl' })
+    .then(response => {
+      if (response && response.videoUrl) {
+        return { videoUrl: response.videoUrl, metadata: response.metadata || {} };
+      }
+
+      // Fallback: if we're on a video page, use the current tab URL
+      if (window.YouTubeUrl.isYouTubeVideoPage(tab.url)) {
+        return { videoUrl: window.YouTubeUrl.normalizeYouTubeUrl(tab.url), metadata: requestVideoMetadata(tab.id, source) };
+      }
+
+      return null;
+    })
+    .catch(error => {
+      // Content script might not be ready, try current tab URL as fallback
+      addAttemptWarning(source, 'contentScriptUnavailable', error.message);
+      if (window.YouTubeUrl.isYouTubeVideoPage(tab.url)) {
+        return { videoUrl: window.YouTubeUrl.normalizeYouTubeUrl(tab.url), metadata: {} };
+      }
+
+      return null;
+    });
+}
+
+/**
+ * Tells the user that no video could be found where they right-clicked
+ * @param {object} source - Where the summary was started from
+ */
+function notifyVideoNotDetected(source) {
+  failAttempt(source, 'videoNotDetected', window.I18n.getMessage('notificationNoVideoUrl'));
+}
+
+/**
+ * Adds the right-clicked video to the summary queue
+ * @param {object} tab - The tab the context menu was opened in
+ */
+function addContextVideoToQueue(tab) {
+  resolveContextVideo(tab).then(video => {
+    if (!video) {
+      // Queuing is not a summary, so it has no attempt but follows the context menu's setting
+      notify({ trigger: 'contextMenu' }, 'error', window.I18n.getMessage('notificationNoVideoUrl'));
+      return null;
+    }
+
+    return Promise.resolve(video.metadata).then(metadata => {
+      return window.SummaryQueue.addToQueue(video.videoUrl, metadata);
+    });
+  }).then(result => {
+    if (!result) {
+      return;
+    }
+
+    notify({ trigger: 'contextMenu' }, 'info', result.added
+      ? window.I18n.getMessage('notificationAddedToQueue', String(result.length))
+      : window.I18n.getMessage('notificationAlreadyQueued'));
+  }).catch(error => {
+    console.error('Error adding video to the summary queue:', error);
+  });
+
+  // Clear the stored context URL after use
+  const state = getWindowState(tab.windowId);
+  state.contextVideoUrl = null;
+  state.contextVideoMetadata = null;
+}
+
+/**
+ * Opens a window for typing a question about the right-clicked video
+ * The sidebar opens now, while the click still counts as a user action, and shows
+ * the chat once the question is sent.
+ * @param {object} tab - The tab the context menu was opened in
+ */
+function askAboutContextVideo(tab) {
+  const source = getSummarySource(tab, 'contextMenu');
+  window.Platform.openChatPanel(tab.windowId);
+
+  resolveContextVideo(tab, source).then(video => {
+    if (!video) {
+      notifyVideoNotDetected(source);
+      return null;
+    }
+
+    const questionId = createPendingId('question');
+    const question = { ...video, source };
+    pendingQuestions.set(questionId, question);
+    saveBackgroundState();
+    Promise.resolve(video.metadata).then(metadata => {
+      question.metadata = metadata || {};
+      saveBackgroundState();
+    });
+    return browser.windows.create({
+      url: browser.runtime.getURL(`question.html?id=${encodeURIComponent(questionId)}`),
+      type: 'popup',
+      width: 440,
+      height: 260
+    });
+  }).catch(error => {
+    console.error('Error opening the question window:', error);
+  });
+
+  // Clear the stored context URL after use
+  const state = getWindowState(tab.windowId);
+  state.contextVideoUrl = null;
+  state.contextVideoMetadata = null;
+}
+
+/**
+ * Prompts about the text selected on a video page, such as a comment, with the page's video
+ * @param {object} tab - The video page's tab
+ * @param {string} selectionText - The selection as reported by the context menu
+ */
+function explainSelection(tab, selectionText) {
+  const source = getSummarySource(tab, 'contextMenu');
+  if (!window.YouTubeUrl.isYouTubeVideoPage(tab.url)) {
+    failAttempt(source, 'notVideoPage', window.I18n.getMessage('notificationOpenVideo'));
+    return;
+  }
+
+  const videoUrl = window.YouTubeUrl.normalizeYouTubeUrl(tab.url);
+  getWindowState(tab.windowId).videoUrl = videoUrl;
+  // The page's own copy keeps line breaks, which Chromium drops from the menu's selection text
+  const selectionPromise = browser.tabs.sendMessage(tab.id, { action: 'getSelectionText' })
+    .then(response => (response && response.text) || selectionText)
+    .catch(error => {
+      addAttemptWarning(source, 'contentScriptUnavailable', error.message);
+      return selectionText;
+    });
+  openGeminiSidebarWithHeader(videoUrl, undefined, requestVideoMetadata(tab.id, source), source, undefined, {
+    kind: 'selection',
+    text: selectionPromise
+  });
+}
+
+/**
+ * Marks the right-clicked video for comparison
+ * @param {object} tab - The tab the context menu was opened in
+ */
+function markContextVideoForComparison(tab) {
+  resolveContextVideo(tab).then(video => {
+    if (!video) {
+      // Marking is not a summary, so it has no attempt but follows the context menu's setting
+      notify({ trigger: 'contextMenu' }, 'error', window.I18n.getMessage('notificationNoVideoUrl'));
+      return null;
+    }
+
+    return Promise.resolve(video.metadata).then(metadata => {
+      return window.ComparisonList.markVideo(video.videoUrl, metadata);
+    });
+  }).then(result => {
+    if (!result) {
+      return;
+    }
+
+    let message = window.I18n.getMessage('notificationAlreadyMarked');
+    if (result.full) {
+      message = window.I18n.getMessage('notificationComparisonFull', String(window.ComparisonList.MAX_MARKED_VIDEOS));
+    } else if (result.added) {
+      message = result.length < MIN_COMPARED_VIDEOS
+        ? window.I18n.getMessage('notificationMarkedFirst')
+        : window.I18n.getMessage('notificationMarkedForComparison', String(result.length));
+    }
+    notify({ trigger: 'contextMenu' }, 'info', message);
+  }).catch(error => {
+    console.error('Error marking video for comparison:', error);
+  });
+
+  // Clear the stored context URL after use
+  const state = getWindowState(tab.windowId);
+  state.contextVideoUrl = null;
+  state.contextVideoMetadata = null;
+}
+
+/**
+ * Compares the marked videos in one prompt, then unmarks them
+ * @param {object} tab - The tab the context menu was opened in
+ */
+function compareMarkedVideos(tab) {
+  const source = getSummarySource(tab, 'contextMenu');
+  // Chromium can't disable the item until the cache has loaded after the service worker starts
+  if (markedVideos.length < MIN_COMPARED_VIDEOS) {
+    failAttempt(source, 'notEnoughMarked', window.I18n.getMessage('notificationMarkMoreVideos'));
+    return;
+  }
+
+  const videos = markedVideos;
+  const values = window.PromptTemplate.buildPromptValues(videos[0].videoUrl, {}, {
+    videoCount: String(videos.length),
+    videoList: window.PromptTemplate.formatVideoList(videos)
+  });
+
+  getWindowState(tab.windowId).videoUrl = videos[0].videoUrl;
+  preparePromptWithHeader(cachedSettings.comparePromptTemplate, Promise.resolve(values), {
+    promptName: window.I18n.getMessage('promptNameCompare'),
+    title: window.I18n.getMessage('comparedVideosTitle', String(videos.length)),
+    source
+  });
+  window.Platform.openChatPanel(tab.windowId);
+
+  window.ComparisonList.clearMarkedVideos().catch(error => {
+    console.error('Error clearing videos marked for comparison:', error);
+  });
+}
+
+/**
+ * Sets up header injection for one prompt covering several queued videos
+ * @param {Array<{videoUrl: string, title: string}>} videos - The videos in prompt order
+ * @param {object} source - Where the summary was started from
+ */
+function prepareCombinedSummary(videos, source) {
+  const values = window.PromptTemplate.buildPromptValues(videos[0].videoUrl, {}, {
+    videoCount: String(videos.length),
+    videoList: window.PromptTemplate.formatVideoList(videos)
+  });
+
+  preparePromptWithHeader(cachedSettings.queuePromptTemplate, Promise.resolve(values), {
+    promptName: window.I18n.getMessage('promptNameQueue'),
+    title: window.I18n.getMessage('queuedVideosTitle', String(videos.length)),
+    source
+  });
+}
+
+/**
+ * Summarizes the playlist shown in a tab, starting with its first videos
+ * @param {object} tab - The YouTube playlist or watch page tab
+ * @param {string} trigger - What the user did to start it, see EXTENSION_CONSTANTS.SUMMARY_TRIGGERS
+ */
+function summarizePlaylist(tab, trigger) {
+  const source = getSummarySource(tab, trigger);
+  // Playlist pages have no video to normalize to, so they keep their own URL
+  const videoUrl = window.YouTubeUrl.normalizeYouTubeUrl(tab.url) || tab.url;
+  getWindowState(tab.windowId).videoUrl = videoUrl;
+
+  // Pick the template now, while the cache matches what the user clicked
+  const template = cachedSettings.playlistPromptTemplate;
+  const valuesPromise = requestPlaylist(tab.id, source).then(playlist => {
+    if (!playlist || playlist.videos.length === 0) {
+      addAttemptWarning(source, 'playlistNotFound');
+      notify(source, 'error', window.I18n.getMessage('notificationPlaylistNotFound'));
+      return window.PromptTemplate.buildPromptValues(videoUrl, {}, {
+        playlistUrl: (playlist && playlist.url) || tab.url
+      });
+    }
+
+    return buildPlaylistPartValues(playlist, 0, source);
+  });
+
+  preparePromptWithHeader(template, valuesPromise, {
+    promptName: window.I18n.getMessage('promptNamePlaylist'),
+    source
+  });
+  window.Platform.openChatPanel(tab.windowId);
+}
+
+/**
+ * Summarizes the videos left out of the previous playlist prompt; only the context menu does this
+ * @param {object} tab - The YouTube playlist or watch page tab
+ */
+function summarizeNextPlaylistPart(tab) {
+  const source = getSummarySource(tab, 'contextMenu');
+  startSummaryWithSavedState(tab.windowId, () => {
+    if (!pendingPlaylistPart) {
+      failAttempt(source, 'noPlaylistPart', window.I18n.getMessage('notificationNoPlaylistPart'));
+      return false;
+    }
+
+    getWindowState(tab.windowId).videoUrl = window.YouTubeUrl.normalizeYouTubeUrl(tab.url) || tab.url;
+    const { playlist, startIndex } = pendingPlaylistPart;
+    const values = buildPlaylistPartValues(playlist, startIndex, source);
+
+    preparePromptWithHeader(cachedSettings.playlistPromptTemplate, Promise.resolve(values), {
+      promptName: window.I18n.getMessage('promptNamePlaylist'),
+      source
+    });
+    return true;
+  });
+}
+
+/**
+ * Builds the placeholder values for one part of a playlist and remembers the videos left out
+ * @param {{title: string, url: string, videos: Array}} playlist - The collected playlist
+ * @param {number} startIndex - Index of the first video in this part
+ * @param {object} source - Where the summary was started from
+ * @returns {Object<string, string>} - Values keyed by placeholder name
+ */
+function buildPlaylistPartValues(playlist, startIndex, source) {
+  const total = playlist.videos.length;
+  const endIndex = Math.min(startIndex + cachedSettings.playlistMaxVideos, total);
+  const videos = playlist.videos.slice(startIndex, endIndex);
+
+  if (endIndex < total) {
+    pendingPlaylistPart = { playlist, startIndex: endIndex };
+    notifyPlaylistVideosLeftOut(playlist.videos.slice(endIndex), endIndex + 1, total, source);
+  } else {
+    pendingPlaylistPart = null;
+  }
+  saveBackgroundState();
+
+  return window.PromptTemplate.buildPromptValues(playlist.url, {}, {
+    playlistTitle: playlist.title || window.I18n.getMessage('untitledPlaylist'),
+    playlistUrl: playlist.url,
+    playlistPart: window.I18n.getMessage('playlistPart', [String(startIndex + 1), String(endIndex), String(total)]),
+    videoCount: String(videos.length),
+    videoList: window.PromptTemplate.formatVideoList(videos, startIndex + 1)
+  });
+}
+
+/**
+ * Tells the user which playlist videos did not fit in the prompt
+ * @param {Array<{title: string}>} leftOutVideos - The videos that were left out
+ * @param {number} firstNumber - The playlist position of the first left-out video
+ * @param {number} total - The number of videos in the playlist
+ * @param {object} source - Where the summary was started from
+ */
+function notifyPlaylistVideosLeftOut(leftOutVideos, firstNumber, total, source) {
+  const titles = leftOutVideos.slice(0, 3).map(video => `"${video.title || window.I18n.getMessage('untitledVideo')}"`).join(', ');
+  const more = leftOutVideos.length > 3 ? ', ...' : '';
+
+  addAttemptWarning(source, 'playlistVideosLeftOut', `${firstNumber}-${total}`);
+  notify(source, 'error',
+    window.I18n.getMessage('notificationPlaylistVideosLeftOut', [String(firstNumber), String(total), titles + more]));
+}
+
+/**
+ * Works out the part of the video covered by a time range action
+ * @param {string} mode - 'fromHere' or 'recent'
+ * @param {{currentTime: number, duration: number|null}} position - The player position
+ * @returns {{start: number, end: number|null}} - The range in seconds; a null end means the end of the video
+ */
+function getTimeRange(mode, position) {
+  const currentTime = Math.floor(position.currentTime);
+
+  if (mode === 'recent') {
+    return { start: Math.max(0, currentTime - cachedSettings.recentMinutes * 60), end: currentTime };
+  }
+
+  return { start: currentTime, end: position.duration };
+}
+
+/**
+ * Adds a start time to a YouTube video URL
+ * @param {string} videoUrl - The YouTube video URL
+ * @param {number} seconds - The start time in seconds
+ * @returns {string} - The canonical watch URL with a t= parameter
+ */
+function addStartTimeToUrl(videoUrl, seconds) {
+  return window.YouTubeUrl.normalizeYouTubeUrl(videoUrl, { startSeconds: seconds });
+}
+
+/**
+ * Summarizes part of the video playing in a tab, based on its playback position; only the context menu does this
+ * @param {object} tab - The YouTube watch page tab
+ * @param {string} mode - 'fromHere' to summarize from the current position to the end,
+ *   'recent' to explain the minutes leading up to it
+ */
+function summarizeTimeRange(tab, mode) {
+  const source = getSummarySource(tab, 'contextMenu');
+  const videoUrl = window.YouTubeUrl.normalizeYouTubeUrl(tab.url);
+  getWindowState(tab.windowId).videoUrl = videoUrl;
+
+  // Pick the template now, while the cache matches what the user clicked
+  const template = cachedSettings.rangePromptTemplate;
+  const valuesPromise = Promise.all([
+    requestPlaybackPosition(tab.id, source),
+    requestVideoMetadata(tab.id, source)
+  ]).then(([position, metadata]) => {
+    if (!position) {
+      return window.PromptTemplate.buildPromptValues(videoUrl, metadata);
+    }
+
+    const range = getTimeRange(mode, position);
+    return window.PromptTemplate.buildPromptValues(addStartTimeToUrl(videoUrl, range.start), metadata, {
+      startTime: window.PromptTemplate.formatTimestamp(range.start),
+      endTime: range.end !== null
+        ? window.PromptTemplate.formatTimestamp(range.end)
+        : window.I18n.getMessage('rangeEndOfVideo')
+    });
+  });
+
+  preparePromptWithHeader(template, valuesPromise, {
+    promptName: mode === 'recent'
+      ? window.I18n.getMessage('promptNameRecent', String(cachedSettings.recentMinutes))
+      : window.I18n.getMessage('promptNameFromHere'),
+    source
+  });
+  window.Platform.openChatPanel(tab.windowId);
+}
+
 /**
  * Handles the video summarization process
  * @param {string} videoUrl - The YouTube video URL to summarize
+ * @param {string} [profileId] - The prompt profile to use
+ * @param {object|Promise<object>} [metadata] - Video metadata for the prompt placeholders
+ * @param {object} [source] - Where the summary was started from
+ * @param {string} [providerId] - The chat provider to use instead of the default
  */
-function handleVideoSummarization(videoUrl) {
+function handleVideoSummarization(videoUrl, profileId, metadata, source, providerId) {
   // Set the current video URL for the sidebar
-  currentVideoUrl = videoUrl;
+  getWindowState(source.windowId).videoUrl = videoUrl;
 
-  openGeminiSidebarWithHeader(videoUrl);
+  openGeminiSidebarWithHeader(videoUrl, profileId, metadata, source, providerId);
 
   // Show a notification to confirm the action
-  browser.notifications.create({
-    type: 'basic',
-    iconUrl: 'icons/icon-48.png',
-    title: 'YouTube Summarizer',
-    message: 'Opening Gemini to summarize the video...'
-  });
+  const providerName = window.ChatProviders.getChatProvider(providerId || cachedSettings.defaultProvider).name;
+  notify(source, 'info', window.I18n.getMessage('notificationOpening', providerName));
 }
 
 /**
- * Prepares Gemini prompt injection before opening the sidebar
+ * Prepares prompt delivery before opening the sidebar
  * @param {string} videoUrl - The YouTube video URL to summarize
+ * @param {string} [profileId] - The prompt profile to use
+ * @param {object|Promise<object>} [metadata] - Video metadata for the prompt placeholders
+ * @param {object} [source] - Where the summary was started from
+ * @param {string} [providerId] - The chat provider to use instead of the default
+ * @param {{kind: string, text: string|Promise<string>}} [userText] - A question or selected text to prompt about instead of summarizing
+ */
+function openGeminiSidebarWithHeader(videoUrl, profileId, metadata, source, providerId, userText) {
+  prepareGeminiWithHeader(videoUrl, profileId, metadata, source, providerId, userText);
+  window.Platform.openChatPanel(source.windowId);
+}
+
+/**
+ * Sends a prompt to a chat provider the way the provider expects it
+ * @param {Promise<string>} promptPromise - Resolves to the rendered prompt
+ * @param {string} [providerId] - The chat provider to use instead of the default
+ * @param {object} [source] - Where the summary was started from; its window's sidebar opens the chat
  */
-function openGeminiSidebarWithHeader(videoUrl) {
-  prepareGeminiWithHeader(videoUrl);
-  browser.sidebarAction.open().catch(error => {
-    console.error('Error opening Gemini sidebar:', error);
+function deliverPrompt(promptPromise, providerId, source) {
+  const windowId = source && source.windowId;
+  // Providers picked before the policy changed, such as in the history, use the default instead
+  const isAllowed = allowedProviders.some(allowed => allowed.id === providerId);
+  const provider = window.ChatProviders.getChatProvider(isAllowed ? providerId : cachedSettings.defaultProvider);
+  const state = getWindowState(windowId);
+  if (state.pendingDelivery) {
+    endDelivery(state.pendingDelivery, 'cancelled', 'replaced');
+  }
+  state.chatProvider = provider;
+  updateAttempt(source, { providerName: provider.name, method: provider.delivery });
+  promptPromise.catch(error => {
+    updateAttempt(source, { outcome: 'failed', reason: 'promptFailed', detail: error.message });
   });
+
+  // The sidebar asks for its URL once it loads; see getSidebarNavigationUrl
+  const delivery = { id: createPendingId('delivery'), provider, promptPromise, windowId, source };
+  if (provider.delivery === 'header') {
+    browser.alarms.create(`${HEADER_EXPIRY_ALARM_PREFIX}${delivery.id}`, { when: Date.now() + GEMINI_HEADER_TIMEOUT_MS });
+  }
+  state.pendingDelivery = delivery;
+  pendingDeliveries.set(delivery.id, delivery);
+  saveBackgroundState();
+  // The rendered prompt is saved too, so the delivery can go on after a restart
+  promptPromise.then(promptText => {
+    if (pendingDeliveries.has(delivery.id)) {
+      delivery.promptText = promptText;
+      saveBackgroundState();
+    }
+  }, () => {});
+
+  // A sidebar that is already showing the launcher won't reload, so tell it to open the chat
+  browser.runtime.sendMessage({ action: "summaryPrepared", windowId }).catch(() => {});
 }
 
 /**
- * Sets up the webRequest listener for Gemini requests with the given prompt
- * @param {string} promptText - The prompt text to include in the header
+ * Works out where a window's sidebar should navigate, consuming its pending delivery
+ * @param {number} [windowId] - The window the sidebar belongs to
+ * @returns {Promise<string>} - The URL for the sidebar
  */
-function setupGeminiListener(promptText) {
-  clearPendingGeminiHeaderInjection();
+function getSidebarNavigationUrl(windowId) {
+  const state = getWindowState(windowId);
+  const delivery = state.pendingDelivery;
+  state.pendingDelivery = null;
 
-  // Encode the prompt as URI component to handle newlines and special characters
-  const encodedPrompt = encodeURIComponent(promptText);
+  if (!delivery) {
+    return Promise.resolve(state.chatProvider.sidebarUrl);
+  }
 
-  const listener = function(details) {
-    if (!isGeminiAppNavigation(details)) {
-      return;
-    }
+  if (delivery.provider.delivery === 'header') {
+    // An armed delivery can't go on after a restart, since its sidebar is already loading the chat
+    delivery.armed = true;
+    saveBackgroundState();
+    // Chromium adds the header with a rule, which needs the rendered prompt first
+    return window.Platform.armPromptHeader(delivery, armed => endDelivery(armed, 'delivered'))
+      .then(() => delivery.provider.sidebarUrl);
+  }
 
-    clearPendingGeminiHeaderInjection();
+  pendingDeliveries.delete(delivery.id);
+  saveBackgroundState();
+  return delivery.promptPromise.then(promptText => {
+    const promptUrl = delivery.provider.delivery === 'query'
+      ? window.ChatProviders.buildPromptUrl(delivery.provider, promptText)
+      : null;
 
-    const requestHeaders = (details.requestHeaders || [])
-      .filter(header => header.name.toLowerCase() !== GEMINI_PROMPT_HEADER.toLowerCase());
+    if (promptUrl) {
+      updateAttempt(delivery.source, { outcome: 'delivered' });
+      return promptUrl;
+    }
 
-    requestHeaders.push({
-      name: GEMINI_PROMPT_HEADER,
-      value: encodedPrompt
+    // Clipboard providers, and prompts too long for a URL, are pasted by the user
+    return window.Platform.copyText(promptText).then(() => {
+      updateAttempt(delivery.source, { outcome: 'delivered', method: 'clipboard' });
+      notify(delivery.source, 'info', window.I18n.getMessage('notificationPromptCopied', delivery.provider.name));
+      return delivery.provider.sidebarUrl;
+    }, error => {
+      updateAttempt(delivery.source, { outcome: 'failed', reason: 'copyFailed', detail: error.message });
+      throw error;
     });
+  });
+}
 
-    return {requestHeaders};
-  };
+/**
+ * Sets up prompt delivery for a single video summarized with a prompt profile, or asked about
+ * @param {string} videoUrl - The YouTube video URL to include in the prompt
+ * @param {string} [profileId] - The prompt profile to use
+ * @param {object|Promise<object>} [metadata] - Video metadata for the prompt placeholders
+ * @param {object} [source] - Where the summary was started from
+ * @param {string} [providerId] - The chat provider to use instead of the default
+ * @param {{kind: string, text: string|Promise<string>}} [userText] - A question or selected text to prompt about instead of summarizing
+ */
+function prepareGeminiWithHeader(videoUrl, profileId, metadata, source, providerId, userText) {
+  if (userText && userText.kind === 'question' && !(source && source.incognito)) {
+    window.RecentQuestions.rememberQuestion(userText.text).catch(error => {
+      console.error('Error saving recent question:', error);
+    });
+  }
 
-  // Add the listener for Gemini requests
-  browser.webRequest.onBeforeSendHeaders.addListener(
-    listener,
-    {
-      urls: [GEMINI_APP_URL_PATTERN],
-      types: ["main_frame"]
-    },
-    ["blocking", "requestHeaders"]
-  );
-
-  const injection = {
-    listener,
-    timeoutId: setTimeout(() => {
-      if (activeGeminiHeaderInjection === injection) {
-        clearPendingGeminiHeaderInjection();
-      }
-    }, GEMINI_HEADER_TIMEOUT_MS)
+  const parts = getVideoPromptParts(videoUrl, profileId, metadata, userText);
+  preparePromptWithHeader(parts.template, parts.valuesPromise, {
+    promptName: parts.promptName,
+    profileId: parts.profileId,
+    source,
+    providerId
+  });
+}
+
+/**
+ * Picks the template for a single video and starts building its placeholder values
+ * @param {string} videoUrl - The YouTube video URL to include in the prompt
+ * @param {string} [profileId] - The prompt profile to use; leave out to let the prompt rules choose
+ * @param {object|Promise<object>} [metadata] - Video metadata for the prompt placeholders
+ * @param {{kind: string, text: string|Promise<string>}} [userText] - A question or selected text; its
+ *   template from USER_TEXT_PROMPTS then replaces the profiles and rules
+ * @returns {{template: Promise<string>, valuesPromise: Promise<Object<string, string>>, promptName: Promise<string>, profileId: string|undefined}}
+ */
+function getVideoPromptParts(videoUrl, profileId, metadata, userText) {
+  const metadataPromise = Promise.resolve(metadata).then(videoMetadata => videoMetadata || {});
+  if (userText) {
+    const userTextPrompt = USER_TEXT_PROMPTS[userText.kind];
+    const userTextTemplate = cachedSettings[userTextPrompt.templateSetting];
+    return {
+      template: Promise.resolve(userTextTemplate),
+      valuesPromise: Promise.all([metadataPromise, userText.text]).then(([videoMetadata, text]) => {
+        return window.PromptTemplate.buildPromptValues(videoUrl, videoMetadata, { [userText.kind]: text });
+      }),
+      promptName: Promise.resolve(window.I18n.getMessage(userTextPrompt.promptName)),
+      profileId: undefined
+    };
+  }
+
+  // Pick the template now, while the cache matches what the user clicked.
+  // Rules only apply when no profile was chosen, and need the video details to be checked.
+  const profile = getPromptProfile(profileId);
+  const rules = profileId ? [] : cachedSettings.promptRules;
+  const rulePromise = metadataPromise.then(videoMetadata => {
+    return window.PromptRules.findMatchingRule(rules, videoMetadata);
+  });
+
+  return {
+    template: rulePromise.then(rule => rule ? rule.template : profile.template),
+    // A rule's language replaces the one from the settings
+    valuesPromise: Promise.all([metadataPromise, rulePromise]).then(([videoMetadata, rule]) => {
+      const ruleValues = rule && rule.language ? { language: rule.language } : {};
+      return window.PromptTemplate.buildPromptValues(videoUrl, videoMetadata, ruleValues);
+    }),
+    promptName: rulePromise.then(rule => rule ? window.I18n.getMessage('promptNameRule', rule.name) : profile.name),
+    profileId: profile.id
   };
+}
 
-  activeGeminiHeaderInjection = injection;
+/**
+ * Returns the language summaries should be written in, for the {language} placeholder
+ * Used unless the prompt's rule names a language of its own.
+ * @returns {string} - The language from the settings, or the browser's language when none is set
+ */
+function getResponseLanguage() {
+  return cachedSettings.responseLanguage || window.I18n.getUILanguageName();
 }
 
 /**
- * Checks whether a request is the Gemini app navigation that should receive the prompt header
- * @param {object} details - webRequest request details
- * @returns {boolean}
+ * Adds the transcript to the placeholder values when the template uses {transcript}
+ * @param {string} template - The prompt template
+ * @param {Object<string, string>} values - The placeholder values
+ * @param {object} [source] - Where the summary was started from; its tab downloads the captions
+ * @returns {Promise<Object<string, string>>}
  */
-function isGeminiAppNavigation(details) {
-  if (!details.url || (details.type && details.type !== "main_frame")) {
-    return false;
+function addTranscriptValue(template, values, source) {
+  if (!window.PromptTemplate.getTemplatePlaceholders(template).has('transcript')) {
+    return Promise.resolve(values);
   }
 
-  const url = new URL(details.url);
-  return url.hostname === "gemini.google.com" &&
-    (url.pathname === "/app" || url.pathname.startsWith("/app/"));
+  return requestTranscript(source, values.videoUrl)
+    .then(transcript => ({ ...values, transcript }));
 }
 
 /**
- * Sets up header injection for Gemini requests from the sidebar
- * @param {string} videoUrl - The YouTube video URL to include in the prompt
+ * Renders a template once its placeholder values, transcript included, have loaded
+ * @param {string|Promise<string>} template - The prompt template, or a promise for one picked by a rule
+ * @param {Promise<Object<string, string>>} valuesPromise - Resolves to the placeholder values
+ * @param {{promptName: string|Promise<string>, source?: object}} details - The prompt's name and where the summary was started from
+ * @returns {Promise<{promptText: string, values: Object<string, string>, promptName: string}>}
  */
-function prepareGeminiWithHeader(videoUrl) {
-  const promptText = cachedPromptTemplate.replace('{videoUrl}', videoUrl);
-  setupGeminiListener(promptText);
+function renderPrompt(template, valuesPromise, details) {
+  return Promise.all([template, valuesPromise, details.promptName]).then(([promptTemplate, values, promptName]) => {
+    const languageValues = { ...values, language: values.language || getResponseLanguage() };
+    return Promise.all([promptTemplate, addTranscriptValue(promptTemplate, languageValues, details.source), promptName]);
+  }).then(([promptTemplate, values, promptName]) => ({
+    promptText: window.PromptTemplate.renderPromptTemplate(promptTemplate, values),
+    values,
+    promptName
+  }));
+}
+
+/**
+ * Sets up prompt delivery for a template whose placeholder values may still be loading
+ * @param {string|Promise<string>} template - The prompt template, or a promise for one picked by a rule
+ * @param {Promise<Object<string, string>>} valuesPromise - Resolves to the placeholder values
+ * @param {{promptName: string|Promise<string>, profileId?: string, title?: string, source?: object, providerId?: string}} details -
+ *   How the summary was started, recorded in the history, and the chat provider override
+ */
+function preparePromptWithHeader(template, valuesPromise, details) {
+  const promptPromise = renderPrompt(template, valuesPromise, details).then(({ promptText, values, promptName }) => {
+    recordSummary(values, promptText, { ...details, promptName });
+    return promptText;
+  });
+
+  deliverPrompt(promptPromise, details.providerId, details.source);
 }
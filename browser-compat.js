@@ -0,0 +1,59 @@
+// Makes the promise-based browser.* API available in Chromium browsers
+//
+// Firefox provides browser.* itself, so this script does nothing there. Chromium
+// only has chrome.*, whose Manifest V3 functions already return promises when
+// called without a callback; the differences left are handled here:
+// - functions must be called on their own namespace object
+// - runtime.onMessage listeners answer by returning a promise in Firefox, but must
+//   call sendResponse and return true in Chromium
+
+if (typeof globalThis.browser === 'undefined' && typeof globalThis.chrome !== 'undefined') {
+  // Wrapped onMessage listeners keyed by the original, so they can be removed again
+  const wrappedMessageListeners = new WeakMap();
+
+  /**
+   * Lets a Firefox-style message listener answer by returning a promise
+   * @param {function} listener - The listener as written for browser.runtime.onMessage
+   * @returns {function} - A listener for chrome.runtime.onMessage
+   */
+  const wrapMessageListener = listener => {
+    if (!wrappedMessageListeners.has(listener)) {
+      wrappedMessageListeners.set(listener, (message, sender, sendResponse) => {
+        const result = listener(message, sender, sendResponse);
+        if (result && typeof result.then === 'function') {
+          result.then(sendResponse, error => {
+            console.error('Error handling message:', error);
+            sendResponse(undefined);
+          });
+          return true;
+        }
+        return result === true;
+      });
+    }
+    return wrappedMessageListeners.get(listener);
+  };
+
+  /**
+   * Wraps a chrome.* namespace so it can be used like the matching browser.* namespace
+   * @param {object} target - The chrome.* object
+   * @param {string} path - The path of the object, e.g. "runtime.onMessage"
+   * @returns {object}
+   */
+  const wrapNamespace = (target, path) => new Proxy(target, {
+    get(object, name) {
+      const value = object[name];
+      if (path === 'runtime.onMessage' && ['addListener', 'removeListener', 'hasListener'].includes(name)) {
+        return listener => value.call(object, wrapMessageListener(listener));
+      }
+      if (typeof value === 'function') {
+        return value.bind(object);
+      }
+      if (value && typeof value === 'object') {
+        return wrapNamespace(value, path ? `${path}.${String(name)}` : String(name));
+      }
+      return value;
+    }
+  });
+
+  globalThis.browser = wrapNamespace(globalThis.chrome, '');
+}
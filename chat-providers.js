@@ -0,0 +1,138 @@
+// Chat provider registry shared by the background, options and popup pages
+//
+// Each provider declares where the sidebar navigates, the host permissions of its
+// site, and how the prompt reaches the chat:
+// - "header": a request header added to the sidebar navigation (needs host permissions)
+// - "query": a URL query parameter on the sidebar URL
+// - "clipboard": the prompt is copied so the user can paste it
+
+//
+// The Firefox manifest grants the host permissions of header providers, and the
+// Chromium manifest those of every provider, since its side panel frames the chat and
+// removes the headers that would block that. .github/scripts/check-host-permissions.js
+// fails the build when a manifest doesn't match this list.
+
+// Query URLs longer than this fall back to the clipboard, since servers reject very long URLs
+const MAX_QUERY_URL_LENGTH = 8000;
+
+const CHAT_PROVIDERS = [
+  {
+    id: 'gemini',
+    name: 'Gemini',
+    sidebarUrl: 'https://gemini.google.com/app',
+    hostPermissions: ['*://gemini.google.com/*'],
+    delivery: 'header',
+    headerName: 'X-Firefox-Gemini',
+    appHostname: 'gemini.google.com',
+    appPath: '/app'
+  },
+  {
+    id: 'chatgpt',
+    name: 'ChatGPT',
+    sidebarUrl: 'https://chatgpt.com/',
+    hostPermissions: ['*://chatgpt.com/*'],
+    delivery: 'query',
+    queryParam: 'q'
+  },
+  {
+    id: 'claude',
+    name: 'Claude',
+    sidebarUrl: 'https://claude.ai/new',
+    hostPermissions: ['*://claude.ai/*'],
+    delivery: 'query',
+    queryParam: 'q'
+  },
+  {
+    id: 'perplexity',
+    name: 'Perplexity',
+    sidebarUrl: 'https://www.perplexity.ai/search',
+    hostPermissions: ['*://www.perplexity.ai/*'],
+    delivery: 'query',
+    queryParam: 'q'
+  },
+  {
+    id: 'mistral',
+    name: 'Le Chat',
+    sidebarUrl: 'https://chat.mistral.ai/chat',
+    hostPermissions: ['*://chat.mistral.ai/*'],
+    delivery: 'query',
+    queryParam: 'q'
+  }
+];
+
+const DEFAULT_PROVIDER_ID = 'gemini';
+
+/**
+ * Finds a provider by ID, falling back to the default provider
+ * @param {string} [providerId] - The provider ID
+ * @returns {object} - The provider
+ */
+function getChatProvider(providerId) {
+  return CHAT_PROVIDERS.find(provider => provider.id === providerId) ||
+    CHAT_PROVIDERS.find(provider => provider.id === DEFAULT_PROVIDER_ID);
+}
+
+/**
+ * Builds the sidebar URL carrying the prompt for a query-delivery provider
+ * @param {object} provider - The provider
+ * @param {string} promptText - The rendered prompt
+ * @returns {string|null} - The URL, or null if it would be too long to send
+ */
+function buildPromptUrl(provider, promptText) {
+  const url = new URL(provider.sidebarUrl);
+  url.searchParams.set(provider.queryParam, promptText);
+  const urlText = url.toString();
+
+  return urlText.length <= MAX_QUERY_URL_LENGTH ? urlText : null;
+}
+
+/**
+ * Lists the domains a provider's host permissions cover
+ * @param {object} provider - The provider
+ * @returns {string[]} - Domains such as "chatgpt.com"; subdomains are covered too
+ */
+function getProviderDomains(provider) {
+  return provider.hostPermissions
+    .map(pattern => pattern.match(/^[^:]+:\/\/(?:\*\.)?([^/]+)\//))
+    .filter(match => match)
+    .map(match => match[1]);
+}
+
+/**
+ * Checks whether a request is the provider's app navigation that should receive the prompt header
+ * @param {object} provider - A header-delivery provider
+ * @param {object} details - webRequest request details
+ * @returns {boolean}
+ */
+function isProviderAppNavigation(provider, details) {
+  if (!details.url || (details.type && details.type !== "main_frame")) {
+    return false;
+  }
+
+  const url = new URL(details.url);
+  return url.hostname === provider.appHostname &&
+    (url.pathname === provider.appPath || url.pathname.startsWith(`${provider.appPath}/`));
+}
+
+// Make the registry available to other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    CHAT_PROVIDERS,
+    DEFAULT_PROVIDER_ID,
+    getChatProvider,
+    buildPromptUrl,
+    getProviderDomains,
+    isProviderAppNavigation
+  };
+} else {
+  // Browser environment - make it globally available
+  window.ChatProviders = {
+    CHAT_PROVIDERS,
+    DEFAULT_PROVIDER_ID,
+    getChatProvider,
+    buildPromptUrl,
+    getProviderDomains,
+    isProviderAppNavigation
+  };
+}
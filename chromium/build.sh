@@ -0,0 +1,38 @@
+#!/usr/bin/env bash
+# Assembles the Chromium (Manifest V3) build in dist/chromium from the shared source.
+# The Firefox build uses the repository root as is; this one swaps in the files
+# from this directory and takes its version from the Firefox manifest.
+set -euo pipefail
+
+ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+OUT_DIR="${1:-$ROOT_DIR/dist/chromium}"
+
+rm -rf "$OUT_DIR"
+mkdir -p "$OUT_DIR"
+
+cp "$ROOT_DIR"/*.js "$ROOT_DIR"/*.html "$OUT_DIR"/
+cp -R "$ROOT_DIR/_locales" "$ROOT_DIR/icons" "$ROOT_DIR/content-scripts" "$OUT_DIR"/
+# Saved YouTube markup for checking thumbnail detection; not part of the extension
+rm -rf "$OUT_DIR/content-scripts/fixtures"
+# platform.js replaces the Firefox version of the same file
+cp "$ROOT_DIR/chromium/service-worker.js" "$ROOT_DIR/chromium/platform.js" \
+  "$ROOT_DIR/chromium/offscreen.html" "$ROOT_DIR/chromium/offscreen.js" \
+  "$ROOT_DIR/chromium/managed-schema.json" "$OUT_DIR"/
+
+python3 - "$ROOT_DIR/manifest.json" "$ROOT_DIR/chromium/manifest.json" "$OUT_DIR/manifest.json" <<'PYTHON'
+import json
+import sys
+
+firefox_path, chromium_path, output_path = sys.argv[1:4]
+with open(firefox_path, encoding="utf-8") as firefox_file:
+    version = json.load(firefox_file)["version"]
+with open(chromium_path, encoding="utf-8") as chromium_file:
+    manifest = json.load(chromium_file)
+
+manifest["version"] = version
+with open(output_path, "w", encoding="utf-8") as output_file:
+    json.dump(manifest, output_file, indent=2, ensure_ascii=False)
+    output_file.write("\n")
+PYTHON
+
+echo "Chromium build created in $OUT_DIR (version $(python3 -c 'import json, sys; print(json.load(open(sys.argv[1]))["version"])' "$OUT_DIR/manifest.json"))"
@@ -0,0 +1,17 @@
+// Offscreen document for the Chromium build, whose service worker can't use the clipboard
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action !== 'copyToClipboard') {
+    return false;
+  }
+
+  // The page is never focused, so the asynchronous clipboard API is not allowed
+  const textArea = document.getElementById('clipboardText');
+  textArea.value = request.text;
+  textArea.select();
+  const copied = document.execCommand('copy');
+  textArea.value = '';
+
+  sendResponse({ copied });
+  return false;
+});
@@ -0,0 +1,274 @@
+// Browser-specific parts of the extension, Chromium version
+//
+// Replaces the root platform.js in the Chromium build. The chat is shown in the
+// side panel, opened from the toolbar button, and the prompt header is added
+// by a declarativeNetRequest session rule.
+
+// declarativeNetRequest session rule IDs
+const PROMPT_HEADER_RULE_ID = 1;
+const CHAT_FRAME_RULE_ID = 2;
+
+// Header prompts whose side panel is loading the chat, oldest first
+const armedPromptHeaders = [];
+// Ends each armed prompt's turn at the header rule, keyed by delivery
+const promptHeaderTurnEnds = new Map();
+// Resolves once the last armed prompt has had its turn at the header rule
+let lastPromptHeaderTurn = Promise.resolve();
+// The delivery whose header the rule currently adds
+let installedPromptHeader = null;
+// Keeps session rule updates in order
+let promptHeaderRuleUpdate = Promise.resolve();
+
+/**
+ * Opens the side panel; must run while handling a user action
+ * @param {number} windowId - The window to open it in
+ * @returns {Promise<boolean>} - Whether the side panel could be opened
+ */
+function openChatPanel(windowId) {
+  return browser.sidePanel.open({ windowId }).then(() => true, error => {
+    console.error('Error opening chat sidebar:', error);
+    return false;
+  });
+}
+
+/**
+ * Enables the toolbar button for a tab
+ * @param {number} tabId - The ID of the tab
+ * @param {string} popup - The popup page to open, or "" to send a click event instead
+ */
+function showAction(tabId, popup) {
+  browser.action.setPopup({ tabId, popup });
+  browser.action.enable(tabId);
+}
+
+/**
+ * Disables the toolbar button for a tab; Chromium can't hide it
+ * @param {number} tabId - The ID of the tab
+ */
+function hideAction(tabId) {
+  browser.action.disable(tabId);
+}
+
+/**
+ * Sets the tooltip of the toolbar button for a tab
+ * @param {number} tabId - The ID of the tab
+ * @param {string} title - The tooltip
+ */
+function setActionTitle(tabId, title) {
+  browser.action.setTitle({ tabId, title });
+}
+
+/**
+ * Sets the icon of the toolbar button for a tab
+ * @param {number} tabId - The ID of the tab
+ * @param {Object<number, ImageData>|null} imageData - Image data keyed by size, or null for the manifest icon
+ * @returns {Promise<void>}
+ */
+function setActionIcon(tabId, imageData) {
+  // Chromium has no way to go back to the manifest icon, so it is set again
+  return imageData
+    ? browser.action.setIcon({ tabId, imageData })
+    : browser.action.setIcon({ tabId, path: browser.runtime.getManifest().action.default_icon });
+}
+
+/**
+ * Listens for clicks on the toolbar button while it has no popup
+ * @param {function(object): void} listener - Called with the tab
+ */
+function addActionClickListener(listener) {
+  browser.action.onClicked.addListener(listener);
+}
+
+/**
+ * Copies text to the clipboard from the service worker, which has no clipboard
+ * of its own, by handing it to the offscreen document
+ * @param {string} text - The text to copy
+ * @returns {Promise<void>}
+ */
+function copyText(text) {
+  return browser.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] })
+    .then(contexts => contexts.length > 0 || browser.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['CLIPBOARD'],
+      justification: 'Copies prompts that are too long to send in the chat URL'
+    }))
+    .then(() => browser.runtime.sendMessage({ action: 'copyToClipboard', text }))
+    .then(response => {
+      if (!response || !response.copied) {
+        throw new Error('The prompt could not be copied');
+      }
+    });
+}
+
+/**
+ * Sets up the service worker's browser-specific parts
+ * The toolbar button starts disabled and is enabled on YouTube tabs, like Firefox's
+ * page action
+ */
+function initializeBackground() {
+  browser.action.disable();
+  browser.declarativeNetRequest.updateSessionRules({ removeRuleIds: [PROMPT_HEADER_RULE_ID] }).catch(error => {
+    console.error('Error removing prompt header rule:', error);
+  });
+}
+
+/**
+ * Lets the allowed chat sites load in the side panel's frame by removing their
+ * X-Frame-Options header
+ * The chat's content security policy is left as it is: rules can only remove or
+ * replace a whole header, and removing it would turn off the chat's script
+ * protection, so a chat that limits framing with frame-ancestors can't be shown
+ * @param {Array<object>} providers - The chat providers the policy allows
+ * @returns {Promise<void>}
+ */
+function allowChatFrames(providers) {
+  return browser.declarativeNetRequest.updateSessionRules({
+    removeRuleIds: [CHAT_FRAME_RULE_ID],
+    addRules: [{
+      id: CHAT_FRAME_RULE_ID,
+      priority: 1,
+      action: {
+        type: 'modifyHeaders',
+        responseHeaders: [{ header: 'x-frame-options', operation: 'remove' }]
+      },
+      condition: {
+        requestDomains: providers.flatMap(window.ChatProviders.getProviderDomains),
+        initiatorDomains: [browser.runtime.id],
+        resourceTypes: ['sub_frame']
+      }
+    }]
+  }).catch(error => {
+    console.error('Error setting up chat frame rule:', error);
+  });
+}
+
+/**
+ * Starts adding a prompt header to the chat loaded by the delivery's side panel
+ * Rules can't tell side panels apart, so armed deliveries take turns at a single
+ * rule in the order their side panels asked, each until its chat has loaded
+ * @param {{provider: object, promptPromise: Promise<string>, windowId: number}} delivery - A header delivery
+ * @param {function(object): void} onDelivered - Not called; the side panel reports the chat loading instead
+ * @returns {Promise<void>} - Resolves once the rule sends this delivery's prompt
+ */
+function armPromptHeader(delivery, onDelivered) {
+  armedPromptHeaders.push(delivery);
+
+  const previousTurn = lastPromptHeaderTurn;
+  const turnEnded = new Promise(resolve => promptHeaderTurnEnds.set(delivery, resolve));
+  lastPromptHeaderTurn = Promise.all([previousTurn, turnEnded]);
+
+  return previousTurn
+    .then(() => delivery.promptPromise)
+    .then(promptText => {
+      // The delivery may have expired while it waited
+      if (!armedPromptHeaders.includes(delivery)) {
+        return;
+      }
+
+      installedPromptHeader = delivery;
+      promptHeaderRuleUpdate = promptHeaderRuleUpdate.then(() => browser.declarativeNetRequest.updateSessionRules({
+        removeRuleIds: [PROMPT_HEADER_RULE_ID],
+        addRules: [{
+          id: PROMPT_HEADER_RULE_ID,
+          priority: 1,
+          action: {
+            type: 'modifyHeaders',
+            requestHeaders: [{
+              header: delivery.provider.headerName,
+              operation: 'set',
+              // Encode the prompt as URI component to handle newlines and special characters
+              value: encodeURIComponent(promptText)
+            }]
+          },
+          condition: {
+            urlFilter: `|https://${delivery.provider.appHostname}${delivery.provider.appPath}`,
+            initiatorDomains: [browser.runtime.id],
+            resourceTypes: ['sub_frame']
+          }
+        }]
+      }));
+      return promptHeaderRuleUpdate;
+    });
+}
+
+/**
+ * Stops adding a delivery's prompt header and lets the next armed delivery have its turn;
+ * does nothing for deliveries that aren't armed
+ * @param {object} delivery - The delivery
+ */
+function disarmPromptHeader(delivery) {
+  const armedIndex = armedPromptHeaders.indexOf(delivery);
+  if (armedIndex === -1) {
+    return;
+  }
+  armedPromptHeaders.splice(armedIndex, 1);
+
+  const endTurn = promptHeaderTurnEnds.get(delivery);
+  promptHeaderTurnEnds.delete(delivery);
+  if (installedPromptHeader !== delivery) {
+    endTurn();
+    return;
+  }
+
+  installedPromptHeader = null;
+  promptHeaderRuleUpdate = promptHeaderRuleUpdate
+    .catch(() => {})
+    .then(() => browser.declarativeNetRequest.updateSessionRules({ removeRuleIds: [PROMPT_HEADER_RULE_ID] }))
+    .catch(error => {
+      console.error('Error removing prompt header rule:', error);
+    })
+    .then(endTurn);
+}
+
+/**
+ * Lists the header prompts still waiting for their side panel's chat, oldest first
+ * @returns {Array<object>}
+ */
+function getArmedPromptHeaders() {
+  return armedPromptHeaders.slice();
+}
+
+/**
+ * Shows a chat in a frame filling the side panel, which can't navigate to other sites
+ * @param {string} url - The chat URL
+ * @param {function(): void} [onLoad] - Called once the chat has loaded
+ */
+function showChat(url, onLoad) {
+  const frame = document.createElement('iframe');
+  frame.className = 'chat-frame';
+  frame.allow = 'clipboard-read; clipboard-write';
+  frame.src = url;
+  if (onLoad) {
+    frame.addEventListener('load', onLoad, { once: true });
+  }
+  document.body.replaceChildren(frame);
+}
+
+/**
+ * Opens Chromium's page for changing extension shortcuts
+ * @returns {Promise<object>}
+ */
+function openShortcutSettings() {
+  return browser.tabs.create({ url: 'chrome://extensions/shortcuts' });
+}
+
+window.Platform = {
+  // The context menu context of the extension's button
+  ACTION_MENU_CONTEXT: 'action',
+  // Chromium has no commands.update() or commands.reset()
+  canEditShortcuts: false,
+  openChatPanel,
+  showAction,
+  hideAction,
+  setActionTitle,
+  setActionIcon,
+  addActionClickListener,
+  copyText,
+  initializeBackground,
+  allowChatFrames,
+  armPromptHeader,
+  disarmPromptHeader,
+  getArmedPromptHeaders,
+  showChat,
+  openShortcutSettings
+};
@@ -0,0 +1,27 @@
+// Background service worker of the Chromium build
+//
+// Loads the same scripts as the Firefox background page. They share one global
+// scope and publish their helpers on window, which a service worker doesn't have.
+
+self.window = self;
+
+importScripts(
+  '/browser-compat.js',
+  '/i18n.js',
+  '/constants.js',
+  '/chat-providers.js',
+  '/platform.js',
+  '/prompt-profiles.js',
+  '/prompt-rules.js',
+  '/settings.js',
+  '/prompt-template.js',
+  '/youtube-url.js',
+  '/storage-writes.js',
+  '/summary-queue.js',
+  '/summary-history.js',
+  '/summary-attempts.js',
+  '/comparison-list.js',
+  '/recent-questions.js',
+  '/session-state.js',
+  '/background.js'
+);
@@ -0,0 +1,64 @@
+// Storage helpers for the videos marked for comparison, used by the background page
+//
+// Marks are kept in local storage rather than in the page, so they stay while YouTube
+// navigates between pages without reloading, and survive the Chromium service worker
+// being stopped. Only the background page changes them, one change at a time.
+
+// Marking stops at this many videos, so the comparison prompt stays a reasonable size
+const MAX_MARKED_VIDEOS = 10;
+
+// Runs the mark changes in order, so videos marked close together aren't lost
+const runMarkWrite = window.StorageWrites.createWriteQueue();
+
+/**
+ * Loads the marked videos from local storage, in the order they were marked
+ * @returns {Promise<Array<{videoUrl: string, title: string, channel: string, markedAt: number}>>}
+ */
+function loadMarkedVideos() {
+  return browser.storage.local.get(['comparisonVideos']).then(result => {
+    return Array.isArray(result.comparisonVideos) ? result.comparisonVideos : [];
+  });
+}
+
+/**
+ * Marks a video for comparison unless it is already marked or the list is full
+ * @param {string} videoUrl - The YouTube watch URL
+ * @param {object} [metadata] - Metadata scraped by the content script
+ * @returns {Promise<{added: boolean, full: boolean, length: number}>}
+ */
+function markVideo(videoUrl, metadata = {}) {
+  return runMarkWrite(() => loadMarkedVideos().then(videos => {
+    const key = window.YouTubeUrl.getVideoKey(videoUrl);
+    if (videos.some(video => window.YouTubeUrl.getVideoKey(video.videoUrl) === key)) {
+      return { added: false, full: false, length: videos.length };
+    }
+    if (videos.length >= MAX_MARKED_VIDEOS) {
+      return { added: false, full: true, length: videos.length };
+    }
+
+    videos.push({
+      videoUrl,
+      title: metadata.title || '',
+      channel: metadata.channel || '',
+      markedAt: Date.now()
+    });
+
+    return browser.storage.local.set({ comparisonVideos: videos })
+      .then(() => ({ added: true, full: false, length: videos.length }));
+  }));
+}
+
+/**
+ * Unmarks every video
+ * @returns {Promise<void>}
+ */
+function clearMarkedVideos() {
+  return runMarkWrite(() => browser.storage.local.set({ comparisonVideos: [] }));
+}
+
+window.ComparisonList = {
+  MAX_MARKED_VIDEOS,
+  loadMarkedVideos,
+  markVideo,
+  clearMarkedVideos
+};
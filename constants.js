@@ -17,13 +17,133 @@ Create a detailed summary that allows someone to understand the video's content
 6. **Context and Background**: If relevant, provide context about the topic, the creator, or why this video might be important.
 7. **Recommendations**: Based on the content, who would benefit most from this video and why.
 
-Please ensure your summary is detailed enough to serve as a complete replacement for watching the video, while remaining well-organized and easy to read.`;
+Please ensure your summary is detailed enough to serve as a complete replacement for watching the video, while remaining well-organized and easy to read.
+
+Write your answer in {language}.`;
+
+// Default prompt template for summarizing part of a video
+const DEFAULT_RANGE_PROMPT = `@YouTube Please summarize only the part of this YouTube video from {startTime} to {endTime}: {videoUrl}
+
+Cover everything presented between those two timestamps in chronological order, including the main points, arguments, demonstrations and any conclusions reached. Start with one or two sentences of context so the section makes sense to someone who did not watch the rest of the video, and finish with the key takeaways from this part.
+
+Write your answer in {language}.`;
+
+// Default number of minutes covered by "Explain the last N minutes"
+const DEFAULT_RECENT_MINUTES = 5;
+
+// Default prompt template for summarizing a playlist
+const DEFAULT_PLAYLIST_PROMPT = `@YouTube Please give me an overview of the YouTube playlist "{playlistTitle}" ({playlistUrl}). It contains these videos, in order ({playlistPart}):
+
+{videoList}
+
+Start with a short description of what the playlist as a whole covers and who it is for. Then summarize each video in a few sentences, keeping the playlist order, and point out how the videos build on each other. Finish with the key takeaways from the series and any videos that stand out as essential.
+
+Write your answer in {language}.`;
+
+// Default number of playlist videos included in a single prompt
+const DEFAULT_PLAYLIST_MAX_VIDEOS = 25;
+
+// Default prompt template for summarizing the queued videos together
+const DEFAULT_QUEUE_PROMPT = `@YouTube Please summarize each of these {videoCount} YouTube videos:
+
+{videoList}
+
+For each video, give its title, a short overview and its key takeaways. Then finish with a comparison section that points out the themes the videos share, where they disagree, and which video is the most worth watching in full for which kind of viewer.
+
+Write your answer in {language}.`;
+
+// Default prompt template for comparing the videos marked for comparison
+const DEFAULT_COMPARE_PROMPT = `@YouTube Please compare these {videoCount} YouTube videos:
+
+{videoList}
+
+Start with one or two sentences on what each video covers. Then contrast them: where they agree, where they disagree or give different advice, what each one covers that the others leave out, and how they differ in depth, accuracy and presentation. Finish with which video is the best choice for which kind of viewer, and why.
+
+Write your answer in {language}.`;
+
+// Default prompt template for a question typed about one video
+const DEFAULT_QUESTION_PROMPT = `@YouTube Please answer this question about the YouTube video {videoUrl}:
+
+{question}
+
+Answer from what the video shows and says, and give the timestamps of the parts your answer is based on. If the video does not cover the question, say so instead of guessing.
+
+Write your answer in {language}.`;
+
+// Default prompt template for text selected on a video's page, such as a comment or part of the description
+const DEFAULT_SELECTION_PROMPT = `@YouTube This text is from the page of the YouTube video {videoUrl}, for example from its description or a comment:
+
+"""
+{selection}
+"""
+
+Explain it in the context of the video: what it refers to and where the video covers it, with timestamps. If it makes claims, check them against what the video says and point out anything the video contradicts or does not back up.
+
+Write your answer in {language}.`;
+
+// Default maximum length of the {transcript} placeholder, in characters
+const DEFAULT_TRANSCRIPT_MAX_CHARS = 30000;
+
+// Default way of shortening transcripts that are too long: keep the start and the end
+const DEFAULT_TRANSCRIPT_TRUNCATION = 'startEnd';
+
+// Where a summary can be started from, with the message that names it;
+// each has its own notification setting and is recorded with each attempt
+const SUMMARY_TRIGGERS = [
+  { id: 'contextMenu', messageName: 'triggerContextMenu' },
+  { id: 'shortcut', messageName: 'triggerShortcut' },
+  { id: 'toolbar', messageName: 'triggerToolbar' },
+  { id: 'thumbnailButton', messageName: 'triggerThumbnailButton' },
+  { id: 'extensionPages', messageName: 'triggerExtensionPages' }
+];
+
+// Which notifications to show for a trigger: all of them, only errors and warnings, or none
+const NOTIFICATION_LEVELS = ['always', 'errors', 'never'];
+
+/**
+ * Returns a default prompt translated for the browser's language
+ * The English prompts above are the fallback; _locales/en has no prompt messages
+ * @param {string} messageName - The name of the translated prompt in the message catalogs
+ * @param {string} englishPrompt - The English prompt
+ * @returns {string}
+ */
+function getLocalizedPrompt(messageName, englishPrompt) {
+  return browser.i18n.getMessage(messageName) || englishPrompt;
+}
 
 // Make constants available to other scripts
 if (typeof module !== 'undefined' && module.exports) {
   // Node.js environment
-  module.exports = { DEFAULT_PROMPT };
+  module.exports = {
+    DEFAULT_PROMPT,
+    DEFAULT_RANGE_PROMPT,
+    DEFAULT_RECENT_MINUTES,
+    DEFAULT_PLAYLIST_PROMPT,
+    DEFAULT_PLAYLIST_MAX_VIDEOS,
+    DEFAULT_QUEUE_PROMPT,
+    DEFAULT_COMPARE_PROMPT,
+    DEFAULT_QUESTION_PROMPT,
+    DEFAULT_SELECTION_PROMPT,
+    DEFAULT_TRANSCRIPT_MAX_CHARS,
+    DEFAULT_TRANSCRIPT_TRUNCATION,
+    SUMMARY_TRIGGERS,
+    NOTIFICATION_LEVELS
+  };
 } else {
   // Browser environment - make it globally available
-  window.EXTENSION_CONSTANTS = { DEFAULT_PROMPT };
+  window.EXTENSION_CONSTANTS = {
+    DEFAULT_PROMPT: getLocalizedPrompt('defaultPrompt', DEFAULT_PROMPT),
+    DEFAULT_RANGE_PROMPT: getLocalizedPrompt('defaultRangePrompt', DEFAULT_RANGE_PROMPT),
+    DEFAULT_RECENT_MINUTES,
+    DEFAULT_PLAYLIST_PROMPT: getLocalizedPrompt('defaultPlaylistPrompt', DEFAULT_PLAYLIST_PROMPT),
+    DEFAULT_PLAYLIST_MAX_VIDEOS,
+    DEFAULT_QUEUE_PROMPT: getLocalizedPrompt('defaultQueuePrompt', DEFAULT_QUEUE_PROMPT),
+    DEFAULT_COMPARE_PROMPT: getLocalizedPrompt('defaultComparePrompt', DEFAULT_COMPARE_PROMPT),
+    DEFAULT_QUESTION_PROMPT: getLocalizedPrompt('defaultQuestionPrompt', DEFAULT_QUESTION_PROMPT),
+    DEFAULT_SELECTION_PROMPT: getLocalizedPrompt('defaultSelectionPrompt', DEFAULT_SELECTION_PROMPT),
+    DEFAULT_TRANSCRIPT_MAX_CHARS,
+    DEFAULT_TRANSCRIPT_TRUNCATION,
+    SUMMARY_TRIGGERS,
+    NOTIFICATION_LEVELS
+  };
 }
\ No newline at end of file
@@ -0,0 +1,322 @@
+/**
+ * Caption Parsing for Transcript Prompts
+ * Picks a caption track, parses YouTube's caption formats and turns them into
+ * timestamped text that fits a size limit. Has no DOM or browser dependencies.
+ */
+
+// Seconds of captions merged into one timestamped transcript line
+const TRANSCRIPT_LINE_SECONDS = 20;
+// Inserted where lines were dropped to fit the size limit
+const TRUNCATION_MARKER = window.I18n.getMessage('transcriptTruncationMarker');
+const TRUNCATION_STRATEGIES = ['start', 'startEnd', 'sample'];
+
+/**
+ * Decodes the XML entities used in caption text
+ * @param {string} text - The encoded text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const number = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(number) ? String.fromCodePoint(number) : entity;
+        }
+        return Object.prototype.hasOwnProperty.call(named, code) ? named[code] : entity;
+    });
+}
+
+/**
+ * Collapses the line breaks and spaces in the text of one caption
+ * @param {string} text - The caption text
+ * @returns {string}
+ */
+function collapseCaptionSpace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Cleans up the text of one XML caption, removing tags and decoding entities
+ * @param {string} text - The raw caption text
+ * @returns {string}
+ */
+function cleanCaptionText(text) {
+    return collapseCaptionSpace(decodeEntities(text.replace(/<[^>]*>/g, '')));
+}
+
+/**
+ * Reads one attribute from an XML tag's attribute string
+ * @param {string} attributes - The attributes, e.g. 'start="1.5" dur="2"'
+ * @param {string} name - The attribute name
+ * @returns {number|null}
+ */
+function readNumberAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}="([\\d.]+)"`));
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Parses captions in YouTube's JSON format (fmt=json3)
+ * @param {object} data - The parsed JSON
+ * @returns {Array<{start: number, text: string}>} - Cues with start times in seconds
+ */
+function parseJson3Captions(data) {
+    return (data.events || [])
+        .filter(event => Array.isArray(event.segs))
+        .map(event => ({
+            start: (event.tStartMs || 0) / 1000,
+            // The JSON holds plain text, so text like "<laughs>" is kept as written
+            text: collapseCaptionSpace(event.segs.map(segment => segment.utf8 || '').join(''))
+        }))
+        .filter(cue => cue.text);
+}
+
+/**
+ * Parses captions in YouTube's XML formats: <text start dur> (srv1) or <p t d> (srv3)
+ * @param {string} xml - The XML document
+ * @returns {Array<{start: number, text: string}>} - Cues with start times in seconds
+ */
+function parseXmlCaptions(xml) {
+    const cues = [];
+    const pattern = /<(text|p)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+        const [, tag, attributes, content] = match;
+        const time = readNumberAttribute(attributes, tag === 'text' ? 'start' : 't');
+        // Captions without a time are left out rather than placed at the start
+        const start = time !== null && tag === 'p' ? time / 1000 : time;
+        // srv1 escapes entities twice, e.g. &amp;#39; for an apostrophe
+        const text = tag === 'text'
+            ? decodeEntities(cleanCaptionText(content))
+            : cleanCaptionText(content);
+
+        if (text && Number.isFinite(start)) {
+            cues.push({ start, text });
+        }
+    }
+
+    return cues;
+}
+
+/**
+ * Parses a caption file in any format YouTube serves
+ * @param {string} text - The caption file contents
+ * @returns {Array<{start: number, text: string}>} - Cues in time order
+ */
+function parseCaptions(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+        return [];
+    }
+
+    const cues = trimmed.startsWith('{')
+        ? parseJson3Captions(JSON.parse(trimmed))
+        : parseXmlCaptions(trimmed);
+
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Extracts the caption track list from a watch page's HTML
+ * @param {string} html - The watch page HTML
+ * @returns {Array<object>} - The caption tracks, or an empty list if the video has none
+ */
+function extractCaptionTracksFromHtml(html) {
+    const marker = '"captionTracks":';
+    const start = (html || '').indexOf(marker);
+    if (start === -1) {
+        return [];
+    }
+
+    // Find the end of the JSON array by matching brackets outside strings
+    const arrayStart = start + marker.length;
+    let depth = 0;
+    let inString = false;
+    for (let index = arrayStart; index < html.length; index++) {
+        const char = html[index];
+        if (inString) {
+            if (char === '\\') {
+                index++;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '[') {
+            depth++;
+        } else if (char === ']') {
+            depth--;
+            if (depth === 0) {
+                try {
+                    return JSON.parse(html.slice(arrayStart, index + 1));
+                } catch (error) {
+                    return [];
+                }
+            }
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Picks the caption track to use for a transcript
+ * Manual captions are preferred over auto-generated ones, and the preferred language over others
+ * @param {Array<{languageCode: string, kind?: string}>} tracks - The video's caption tracks
+ * @param {string} [preferredLanguage] - A language code such as "en" or "pt-BR"; empty for any language
+ * @returns {object|null} - The chosen track, or null if there are none
+ */
+function chooseCaptionTrack(tracks, preferredLanguage) {
+    const language = (preferredLanguage || '').toLowerCase();
+    const isManual = track => track.kind !== 'asr';
+    const matchesLanguage = track => {
+        const code = (track.languageCode || '').toLowerCase();
+        return code === language || code.split('-')[0] === language.split('-')[0];
+    };
+
+    const candidates = language
+        ? [
+            track => isManual(track) && matchesLanguage(track),
+            track => !isManual(track) && matchesLanguage(track),
+            isManual,
+            () => true
+        ]
+        : [isManual, () => true];
+
+    for (const test of candidates) {
+        const track = (tracks || []).find(test);
+        if (track) {
+            return track;
+        }
+    }
+    return null;
+}
+
+/**
+ * Merges cues into timestamped lines of roughly equal length
+ * @param {Array<{start: number, text: string}>} cues - The cues in time order
+ * @param {number} [lineSeconds] - How many seconds of captions go on one line
+ * @returns {string[]} - Lines such as "[1:05] text"
+ */
+function formatTranscriptLines(cues, lineSeconds = TRANSCRIPT_LINE_SECONDS) {
+    const lines = [];
+    let lineStart = null;
+    let texts = [];
+
+    cues.forEach(cue => {
+        if (lineStart !== null && cue.start - lineStart >= lineSeconds) {
+            lines.push(`[${window.PromptTemplate.formatTimestamp(lineStart)}] ${texts.join(' ')}`);
+            lineStart = null;
+            texts = [];
+        }
+        if (lineStart === null) {
+            lineStart = cue.start;
+        }
+        texts.push(cue.text);
+    });
+
+    if (texts.length > 0) {
+        lines.push(`[${window.PromptTemplate.formatTimestamp(lineStart)}] ${texts.join(' ')}`);
+    }
+    return lines;
+}
+
+/**
+ * Takes whole lines from a list until a character budget is used up
+ * @param {string[]} lines - The lines to take from
+ * @param {number} budget - The number of characters available
+ * @returns {string[]}
+ */
+function takeLines(lines, budget) {
+    const taken = [];
+    let used = 0;
+    for (const line of lines) {
+        if (used + line.length + 1 > budget) {
+            break;
+        }
+        taken.push(line);
+        used += line.length + 1;
+    }
+    return taken;
+}
+
+/**
+ * Shortens a transcript to a maximum length, dropping whole lines
+ * @param {string[]} lines - The transcript lines
+ * @param {number} maxChars - The maximum length of the result
+ * @param {string} strategy - 'start' keeps the beginning, 'startEnd' keeps the beginning and the end,
+ *   'sample' keeps evenly spaced sections from the whole video
+ * @returns {{text: string, truncated: boolean}}
+ */
+function truncateTranscript(lines, maxChars, strategy) {
+    const fullText = lines.join('\n');
+    if (fullText.length <= maxChars) {
+        return { text: fullText, truncated: false };
+    }
+
+    const budget = Math.max(0, maxChars - TRUNCATION_MARKER.length * 4);
+    let parts;
+
+    if (strategy === 'start') {
+        parts = [takeLines(lines, budget)];
+    } else if (strategy === 'sample') {
+        // Split into sections and keep the beginning of each one
+        const sectionCount = 4;
+        const sectionSize = Math.ceil(lines.length / sectionCount);
+        parts = [];
+        for (let index = 0; index < lines.length; index += sectionSize) {
+            parts.push(takeLines(lines.slice(index, index + sectionSize), budget / sectionCount));
+        }
+    } else {
+        const head = takeLines(lines, budget / 2);
+        const tail = takeLines(lines.slice(head.length).reverse(), budget / 2).reverse();
+        parts = [head, tail];
+    }
+
+    const text = parts
+        .filter(part => part.length > 0)
+        .map(part => part.join('\n'))
+        .join(`\n${TRUNCATION_MARKER}\n`);
+
+    return {
+        text: strategy === 'startEnd' || strategy === 'sample' ? text : `${text}\n${TRUNCATION_MARKER}`,
+        truncated: true
+    };
+}
+
+/**
+ * Turns a caption file into transcript text that fits a size limit
+ * @param {string} captionText - The caption file contents
+ * @param {{maxChars: number, strategy: string}} options - The size limit and truncation strategy
+ * @returns {{text: string, truncated: boolean}}
+ */
+function buildTranscript(captionText, options) {
+    const lines = formatTranscriptLines(parseCaptions(captionText));
+    return truncateTranscript(lines, options.maxChars, options.strategy);
+}
+
+// Make the parser available to other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        TRUNCATION_STRATEGIES,
+        parseCaptions,
+        extractCaptionTracksFromHtml,
+        chooseCaptionTrack,
+        formatTranscriptLines,
+        truncateTranscript,
+        buildTranscript
+    };
+} else {
+    // Browser environment - make it globally available
+    window.CaptionParser = {
+        TRUNCATION_STRATEGIES,
+        parseCaptions,
+        extractCaptionTracksFromHtml,
+        chooseCaptionTrack,
+        formatTranscriptLines,
+        truncateTranscript,
+        buildTranscript
+    };
+}
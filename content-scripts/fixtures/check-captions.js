@@ -0,0 +1,77 @@
+/**
+ * Checks caption-parser.js against the caption files saved in fixtures/captions
+ * Each caption file is checked against the <name>.expected.json next to it, where <name> is the part
+ * of the file name before the first dot: the transcript lines it should give, and the timestamps of
+ * the lines each truncation strategy keeps. Run it from the repository root:
+ *
+ *     node content-scripts/fixtures/check-captions.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// caption-parser.js reaches the shared scripts through window, as in the content scripts
+global.window = {
+    I18n: require('../../i18n.js'),
+    PromptTemplate: require('../../prompt-template.js')
+};
+const { TRUNCATION_STRATEGIES, parseCaptions, formatTranscriptLines, truncateTranscript } = require('../caption-parser.js');
+
+const CAPTIONS_DIRECTORY = path.join(__dirname, 'captions');
+const EXPECTED_SUFFIX = '.expected.json';
+
+/**
+ * Lists the timestamps of the transcript lines in a text
+ * @param {string} text - The transcript text
+ * @returns {string[]} - Timestamps such as "1:05"
+ */
+function getLineTimes(text) {
+    return (text.match(/^\[[\d:]+\]/gm) || []).map(time => time.slice(1, -1));
+}
+
+/**
+ * Checks one caption file
+ * @param {string} captionText - The caption file contents
+ * @param {{lines: string[], truncation: object}} expected - The expected results
+ * @returns {string[]} - The mismatches found
+ */
+function checkCaptionFixture(captionText, expected) {
+    const problems = [];
+    const lines = formatTranscriptLines(parseCaptions(captionText));
+
+    const lineCount = Math.max(lines.length, expected.lines.length);
+    for (let index = 0; index < lineCount; index++) {
+        if (lines[index] !== expected.lines[index]) {
+            problems.push(`line ${index + 1}: expected ${JSON.stringify(expected.lines[index])}, got ${JSON.stringify(lines[index])}`);
+        }
+    }
+
+    const { maxChars } = expected.truncation;
+    TRUNCATION_STRATEGIES.forEach(strategy => {
+        const result = truncateTranscript(lines, maxChars, strategy);
+        const times = getLineTimes(result.text);
+        if (!result.truncated) {
+            problems.push(`${strategy}: not truncated to ${maxChars} characters`);
+        }
+        if (result.text.length > maxChars) {
+            problems.push(`${strategy}: ${result.text.length} characters, over the limit of ${maxChars}`);
+        }
+        if (times.join(' ') !== expected.truncation[strategy].join(' ')) {
+            problems.push(`${strategy}: kept ${times.join(' ') || 'nothing'}, expected ${expected.truncation[strategy].join(' ')}`);
+        }
+    });
+
+    return problems;
+}
+
+fs.readdirSync(CAPTIONS_DIRECTORY)
+    .filter(file => !file.endsWith(EXPECTED_SUFFIX))
+    .forEach(file => {
+        const expectedFile = `${file.split('.')[0]}${EXPECTED_SUFFIX}`;
+        const expected = JSON.parse(fs.readFileSync(path.join(CAPTIONS_DIRECTORY, expectedFile), 'utf8'));
+        const problems = checkCaptionFixture(fs.readFileSync(path.join(CAPTIONS_DIRECTORY, file), 'utf8'), expected);
+        console.log(file, problems.length ? problems.join('; ') : 'ok');
+        if (problems.length) {
+            process.exitCode = 1;
+        }
+    });
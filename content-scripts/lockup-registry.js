@@ -0,0 +1,250 @@
+/**
+ * Lockup Registry
+ * Describes each kind of YouTube lockup (the card around a video thumbnail): where
+ * it appears, which element is its thumbnail and where its video ID is found.
+ * When YouTube ships new markup, add or adjust an entry here and save a fixture
+ * in content-scripts/fixtures/.
+ *
+ * It only uses standard DOM methods, so it can also be loaded in Node.js with a DOM
+ * implementation to check the fixtures; see checkLockupFixture().
+ */
+
+// Renamed to avoid clashing with youtube-url.js, which shares the content script scope
+const { normalizeYouTubeUrl: normalizeLockupUrl, buildWatchUrl: buildLockupWatchUrl } =
+    typeof module !== 'undefined' && module.exports
+        ? require('../youtube-url.js')
+        : window.YouTubeUrl;
+
+// Relative links in YouTube's markup are resolved against this
+const YOUTUBE_ORIGIN = 'https://www.youtube.com/';
+
+// Thumbnail and video sources shared by YouTube's older ytd-*-renderer lockups
+const RENDERER_THUMBNAIL_SELECTOR = 'a#thumbnail';
+const RENDERER_VIDEO_SOURCES = [
+    { selector: 'a#thumbnail[href]', attribute: 'href' },
+    { selector: 'a#video-title[href], a#video-title-link[href]', attribute: 'href' }
+];
+// Thumbnail and video sources of the newer yt-lockup-view-model lockups
+const VIEW_MODEL_THUMBNAIL_SELECTOR = 'a.yt-lockup-view-model-wiz__content-image, a.yt-lockup-view-model__content-image';
+const VIEW_MODEL_VIDEO_SOURCES = [
+    { selector: 'a.yt-lockup-view-model-wiz__content-image[href], a.yt-lockup-view-model__content-image[href]', attribute: 'href' },
+    // The lockup's class names carry the video ID too, without the start time or playlist
+    { selector: '[class*="content-id-"]', attribute: 'class', pattern: /\bcontent-id-([A-Za-z0-9_-]{11})\b/ }
+];
+
+// Lockup types; when several match an element, the innermost lockup wins, then the earlier entry.
+// Each entry has:
+// - lockupSelector: matches the lockup element, with page context where the same element
+//   appears on several pages
+// - thumbnailSelector: the thumbnail inside the lockup, or null when the lockup is the thumbnail
+// - videoSources: where to read the video, tried in order; a selector that matches the lockup
+//   itself reads from the lockup. Attribute values are URLs, unless a pattern captures the video ID
+const LOCKUP_TYPES = [
+    {
+        id: 'channelGrid',
+        lockupSelector: [
+            'ytd-browse[page-subtype="channels"] ytd-rich-item-renderer',
+            'ytd-browse[page-subtype="channels"] ytd-rich-item-renderer yt-lockup-view-model',
+            'ytd-grid-video-renderer'
+        ].join(', '),
+        thumbnailSelector: `${RENDERER_THUMBNAIL_SELECTOR}, ${VIEW_MODEL_THUMBNAIL_SELECTOR}`,
+        videoSources: [...VIEW_MODEL_VIDEO_SOURCES, ...RENDERER_VIDEO_SOURCES]
+    },
+    {
+        id: 'homeGrid',
+        lockupSelector: 'ytd-rich-item-renderer, ytd-rich-item-renderer yt-lockup-view-model',
+        thumbnailSelector: `${RENDERER_THUMBNAIL_SELECTOR}, ${VIEW_MODEL_THUMBNAIL_SELECTOR}`,
+        videoSources: [...VIEW_MODEL_VIDEO_SOURCES, ...RENDERER_VIDEO_SOURCES]
+    },
+    {
+        id: 'searchResult',
+        lockupSelector: 'ytd-video-renderer, ytd-search yt-lockup-view-model',
+        thumbnailSelector: `${RENDERER_THUMBNAIL_SELECTOR}, ${VIEW_MODEL_THUMBNAIL_SELECTOR}`,
+        videoSources: [...VIEW_MODEL_VIDEO_SOURCES, ...RENDERER_VIDEO_SOURCES]
+    },
+    {
+        id: 'sidebarRecommendation',
+        lockupSelector: 'ytd-compact-video-renderer, ytd-watch-next-secondary-results-renderer yt-lockup-view-model',
+        thumbnailSelector: `${RENDERER_THUMBNAIL_SELECTOR}, ${VIEW_MODEL_THUMBNAIL_SELECTOR}`,
+        videoSources: [...VIEW_MODEL_VIDEO_SOURCES, ...RENDERER_VIDEO_SOURCES]
+    },
+    {
+        id: 'shortsShelf',
+        lockupSelector: 'ytm-shorts-lockup-view-model, ytm-shorts-lockup-view-model-v2, ytd-reel-item-renderer',
+        thumbnailSelector: 'a.shortsLockupViewModelHostEndpoint, a.reel-item-endpoint, a#thumbnail',
+        videoSources: [
+            { selector: 'a.shortsLockupViewModelHostEndpoint[href], a.reel-item-endpoint[href]', attribute: 'href' },
+            { selector: 'a#thumbnail[href]', attribute: 'href' }
+        ]
+    },
+    {
+        id: 'playlistItem',
+        lockupSelector: 'ytd-playlist-video-renderer, ytd-playlist-panel-video-renderer',
+        thumbnailSelector: RENDERER_THUMBNAIL_SELECTOR,
+        videoSources: [
+            ...RENDERER_VIDEO_SOURCES,
+            // The playlist panel links the whole item rather than the thumbnail
+            { selector: 'a#wc-endpoint[href]', attribute: 'href' }
+        ]
+    },
+    {
+        id: 'endScreenCard',
+        // Cards shown over the player near the end, and the grid shown once the video ends
+        lockupSelector: '.ytp-ce-video, a.ytp-videowall-still',
+        thumbnailSelector: null,
+        videoSources: [
+            { selector: 'a.ytp-ce-covering-overlay[href]', attribute: 'href' },
+            { selector: 'a.ytp-videowall-still[href]', attribute: 'href' }
+        ]
+    },
+    {
+        // View model lockups on pages without their own entry, such as the watch history
+        id: 'otherLockup',
+        lockupSelector: 'yt-lockup-view-model',
+        thumbnailSelector: VIEW_MODEL_THUMBNAIL_SELECTOR,
+        videoSources: VIEW_MODEL_VIDEO_SOURCES
+    }
+];
+
+// Matches the element of any lockup type
+const ANY_LOCKUP_SELECTOR = LOCKUP_TYPES.map(type => type.lockupSelector).join(', ');
+
+/**
+ * Finds the lockup an element belongs to
+ * @param {Element} element - An element inside the lockup, or the lockup itself
+ * @returns {{type: object, element: Element}|null} - The lockup type and element, or null outside lockups
+ */
+function findLockup(element) {
+    const lockupElement = element && element.closest(ANY_LOCKUP_SELECTOR);
+    if (!lockupElement) {
+        return null;
+    }
+
+    const type = LOCKUP_TYPES.find(candidate => lockupElement.matches(candidate.lockupSelector));
+    return { type, element: lockupElement };
+}
+
+/**
+ * Lists the lockups inside an element, leaving out lockups that wrap another lockup
+ * @param {ParentNode} root - The document or element to search
+ * @returns {Array<{type: object, element: Element}>} - The lockups in document order
+ */
+function findLockups(root) {
+    return Array.from(root.querySelectorAll(ANY_LOCKUP_SELECTOR))
+        .filter(element => !element.querySelector(ANY_LOCKUP_SELECTOR))
+        .map(findLockup);
+}
+
+/**
+ * Returns the thumbnail of a lockup
+ * @param {{type: object, element: Element}} lockup - A lockup from findLockup()
+ * @returns {Element|null} - The thumbnail, or null if YouTube has not rendered it yet
+ */
+function getLockupThumbnail(lockup) {
+    return lockup.type.thumbnailSelector
+        ? lockup.element.querySelector(lockup.type.thumbnailSelector)
+        : lockup.element;
+}
+
+/**
+ * Reads the video of a lockup, keeping a link's start time and playlist
+ * @param {{type: object, element: Element}} lockup - A lockup from findLockup()
+ * @returns {string|null} - The watch URL, or null if the lockup has no video
+ */
+function getLockupVideoUrl(lockup) {
+    for (const source of lockup.type.videoSources) {
+        const element = lockup.element.matches(source.selector)
+            ? lockup.element
+            : lockup.element.querySelector(source.selector);
+        const value = element && element.getAttribute(source.attribute);
+        if (!value) {
+            continue;
+        }
+
+        if (source.pattern) {
+            const match = value.match(source.pattern);
+            if (match) {
+                return buildLockupWatchUrl({ videoId: match[1] });
+            }
+            continue;
+        }
+
+        try {
+            const videoUrl = normalizeLockupUrl(new URL(value, YOUTUBE_ORIGIN).href);
+            if (videoUrl) {
+                return videoUrl;
+            }
+        } catch (error) {
+            // Not a URL; try the next source
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Checks detection against a saved fixture
+ * Fixtures mark each lockup with data-fixture-lockup (the expected type ID) and
+ * data-fixture-video-id, and may mark the element a user would point at with
+ * data-fixture-probe; detection starts from that element, or from the lockup.
+ * @param {ParentNode} root - The fixture's document
+ * @returns {string[]} - A description of each mismatch; empty when detection works
+ */
+function checkLockupFixture(root) {
+    const problems = [];
+    const expectedLockups = Array.from(root.querySelectorAll('[data-fixture-lockup]'));
+
+    expectedLockups.forEach(expected => {
+        const expectedType = expected.getAttribute('data-fixture-lockup');
+        const expectedVideoId = expected.getAttribute('data-fixture-video-id');
+        const probe = expected.querySelector('[data-fixture-probe]') || expected;
+        const lockup = findLockup(probe);
+
+        if (!lockup) {
+            problems.push(`${expectedType} ${expectedVideoId}: no lockup found`);
+            return;
+        }
+        if (lockup.type.id !== expectedType) {
+            problems.push(`${expectedType} ${expectedVideoId}: detected as ${lockup.type.id}`);
+        }
+
+        const videoUrl = getLockupVideoUrl(lockup);
+        const videoId = videoUrl && new URL(videoUrl).searchParams.get('v');
+        if (videoId !== expectedVideoId) {
+            problems.push(`${expectedType} ${expectedVideoId}: found video ${videoId}`);
+        }
+        if (!getLockupThumbnail(lockup)) {
+            problems.push(`${expectedType} ${expectedVideoId}: no thumbnail found`);
+        }
+    });
+
+    const foundLockups = findLockups(root).length;
+    if (foundLockups !== expectedLockups.length) {
+        problems.push(`expected ${expectedLockups.length} lockups, found ${foundLockups}`);
+    }
+
+    return problems;
+}
+
+// Make the registry available to other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        LOCKUP_TYPES,
+        findLockup,
+        findLockups,
+        getLockupThumbnail,
+        getLockupVideoUrl,
+        checkLockupFixture
+    };
+} else {
+    // Browser environment - make it globally available
+    window.LockupRegistry = {
+        LOCKUP_TYPES,
+        findLockup,
+        findLockups,
+        getLockupThumbnail,
+        getLockupVideoUrl,
+        checkLockupFixture
+    };
+}
@@ -0,0 +1,96 @@
+/**
+ * Playlist Utilities
+ * Collects the ordered videos of a playlist from the playlist page
+ * or from the playlist panel next to a watch page video
+ */
+
+/**
+ * Returns the rendered playlist items for the current page
+ * @returns {Element[]} - The playlist item elements in playlist order
+ */
+function findPlaylistItems() {
+    // Playlist page (youtube.com/playlist?list=...)
+    const pageItems = document.querySelectorAll('ytd-playlist-video-list-renderer ytd-playlist-video-renderer');
+    if (pageItems.length > 0) {
+        return Array.from(pageItems);
+    }
+    
+    // Playlist panel on a watch page; YouTube can render more than one copy of the panel
+    for (const panel of document.querySelectorAll('ytd-playlist-panel-renderer')) {
+        const panelItems = panel.querySelectorAll('ytd-playlist-panel-video-renderer');
+        if (panelItems.length > 0) {
+            return Array.from(panelItems);
+        }
+    }
+    
+    return [];
+}
+
+/**
+ * Reads the playlist title from the playlist page header or the watch page panel
+ * @returns {string} - The playlist title, or an empty string if it is not shown
+ */
+function findPlaylistTitle() {
+    const selectors = [
+        'ytd-playlist-header-renderer .yt-dynamic-sizing-formatted-string',
+        'ytd-playlist-header-renderer #title',
+        'yt-page-header-view-model h1',
+        'ytd-playlist-panel-renderer #header-description h3 a',
+        'ytd-playlist-panel-renderer .title'
+    ];
+    
+    for (const selector of selectors) {
+        const element = document.querySelector(selector);
+        const text = element && element.textContent.trim();
+        if (text) {
+            return text;
+        }
+    }
+    
+    return '';
+}
+
+/**
+ * Collects the playlist shown on the current page
+ * @returns {{title: string, url: string, videos: Array<{videoUrl: string, title: string, channel: string, duration: string}>}|null}
+ *   - The playlist, or null if the page does not belong to a playlist
+ */
+function collectPlaylist() {
+    const playlistId = window.URLUtils.extractPlaylistId(window.location.href);
+    if (!playlistId) {
+        return null;
+    }
+    
+    const videos = [];
+    const seenVideoIds = new Set();
+    
+    findPlaylistItems().forEach(item => {
+        const videoUrl = window.URLUtils.findVideoUrlFromElement(item);
+        const videoId = window.URLUtils.extractVideoId(videoUrl);
+        if (!videoId || seenVideoIds.has(videoId)) {
+            return;
+        }
+        
+        seenVideoIds.add(videoId);
+        const metadata = window.VideoMetadata.scrapeLockupMetadata(item);
+        videos.push({
+            videoUrl: window.URLUtils.constructWatchUrl(videoId),
+            title: metadata.title || '',
+            channel: metadata.channel || '',
+            duration: metadata.duration || ''
+        });
+    });
+    
+    return {
+        title: findPlaylistTitle(),
+        url: `https://www.youtube.com/playlist?list=${playlistId}`,
+        videos
+    };
+}
+
+// Make functions available globally for use by other content scripts
+if (typeof window !== 'undefined') {
+    window.PlaylistUtils = {
+        collectPlaylist
+    };
+}
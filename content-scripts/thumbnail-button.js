@@ -0,0 +1,376 @@
+/**
+ * Thumbnail Button
+ * Adds a small "Summarize" button to video thumbnails, shown on hover next to
+ * YouTube's own Watch Later and Add to Queue buttons
+ */
+
+// Marks thumbnails that have a button; "positioned" when the button needed position: relative
+const THUMBNAIL_HOST_ATTRIBUTE = 'data-yt-summarizer-thumbnail';
+const THUMBNAIL_BUTTON_CLASS = 'yt-summarizer-thumbnail-button';
+const PROFILE_MENU_CLASS = 'yt-summarizer-profile-menu';
+const THUMBNAIL_STYLES_ID = 'yt-summarizer-thumbnail-styles';
+// How long to wait after a page change before looking for new thumbnails
+const THUMBNAIL_UPDATE_DELAY_MS = 250;
+
+// Whether buttons are shown, and the profiles Shift-click offers, as sent by the background script
+let thumbnailButtonState = { enabled: false, profiles: [], hasRules: false };
+let thumbnailUpdateTimer = null;
+let openProfileMenu = null;
+
+/**
+ * Adds the button and profile menu styles to the page once
+ */
+function injectThumbnailButtonStyles() {
+    if (document.getElementById(THUMBNAIL_STYLES_ID)) {
+        return;
+    }
+
+    const style = document.createElement('style');
+    style.id = THUMBNAIL_STYLES_ID;
+    // YouTube's overlay buttons are 28px squares 4px from the top right corner
+    style.textContent = `
+        .${THUMBNAIL_BUTTON_CLASS} {
+            position: absolute;
+            top: 4px;
+            right: 36px;
+            z-index: 1000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            width: 28px;
+            height: 28px;
+            padding: 0;
+            border: none;
+            border-radius: 4px;
+            background-color: rgba(0, 0, 0, 0.8);
+            color: #fff;
+            cursor: pointer;
+            opacity: 0;
+            transition: opacity 0.1s;
+        }
+        [${THUMBNAIL_HOST_ATTRIBUTE}]:hover > .${THUMBNAIL_BUTTON_CLASS},
+        .${THUMBNAIL_BUTTON_CLASS}:focus-visible {
+            opacity: 1;
+        }
+        .${PROFILE_MENU_CLASS} {
+            position: fixed;
+            z-index: 10000;
+            min-width: 180px;
+            padding: 4px 0;
+            border-radius: 8px;
+            background-color: #fff;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+            font: 14px Roboto, Arial, sans-serif;
+        }
+        .${PROFILE_MENU_CLASS} button {
+            display: block;
+            width: 100%;
+            padding: 8px 16px;
+            border: none;
+            background: none;
+            color: #0f0f0f;
+            font: inherit;
+            text-align: left;
+            cursor: pointer;
+        }
+        .${PROFILE_MENU_CLASS} button:hover,
+        .${PROFILE_MENU_CLASS} button:focus {
+            background-color: #f2f2f2;
+            outline: none;
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+/**
+ * Whether Shift-click has a choice of prompts to offer
+ * @returns {boolean}
+ */
+function canPickProfile() {
+    return thumbnailButtonState.profiles.length > 1 || thumbnailButtonState.hasRules;
+}
+
+/**
+ * Returns the tooltip of the thumbnail buttons
+ * @returns {string}
+ */
+function getThumbnailButtonTitle() {
+    return window.I18n.getMessage(canPickProfile() ? 'thumbnailButtonTitleWithProfiles' : 'thumbnailButtonTitle');
+}
+
+/**
+ * Creates a thumbnail button with a summary icon
+ * @returns {HTMLButtonElement}
+ */
+function createThumbnailButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = THUMBNAIL_BUTTON_CLASS;
+    button.title = getThumbnailButtonTitle();
+    button.setAttribute('aria-label', button.title);
+
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    const icon = document.createElementNS(svgNamespace, 'svg');
+    icon.setAttribute('viewBox', '0 0 24 24');
+    icon.setAttribute('width', '20');
+    icon.setAttribute('height', '20');
+    const lines = document.createElementNS(svgNamespace, 'path');
+    lines.setAttribute('d', 'M4 6h16M4 10h16M4 14h10M4 18h7');
+    lines.setAttribute('fill', 'none');
+    lines.setAttribute('stroke', 'currentColor');
+    lines.setAttribute('stroke-width', '2');
+    lines.setAttribute('stroke-linecap', 'round');
+    icon.appendChild(lines);
+    button.appendChild(icon);
+
+    button.addEventListener('click', handleThumbnailButtonClick);
+    return button;
+}
+
+/**
+ * Finds the thumbnails on the page that don't have a button yet
+ * Each lockup's thumbnail gets one, see lockup-registry.js, if the lockup has a video
+ * @returns {HTMLElement[]}
+ */
+function findUndecoratedThumbnails() {
+    const thumbnails = [];
+
+    window.LockupRegistry.findLockups(document).forEach(lockup => {
+        const thumbnail = window.LockupRegistry.getLockupThumbnail(lockup);
+        if (!thumbnail || thumbnail.hasAttribute(THUMBNAIL_HOST_ATTRIBUTE)) {
+            return;
+        }
+        if (window.LockupRegistry.getLockupVideoUrl(lockup)) {
+            thumbnails.push(thumbnail);
+        }
+    });
+
+    return thumbnails;
+}
+
+/**
+ * Adds a button to a thumbnail
+ * @param {HTMLElement} thumbnail - The thumbnail element
+ */
+function decorateThumbnail(thumbnail) {
+    const needsPosition = getComputedStyle(thumbnail).position === 'static';
+    thumbnail.setAttribute(THUMBNAIL_HOST_ATTRIBUTE, needsPosition ? 'positioned' : '');
+    if (needsPosition) {
+        thumbnail.style.position = 'relative';
+    }
+    thumbnail.appendChild(createThumbnailButton());
+}
+
+/**
+ * Removes every thumbnail button and profile menu from the page
+ */
+function removeThumbnailButtons() {
+    closeProfileMenu();
+    document.querySelectorAll(`[${THUMBNAIL_HOST_ATTRIBUTE}]`).forEach(thumbnail => {
+        if (thumbnail.getAttribute(THUMBNAIL_HOST_ATTRIBUTE) === 'positioned') {
+            thumbnail.style.position = '';
+        }
+        thumbnail.removeAttribute(THUMBNAIL_HOST_ATTRIBUTE);
+    });
+    document.querySelectorAll(`.${THUMBNAIL_BUTTON_CLASS}`).forEach(button => button.remove());
+}
+
+/**
+ * Adds buttons to the thumbnails YouTube has rendered since the last update
+ * YouTube replaces thumbnails as it navigates and scrolls, so this runs after page changes;
+ * a thumbnail whose button was removed with its content gets a new one
+ */
+function updateThumbnailButtons() {
+    if (!thumbnailButtonState.enabled) {
+        return;
+    }
+
+    injectThumbnailButtonStyles();
+    // Hosts that YouTube emptied keep the attribute but lose the button
+    document.querySelectorAll(`[${THUMBNAIL_HOST_ATTRIBUTE}]`).forEach(thumbnail => {
+        if (!thumbnail.querySelector(`:scope > .${THUMBNAIL_BUTTON_CLASS}`)) {
+            thumbnail.appendChild(createThumbnailButton());
+        }
+    });
+    findUndecoratedThumbnails().forEach(decorateThumbnail);
+}
+
+/**
+ * Updates the buttons shortly after a page change, once for a burst of changes
+ */
+function scheduleThumbnailButtonUpdate() {
+    if (!thumbnailButtonState.enabled || thumbnailUpdateTimer !== null) {
+        return;
+    }
+
+    thumbnailUpdateTimer = setTimeout(() => {
+        thumbnailUpdateTimer = null;
+        updateThumbnailButtons();
+    }, THUMBNAIL_UPDATE_DELAY_MS);
+}
+
+/**
+ * Applies the button setting and the profile list from the background script
+ * @param {{enabled: boolean, profiles: Array<{id: string, name: string}>, hasRules: boolean}} state
+ */
+function setThumbnailButtonState(state) {
+    thumbnailButtonState = state;
+    if (!state.enabled) {
+        removeThumbnailButtons();
+        return;
+    }
+
+    const title = getThumbnailButtonTitle();
+    document.querySelectorAll(`.${THUMBNAIL_BUTTON_CLASS}`).forEach(button => {
+        button.title = title;
+        button.setAttribute('aria-label', title);
+    });
+    updateThumbnailButtons();
+}
+
+/**
+ * Summarizes the clicked button's video, or opens the profile menu on Shift-click
+ * The video is looked up on click because YouTube reuses thumbnails for other videos
+ * @param {MouseEvent} event - The click event
+ */
+function handleThumbnailButtonClick(event) {
+    // Keep the thumbnail's link from opening the video
+    event.preventDefault();
+    event.stopPropagation();
+
+    const button = event.currentTarget;
+    const videoUrl = window.URLUtils.findVideoUrlFromElement(button.parentElement);
+    if (!videoUrl) {
+        return;
+    }
+    const metadata = window.VideoMetadata.scrapeVideoMetadata(videoUrl, button.parentElement);
+
+    if (event.shiftKey && canPickProfile()) {
+        showProfileMenu(button, videoUrl, metadata);
+    } else {
+        requestThumbnailSummary(videoUrl, metadata);
+    }
+}
+
+/**
+ * Asks the background script to summarize a thumbnail's video
+ * @param {string} videoUrl - The video URL
+ * @param {object} metadata - The metadata scraped from the thumbnail
+ * @param {string} [profileId] - The profile to use; the rules or the first profile decide without one
+ */
+function requestThumbnailSummary(videoUrl, metadata, profileId) {
+    browser.runtime.sendMessage({
+        action: 'summarizeThumbnailVideo',
+        videoUrl,
+        metadata,
+        profileId
+    }).catch(error => {
+        console.log('Error sending thumbnail summary request:', error);
+    });
+}
+
+/**
+ * Shows a menu of prompt profiles below a thumbnail button
+ * @param {HTMLElement} button - The thumbnail button
+ * @param {string} videoUrl - The video URL
+ * @param {object} metadata - The metadata scraped from the thumbnail
+ */
+function showProfileMenu(button, videoUrl, metadata) {
+    closeProfileMenu();
+
+    const menu = document.createElement('div');
+    menu.className = PROFILE_MENU_CLASS;
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-label', window.I18n.getMessage('launcherProfileLabel'));
+
+    const choices = thumbnailButtonState.profiles.map(profile => ({ id: profile.id, name: profile.name }));
+    if (thumbnailButtonState.hasRules) {
+        choices.unshift({ id: undefined, name: window.I18n.getMessage('automaticProfileName') });
+    }
+    choices.forEach(choice => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.setAttribute('role', 'menuitem');
+        item.textContent = choice.name;
+        item.addEventListener('click', (event) => {
+            event.stopPropagation();
+            closeProfileMenu();
+            requestThumbnailSummary(videoUrl, metadata, choice.id);
+        });
+        menu.appendChild(item);
+    });
+
+    const buttonRect = button.getBoundingClientRect();
+    menu.style.top = `${buttonRect.bottom + 4}px`;
+    menu.style.left = `${buttonRect.left}px`;
+    document.body.appendChild(menu);
+
+    // Keep the menu on screen when the button is near the right or bottom edge
+    const menuRect = menu.getBoundingClientRect();
+    if (menuRect.right > window.innerWidth) {
+        menu.style.left = `${Math.max(0, window.innerWidth - menuRect.width - 8)}px`;
+    }
+    if (menuRect.bottom > window.innerHeight) {
+        menu.style.top = `${Math.max(0, buttonRect.top - menuRect.height - 4)}px`;
+    }
+
+    openProfileMenu = menu;
+    menu.querySelector('button').focus();
+    document.addEventListener('mousedown', handleProfileMenuOutsideClick, true);
+    document.addEventListener('keydown', handleProfileMenuKeydown, true);
+    window.addEventListener('scroll', closeProfileMenu, true);
+}
+
+/**
+ * Closes the profile menu when the user clicks elsewhere
+ * @param {MouseEvent} event - The mousedown event
+ */
+function handleProfileMenuOutsideClick(event) {
+    if (openProfileMenu && !openProfileMenu.contains(event.target)) {
+        closeProfileMenu();
+    }
+}
+
+/**
+ * Closes the profile menu on Escape and moves between items with the arrow keys
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleProfileMenuKeydown(event) {
+    if (!openProfileMenu) {
+        return;
+    }
+
+    const items = Array.from(openProfileMenu.querySelectorAll('button'));
+    const index = items.indexOf(document.activeElement);
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeProfileMenu();
+    } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        const offset = event.key === 'ArrowDown' ? 1 : -1;
+        items[(index + offset + items.length) % items.length].focus();
+    }
+}
+
+/**
+ * Closes the profile menu, if one is open
+ */
+function closeProfileMenu() {
+    if (!openProfileMenu) {
+        return;
+    }
+
+    openProfileMenu.remove();
+    openProfileMenu = null;
+    document.removeEventListener('mousedown', handleProfileMenuOutsideClick, true);
+    document.removeEventListener('keydown', handleProfileMenuKeydown, true);
+    window.removeEventListener('scroll', closeProfileMenu, true);
+}
+
+// Make functions available globally for use by other content scripts
+if (typeof window !== 'undefined') {
+    window.ThumbnailButton = {
+        setThumbnailButtonState,
+        scheduleThumbnailButtonUpdate
+    };
+}
@@ -0,0 +1,109 @@
+/**
+ * Transcript Fetching for the {transcript} Placeholder
+ * Finds a video's caption tracks, downloads the chosen one and formats it with caption-parser.js
+ */
+
+// Firefox lets content scripts call the page's own objects through wrappedJSObject. Chromium runs
+// them in an isolated world with no way to reach the player's methods, so there the caption tracks
+// always come from the watch page, which is the same download used for videos not being watched.
+const CAN_READ_PAGE_PLAYER = typeof document.wrappedJSObject !== 'undefined';
+
+/**
+ * Copies the fields used from a caption track into a plain object
+ * @param {object} track - A caption track from YouTube's player response
+ * @returns {{baseUrl: string, languageCode: string, kind: string}}
+ */
+function copyCaptionTrack(track) {
+    return {
+        baseUrl: String(track.baseUrl || ''),
+        languageCode: String(track.languageCode || ''),
+        kind: String(track.kind || '')
+    };
+}
+
+/**
+ * Reads the caption tracks of the video loaded in the page's player; Firefox only
+ * @returns {Array<object>|null} - The caption tracks, or null if the player can't be read
+ */
+function getPlayerCaptionTracks() {
+    const player = document.getElementById('movie_player');
+    const pagePlayer = player && player.wrappedJSObject;
+    if (!pagePlayer || typeof pagePlayer.getPlayerResponse !== 'function') {
+        return null;
+    }
+
+    try {
+        const response = pagePlayer.getPlayerResponse();
+        const renderer = response && response.captions && response.captions.playerCaptionsTracklistRenderer;
+        const tracks = renderer && renderer.captionTracks;
+        return tracks ? Array.from(tracks, copyCaptionTrack) : [];
+    } catch (error) {
+        console.error('Error reading caption tracks from the player:', error);
+        return null;
+    }
+}
+
+/**
+ * Finds the caption tracks of a video
+ * In Firefox the player gives them for the video being watched; every other video, and every
+ * video in Chromium, gets them from its downloaded watch page
+ * @param {string} videoId - The YouTube video ID
+ * @returns {Promise<Array<object>>}
+ */
+function getCaptionTracks(videoId) {
+    if (CAN_READ_PAGE_PLAYER && videoId === window.URLUtils.extractVideoId(window.location.href)) {
+        const tracks = getPlayerCaptionTracks();
+        if (tracks) {
+            return Promise.resolve(tracks);
+        }
+    }
+
+    return fetch(window.URLUtils.constructWatchUrl(videoId), { credentials: 'include' })
+        .then(response => response.text())
+        .then(html => window.CaptionParser.extractCaptionTracksFromHtml(html).map(copyCaptionTrack));
+}
+
+/**
+ * Downloads and formats the transcript of a video
+ * @param {string} videoUrl - The YouTube video URL
+ * @param {{language: string, maxChars: number, strategy: string}} options - The preferred language,
+ *   size limit and truncation strategy
+ * @returns {Promise<{transcript: string, languageCode: string, isAutoGenerated: boolean, truncated: boolean}>}
+ * @throws {Error} - If the video has no captions or they can't be downloaded
+ */
+function fetchTranscript(videoUrl, options) {
+    const videoId = window.URLUtils.extractVideoId(videoUrl);
+    if (!videoId) {
+        return Promise.reject(new Error(window.I18n.getMessage('transcriptErrorNotVideo')));
+    }
+
+    return getCaptionTracks(videoId).then(tracks => {
+        const track = window.CaptionParser.chooseCaptionTrack(tracks, options.language);
+        if (!track || !track.baseUrl) {
+            throw new Error(window.I18n.getMessage('transcriptErrorNoCaptions'));
+        }
+
+        return fetch(`${track.baseUrl}&fmt=json3`, { credentials: 'include' })
+            .then(response => response.text())
+            .then(captionText => {
+                const { text, truncated } = window.CaptionParser.buildTranscript(captionText, options);
+                if (!text) {
+                    throw new Error(window.I18n.getMessage('transcriptErrorDownload'));
+                }
+                return {
+                    transcript: text,
+                    languageCode: track.languageCode,
+                    isAutoGenerated: track.kind === 'asr',
+                    truncated
+                };
+            });
+    });
+}
+
+// Make functions available globally for use by other content scripts
+if (typeof window !== 'undefined') {
+    window.TranscriptUtils = {
+        getCaptionTracks,
+        fetchTranscript
+    };
+}
@@ -4,30 +4,24 @@
  */
 
 /**
- * Extracts YouTube video ID from various URL formats
+ * Extracts YouTube video ID from any supported URL format
+ * (watch, Shorts, live, embed, youtu.be, m. and music. hosts)
  * @param {string} url - The URL to extract video ID from
  * @returns {string|null} - The video ID or null if not found
  */
 function extractVideoId(url) {
-    if (!url) return null;
-    
-    // Handle various YouTube URL formats
-    const patterns = [
-        /[?&]v=([^&#]*)/,           // ?v=VIDEO_ID or &v=VIDEO_ID
-        /\/watch\?v=([^&#]*)/,     // /watch?v=VIDEO_ID
-        /\/embed\/([^?&#]*)/,      // /embed/VIDEO_ID
-        /\/v\/([^?&#]*)/,          // /v/VIDEO_ID
-        /youtu\.be\/([^?&#]*)/     // youtu.be/VIDEO_ID
-    ];
-    
-    for (const pattern of patterns) {
-        const match = url.match(pattern);
-        if (match && match[1]) {
-            return match[1];
-        }
-    }
-    
-    return null;
+    const parsed = window.YouTubeUrl.parseYouTubeUrl(url);
+    return parsed ? parsed.videoId : null;
+}
+
+/**
+ * Extracts the playlist ID from a URL's list= parameter
+ * @param {string} url - The URL to extract the playlist ID from
+ * @returns {string|null} - The playlist ID or null if not found
+ */
+function extractPlaylistId(url) {
+    const parsed = window.YouTubeUrl.parseYouTubeUrl(url);
+    return parsed ? parsed.playlistId : null;
 }
 
 /**
@@ -41,92 +35,63 @@ function constructWatchUrl(videoId) {
 
 /**
  * Finds the video URL from a thumbnail element or its parents
+ * Uses the lockup the element belongs to, see lockup-registry.js, and otherwise
+ * the link, data-video-id attribute or thumbnail image the element is part of.
+ * Links keep their start time and playlist in the returned watch URL
  * @param {Element} element - The element that was right-clicked
  * @returns {string|null} - The video URL or null if not found
  */
 function findVideoUrlFromElement(element) {
-    // Look for video links in the element and its parents
-    let current = element;
+    if (!element) {
+        return null;
+    }
     
-    // Go up the DOM tree to find a video link
-    for (let i = 0; i < 10 && current; i++) {
-        // Check for direct href attribute
-        if (current.href) {
-            const videoId = extractVideoId(current.href);
-            if (videoId) {
-                return constructWatchUrl(videoId);
-            }
-        }
-        
-        // Check for data attributes that might contain video info
-        if (current.dataset) {
-            // Check common data attributes used by YouTube
-            const dataAttrs = ['videoId', 'video-id', 'href', 'url'];
-            for (const attr of dataAttrs) {
-                if (current.dataset[attr]) {
-                    const videoId = extractVideoId(current.dataset[attr]);
-                    if (videoId) {
-                        return constructWatchUrl(videoId);
-                    }
-                }
-            }
-        }
-        
-        // Look for anchor tags within the current element
-        const links = current.querySelectorAll('a[href*="watch"], a[href*="/v/"], a[href*="youtu.be"]');
-        for (const link of links) {
-            const videoId = extractVideoId(link.href);
-            if (videoId) {
-                return constructWatchUrl(videoId);
-            }
+    const lockup = window.LockupRegistry.findLockup(element);
+    const lockupVideoUrl = lockup && window.LockupRegistry.getLockupVideoUrl(lockup);
+    if (lockupVideoUrl) {
+        return lockupVideoUrl;
+    }
+    
+    // Video links outside lockups, such as in descriptions and comments
+    const link = element.closest('a[href]');
+    const linkVideoUrl = link && window.YouTubeUrl.normalizeYouTubeUrl(link.href);
+    if (linkVideoUrl) {
+        return linkVideoUrl;
+    }
+    
+    const videoIdElement = element.closest('[data-video-id]');
+    if (videoIdElement) {
+        const videoUrl = window.YouTubeUrl.normalizeYouTubeUrl(constructWatchUrl(videoIdElement.dataset.videoId));
+        if (videoUrl) {
+            return videoUrl;
         }
-        
-        // Move up to parent element
-        current = current.parentElement;
     }
     
-    return null;
+    return element.tagName === 'IMG' ? window.YouTubeUrl.normalizeYouTubeUrl(element.src) : null;
 }
 
 /**
- * Checks if an element is likely a video thumbnail
+ * Checks if an element is part of a video thumbnail
+ * That is the thumbnail of a known lockup, or an image of a video thumbnail elsewhere
  * @param {Element} element - The element to check
- * @returns {boolean} - True if it appears to be a video thumbnail
+ * @returns {boolean} - True if it is part of a video thumbnail
  */
 function isVideoThumbnail(element) {
-    // Check if it's an image element
-    if (element.tagName === 'IMG') {
-        // Check for common YouTube thumbnail patterns
-        const src = element.src || '';
-        const alt = element.alt || '';
-        const className = element.className || '';
-        
-        return (
-            src.includes('ytimg.com') ||
-            src.includes('youtube.com') ||
-            alt.toLowerCase().includes('thumbnail') ||
-            className.includes('thumbnail') ||
-            className.includes('ytd-thumbnail')
-        );
+    const lockup = window.LockupRegistry.findLockup(element);
+    if (lockup) {
+        const thumbnail = window.LockupRegistry.getLockupThumbnail(lockup);
+        return Boolean(thumbnail && thumbnail.contains(element));
     }
     
-    // Check if it's a container that might hold a thumbnail
-    const className = element.className || '';
-    const tagName = element.tagName.toLowerCase();
-    
-    return (
-        className.includes('ytd-thumbnail') ||
-        className.includes('video-thumbnail') ||
-        className.includes('ytd-compact-video') ||
-        className.includes('ytd-video-preview') ||
-        (tagName === 'div' && className.includes('thumbnail'))
-    );
+    const parsed = element.tagName === 'IMG' ? window.YouTubeUrl.parseYouTubeUrl(element.src) : null;
+    return Boolean(parsed && parsed.kind === 'thumbnail' && parsed.videoId);
 }
 
 // Make functions available globally for use by other content scripts
 if (typeof window !== 'undefined') {
     window.URLUtils = {
         extractVideoId,
+        extractPlaylistId,
         constructWatchUrl,
         findVideoUrlFromElement,
         isVideoThumbnail
@@ -0,0 +1,180 @@
+/**
+ * Video Metadata Utilities
+ * Scrapes title, channel, duration, publish date, description and chapters
+ * from the watch page or from a thumbnail's lockup
+ */
+
+// Descriptions are sent in a request header, so keep them to a reasonable size
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+/**
+ * Returns the trimmed text of the first element matching one of the selectors
+ * @param {ParentNode} root - The element or document to search
+ * @param {string[]} selectors - Selectors to try in order
+ * @returns {string} - The text, or an empty string if nothing matched
+ */
+function queryText(root, selectors) {
+    for (const selector of selectors) {
+        const element = root.querySelector(selector);
+        const text = element && (element.textContent || element.getAttribute('title') || '').trim();
+        if (text) {
+            return text;
+        }
+    }
+    return '';
+}
+
+/**
+ * Parses a timestamp like 1:02:03 or 12:30 into seconds
+ * @param {string} timestamp - The timestamp text
+ * @returns {number|null} - The number of seconds or null if it is not a timestamp
+ */
+function parseTimestamp(timestamp) {
+    const match = (timestamp || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    
+    return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+/**
+ * Extracts chapters from description lines that start with a timestamp
+ * @param {string} description - The video description
+ * @returns {Array<{time: string, title: string}>} - The chapters in order
+ */
+function parseChaptersFromDescription(description) {
+    const chapters = [];
+    
+    for (const line of (description || '').split('\n')) {
+        const match = line.trim().match(/^((?:\d+:)?\d{1,2}:\d{2})\s*[-–—:]?\s*(.+)$/);
+        if (match) {
+            chapters.push({ time: match[1], title: match[2].trim() });
+        }
+    }
+    
+    // YouTube only treats a list as chapters when it starts at zero and has at least three entries
+    return chapters.length >= 3 && parseTimestamp(chapters[0].time) === 0 ? chapters : [];
+}
+
+/**
+ * Reads the chapter list rendered in the watch page's chapters panel
+ * @returns {Array<{time: string, title: string}>} - The chapters in order
+ */
+function scrapeChapterPanel() {
+    const chapters = [];
+    const seenTimes = new Set();
+    
+    document.querySelectorAll('ytd-macro-markers-list-item-renderer').forEach(item => {
+        const time = queryText(item, ['#time']);
+        const title = queryText(item, ['h4', '#details h4']);
+        if (time && title && !seenTimes.has(time)) {
+            seenTimes.add(time);
+            chapters.push({ time, title });
+        }
+    });
+    
+    return chapters;
+}
+
+/**
+ * Scrapes metadata for the video playing on the current watch page
+ * @returns {object} - The video metadata
+ */
+function scrapeWatchPageMetadata() {
+    const videoElement = document.querySelector('video.html5-main-video, video');
+    const playerDuration = videoElement && Number.isFinite(videoElement.duration) ? videoElement.duration : null;
+    const durationText = queryText(document, ['.ytp-time-duration']);
+    const durationSeconds = playerDuration !== null ? Math.floor(playerDuration) : parseTimestamp(durationText);
+    
+    const description = queryText(document, [
+        'ytd-watch-metadata #description-inline-expander .yt-core-attributed-string',
+        'ytd-watch-metadata #description-inline-expander',
+        '#description .content'
+    ]);
+    const publishMeta = document.querySelector('meta[itemprop="datePublished"], meta[itemprop="uploadDate"]');
+    const panelChapters = scrapeChapterPanel();
+    
+    return {
+        title: queryText(document, [
+            'ytd-watch-metadata h1 yt-formatted-string',
+            'ytd-watch-metadata h1',
+            'h1.title'
+        ]) || document.title.replace(/ - YouTube$/, ''),
+        channel: queryText(document, [
+            'ytd-watch-metadata ytd-channel-name a',
+            '#owner ytd-channel-name a',
+            'ytd-video-owner-renderer #channel-name'
+        ]),
+        duration: durationSeconds !== null ? window.PromptTemplate.formatTimestamp(durationSeconds) : '',
+        durationSeconds,
+        publishDate: (publishMeta && publishMeta.content) || queryText(document, ['#info-strings yt-formatted-string']),
+        description: description.slice(0, MAX_DESCRIPTION_LENGTH),
+        chapters: panelChapters.length > 0 ? panelChapters : parseChaptersFromDescription(description),
+        isShort: window.location.pathname.startsWith('/shorts/')
+    };
+}
+
+/**
+ * Scrapes the metadata shown on the lockup (card) around a thumbnail
+ * @param {Element} element - An element inside the lockup
+ * @returns {object} - The video metadata, with empty fields the lockup does not show
+ */
+function scrapeLockupMetadata(element) {
+    const found = element && window.LockupRegistry.findLockup(element);
+    if (!found) {
+        return {};
+    }
+    const lockup = found.element;
+    
+    const duration = queryText(lockup, [
+        'ytd-thumbnail-overlay-time-status-renderer #text',
+        '.yt-badge-shape__text',
+        '.badge-shape-wiz__text'
+    ]);
+    
+    return {
+        title: queryText(lockup, [
+            '#video-title',
+            '.yt-lockup-metadata-view-model__title',
+            'h3 a',
+            'h3',
+            '.ytp-ce-video-title',
+            '.ytp-videowall-still-info-title'
+        ]),
+        channel: queryText(lockup, [
+            'ytd-channel-name a',
+            'ytd-channel-name #text',
+            '.yt-content-metadata-view-model__metadata-text'
+        ]),
+        duration: parseTimestamp(duration) !== null ? duration : '',
+        durationSeconds: parseTimestamp(duration),
+        isShort: found.type.id === 'shortsShelf' || Boolean(lockup.querySelector('a[href*="/shorts/"]'))
+    };
+}
+
+/**
+ * Scrapes metadata for a video, using the watch page when it is the video being played
+ * @param {string} videoUrl - The video URL the metadata is for
+ * @param {Element} [element] - The element that was interacted with, if any
+ * @returns {object} - The video metadata
+ */
+function scrapeVideoMetadata(videoUrl, element) {
+    const videoId = window.URLUtils.extractVideoId(videoUrl);
+    const pageVideoId = window.URLUtils.extractVideoId(window.location.href);
+    
+    if (videoId && videoId === pageVideoId) {
+        return scrapeWatchPageMetadata();
+    }
+    
+    return scrapeLockupMetadata(element);
+}
+
+// Make functions available globally for use by other content scripts
+if (typeof window !== 'undefined') {
+    window.VideoMetadata = {
+        parseTimestamp,
+        parseChaptersFromDescription,
+        scrapeWatchPageMetadata,
+        scrapeLockupMetadata,
+        scrapeVideoMetadata
+    };
+}
@@ -1,13 +1,35 @@
 /**
  * Content script for detecting right-clicks on YouTube video thumbnails
- * and extracting video URLs for the context menu functionality
+ * and extracting video URLs for the context menu and keyboard shortcuts
  * 
  * This file serves as the main entry point and coordinates the various modules:
+ * - Lockup registry for finding thumbnails and their videos
  * - URL utilities for video ID extraction and URL handling
+ * - Video metadata scraping for prompt placeholders
+ * - Playback position lookup for time range summaries
+ * - Playlist collection for playlist summaries
+ * - Hovered thumbnail tracking for the keyboard shortcuts
+ * - Summarize buttons on thumbnails
  */
 
 // Track the last right-clicked video URL
 let lastRightClickedVideoUrl = null;
+// Metadata scraped for the last right-clicked video
+let lastRightClickedVideoMetadata = null;
+// Track the video under the mouse for the keyboard shortcuts
+let hoveredVideoUrl = null;
+let hoveredVideoElement = null;
+
+/**
+ * Finds the video of the thumbnail an element belongs to
+ * @param {Element} element - The element to start from
+ * @returns {string|null} - The video URL or null if the element is not part of a thumbnail
+ */
+function findThumbnailVideoUrl(element) {
+    return window.URLUtils.isVideoThumbnail(element)
+        ? window.URLUtils.findVideoUrlFromElement(element)
+        : null;
+}
 
 /**
  * Handles right-click events on the page
@@ -17,17 +39,7 @@ function handleRightClick(event) {
     const clickedElement = event.target;
     
     // Check if the clicked element or its parents contain a video thumbnail
-    let current = clickedElement;
-    let videoUrl = null;
-    
-    // Search up the DOM tree for video information
-    for (let i = 0; i < 15 && current && !videoUrl; i++) {
-        if (window.URLUtils.isVideoThumbnail(current)) {
-            videoUrl = window.URLUtils.findVideoUrlFromElement(current);
-            if (videoUrl) break;
-        }
-        current = current.parentElement;
-    }
+    let videoUrl = findThumbnailVideoUrl(clickedElement);
     
     // If no video found yet, try a broader search around the clicked area
     if (!videoUrl) {
@@ -36,18 +48,74 @@ function handleRightClick(event) {
     
     // Store the video URL for the context menu
     lastRightClickedVideoUrl = videoUrl;
+    lastRightClickedVideoMetadata = videoUrl
+        ? window.VideoMetadata.scrapeVideoMetadata(videoUrl, clickedElement)
+        : null;
     
     // Send the video URL to the background script
     if (videoUrl) {
         browser.runtime.sendMessage({
             action: 'setContextVideoUrl',
-            videoUrl: videoUrl
+            videoUrl: videoUrl,
+            metadata: lastRightClickedVideoMetadata
         }).catch(error => {
             console.log('Error sending context video URL:', error);
         });
     }
 }
 
+/**
+ * Tracks the video thumbnail or video link under the mouse
+ * Only thumbnails and links count, so hovering elsewhere on the page clears the video
+ * @param {MouseEvent} event - The mouseover event
+ */
+function handleMouseOver(event) {
+    const element = event.target;
+    let videoUrl = findThumbnailVideoUrl(element);
+    
+    if (!videoUrl) {
+        const link = element.closest('a[href]');
+        videoUrl = link ? window.YouTubeUrl.normalizeYouTubeUrl(link.href) : null;
+    }
+    
+    hoveredVideoElement = videoUrl ? element : null;
+    setHoveredVideoUrl(videoUrl);
+}
+
+/**
+ * Tells the background script about a change of the hovered video
+ * @param {string|null} videoUrl - The hovered video URL, or null when no video is hovered
+ */
+function setHoveredVideoUrl(videoUrl) {
+    if (videoUrl === hoveredVideoUrl) {
+        return;
+    }
+    
+    hoveredVideoUrl = videoUrl;
+    browser.runtime.sendMessage({
+        action: 'setHoveredVideoUrl',
+        videoUrl
+    }).catch(error => {
+        console.log('Error sending hovered video URL:', error);
+    });
+}
+
+/**
+ * Reads the playback position of the watch page's video player
+ * @returns {{currentTime: number, duration: number|null}|null} - Times in seconds, or null without a player
+ */
+function getPlaybackPosition() {
+    const videoElement = document.querySelector('video.html5-main-video, video');
+    if (!videoElement) {
+        return null;
+    }
+    
+    return {
+        currentTime: videoElement.currentTime,
+        duration: Number.isFinite(videoElement.duration) ? videoElement.duration : null
+    };
+}
+
 /**
  * Initializes the content script
  */
@@ -55,10 +123,51 @@ function initializeContentScript() {
     // Add event listener for right-clicks
     document.addEventListener('contextmenu', handleRightClick, true);
     
+    // Track the hovered thumbnail for the keyboard shortcuts
+    document.addEventListener('mouseover', handleMouseOver, true);
+    document.addEventListener('mouseout', (event) => {
+        // The mouse left the page
+        if (!event.relatedTarget) {
+            hoveredVideoElement = null;
+            setHoveredVideoUrl(null);
+        }
+    }, true);
+    
+    // Show the thumbnail buttons if they are turned on
+    browser.runtime.sendMessage({ action: 'getThumbnailButtonState' }).then(state => {
+        window.ThumbnailButton.setThumbnailButtonState(state);
+    }).catch(error => {
+        console.log('Error reading thumbnail button setting:', error);
+    });
+    
     // Also listen for messages from background script
     browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
         if (request.action === 'getContextVideoUrl') {
-            sendResponse({ videoUrl: lastRightClickedVideoUrl });
+            sendResponse({
+                videoUrl: lastRightClickedVideoUrl,
+                metadata: lastRightClickedVideoMetadata
+            });
+        } else if (request.action === 'getVideoMetadata') {
+            sendResponse({ metadata: window.VideoMetadata.scrapeWatchPageMetadata() });
+        } else if (request.action === 'getHoveredVideoMetadata') {
+            sendResponse({
+                metadata: hoveredVideoUrl
+                    ? window.VideoMetadata.scrapeVideoMetadata(hoveredVideoUrl, hoveredVideoElement)
+                    : null
+            });
+        } else if (request.action === 'getSelectionText') {
+            sendResponse({ text: window.getSelection().toString().trim() });
+        } else if (request.action === 'getPlaybackPosition') {
+            sendResponse({ position: getPlaybackPosition() });
+        } else if (request.action === 'getPlaylist') {
+            sendResponse({ playlist: window.PlaylistUtils.collectPlaylist() });
+        } else if (request.action === 'setThumbnailButtonState') {
+            // Sent when the setting or the prompt profiles change
+            window.ThumbnailButton.setThumbnailButtonState(request.state);
+        } else if (request.action === 'getTranscript') {
+            // Downloading captions is asynchronous, so the response is a promise
+            return window.TranscriptUtils.fetchTranscript(request.videoUrl, request.options)
+                .catch(error => ({ error: error.message }));
         }
     });
 }
@@ -72,7 +181,11 @@ function setupPageMonitoring() {
         // Reset the stored URL when page content changes significantly
         if (window.location.href !== lastRightClickedVideoUrl) {
             lastRightClickedVideoUrl = null;
+            lastRightClickedVideoMetadata = null;
         }
+        
+        // Give thumbnails rendered since the last change their summarize button
+        window.ThumbnailButton.scheduleThumbnailButtonUpdate();
     });
 
     observer.observe(document.body, {
@@ -87,7 +200,15 @@ function setupPageMonitoring() {
 function initializeWhenReady() {
     // Check if all required modules are loaded
     const requiredModules = [
-        'URLUtils'
+        'PromptTemplate',
+        'YouTubeUrl',
+        'LockupRegistry',
+        'URLUtils',
+        'VideoMetadata',
+        'PlaylistUtils',
+        'CaptionParser',
+        'TranscriptUtils',
+        'ThumbnailButton'
     ];
     
     const checkModules = () => {
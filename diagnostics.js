@@ -0,0 +1,175 @@
+// Attempts as last loaded from storage, newest first
+let attempts = [];
+// Labels of the attempt outcomes
+const OUTCOME_MESSAGES = {
+    pending: 'diagnosticsOutcomePending',
+    delivered: 'diagnosticsOutcomeDelivered',
+    failed: 'diagnosticsOutcomeFailed',
+    cancelled: 'diagnosticsOutcomeCancelled'
+};
+
+/**
+ * Shows a status message to the user
+ * @param {string} message - The message to display
+ * @param {boolean} isError - Whether this is an error message
+ */
+function showStatus(message, isError = false) {
+    const statusElement = document.getElementById('statusMessage');
+    statusElement.textContent = message;
+    statusElement.className = `status-message ${isError ? 'status-error' : 'status-success'}`;
+    statusElement.style.display = 'block';
+    
+    // Hide the message after 3 seconds
+    setTimeout(() => {
+        statusElement.style.display = 'none';
+    }, 3000);
+}
+
+/**
+ * Returns the label of the way a summary was started
+ * @param {string} triggerId - The trigger ID
+ * @returns {string}
+ */
+function getTriggerLabel(triggerId) {
+    const trigger = window.EXTENSION_CONSTANTS.SUMMARY_TRIGGERS.find(candidate => candidate.id === triggerId);
+    return trigger ? window.I18n.getMessage(trigger.messageName) : triggerId;
+}
+
+/**
+ * Explains a failure reason or warning in the user's language
+ * @param {string} reason - The reason code
+ * @param {string} [detail] - More about the problem, such as an error message
+ * @returns {string}
+ */
+function describeReason(reason, detail) {
+    const messageName = window.SummaryAttempts.ATTEMPT_REASONS[reason];
+    if (!messageName) {
+        return detail ? `${reason}: ${detail}` : reason;
+    }
+    return window.I18n.getMessage(messageName, detail || '');
+}
+
+/**
+ * Creates a line of smaller text for a table cell
+ * @param {string} text - The line's text
+ * @returns {HTMLDivElement}
+ */
+function createMetaLine(text) {
+    const line = document.createElement('div');
+    line.className = 'entry-meta';
+    line.textContent = text;
+    return line;
+}
+
+/**
+ * Renders the attempts table
+ */
+function renderAttempts() {
+    const listElement = document.getElementById('attemptList');
+    listElement.textContent = '';
+    document.getElementById('emptyMessage').style.display = attempts.length === 0 ? 'block' : 'none';
+    document.getElementById('attemptTable').style.display = attempts.length === 0 ? 'none' : 'table';
+    
+    attempts.forEach(attempt => {
+        const row = document.createElement('tr');
+        
+        const timeCell = document.createElement('td');
+        timeCell.textContent = new Date(attempt.timestamp).toLocaleString();
+        row.appendChild(timeCell);
+        
+        const triggerCell = document.createElement('td');
+        triggerCell.textContent = getTriggerLabel(attempt.trigger);
+        row.appendChild(triggerCell);
+        
+        const videoCell = document.createElement('td');
+        if (attempt.videoUrl) {
+            const link = document.createElement('a');
+            link.href = attempt.videoUrl;
+            link.target = '_blank';
+            link.textContent = attempt.title || attempt.videoUrl;
+            videoCell.appendChild(link);
+        }
+        row.appendChild(videoCell);
+        
+        const chatCell = document.createElement('td');
+        chatCell.textContent = attempt.providerName || '';
+        if (attempt.promptName) {
+            chatCell.appendChild(createMetaLine(attempt.promptName));
+        }
+        row.appendChild(chatCell);
+        
+        const outcomeCell = document.createElement('td');
+        const outcome = document.createElement('div');
+        outcome.className = `outcome-${attempt.outcome}`;
+        outcome.textContent = OUTCOME_MESSAGES[attempt.outcome]
+            ? window.I18n.getMessage(OUTCOME_MESSAGES[attempt.outcome])
+            : attempt.outcome;
+        outcomeCell.appendChild(outcome);
+        if (attempt.reason) {
+            outcomeCell.appendChild(createMetaLine(describeReason(attempt.reason, attempt.detail)));
+        }
+        (attempt.warnings || []).forEach(warning => {
+            outcomeCell.appendChild(createMetaLine(window.I18n.getMessage(
+                'diagnosticsWarning', describeReason(warning.reason, warning.detail)
+            )));
+        });
+        row.appendChild(outcomeCell);
+        
+        listElement.appendChild(row);
+    });
+}
+
+/**
+ * Loads the attempts from storage and renders them
+ * Named apart from SummaryAttempts.loadAttempts, which shares the page scope
+ */
+function refreshAttempts() {
+    window.SummaryAttempts.loadAttempts().then(loadedAttempts => {
+        attempts = loadedAttempts;
+        renderAttempts();
+    }).catch(error => {
+        console.error('Error loading summary attempts:', error);
+        showStatus(window.I18n.getMessage('diagnosticsLoadError'), true);
+    });
+}
+
+/**
+ * Copies a plain text report of the attempts, with the extension version and browser
+ */
+function copyReport() {
+    const report = window.SummaryAttempts.formatAttemptReport(attempts, {
+        version: browser.runtime.getManifest().version,
+        userAgent: navigator.userAgent
+    });
+    
+    navigator.clipboard.writeText(report).then(() => {
+        showStatus(window.I18n.getMessage('diagnosticsCopied'));
+    }).catch(error => {
+        console.error('Error copying diagnostics report:', error);
+        showStatus(window.I18n.getMessage('diagnosticsCopyError', error.message), true);
+    });
+}
+
+/**
+ * Initializes the diagnostics page
+ */
+function initializeDiagnosticsPage() {
+    window.I18n.localizePage();
+    refreshAttempts();
+    
+    document.getElementById('copyReportButton').addEventListener('click', copyReport);
+    document.getElementById('clearButton').addEventListener('click', () => {
+        if (confirm(window.I18n.getMessage('diagnosticsConfirmClear'))) {
+            window.SummaryAttempts.clearAttempts();
+        }
+    });
+    
+    // Stay in sync with summaries started while the page is open
+    browser.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.summaryAttempts) {
+            refreshAttempts();
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initializeDiagnosticsPage);
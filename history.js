@@ -0,0 +1,284 @@
+// History entries as last loaded from storage, newest first
+let historyEntries = [];
+// The window this page is in; Chromium opens the side panel by window
+let pageWindowId;
+
+/**
+ * Shows a status message to the user
+ * @param {string} message - The message to display
+ * @param {boolean} isError - Whether this is an error message
+ */
+function showStatus(message, isError = false) {
+    const statusElement = document.getElementById('statusMessage');
+    statusElement.textContent = message;
+    statusElement.className = `status-message ${isError ? 'status-error' : 'status-success'}`;
+    statusElement.style.display = 'block';
+    
+    // Hide the message after 3 seconds
+    setTimeout(() => {
+        statusElement.style.display = 'none';
+    }, 3000);
+}
+
+/**
+ * Asks the background page to change the history, since it makes all history changes in turn
+ * @param {object} message - The change, such as {action: 'clearHistory'}
+ */
+function requestHistoryChange(message) {
+    browser.runtime.sendMessage(message).catch(error => {
+        console.error('Error changing summary history:', error);
+    });
+}
+
+/**
+ * Returns the entries matching the search box and prompt filter
+ * @returns {Array<object>}
+ */
+function getFilteredEntries() {
+    const query = document.getElementById('searchInput').value.trim().toLowerCase();
+    const promptName = document.getElementById('promptFilter').value;
+    
+    return historyEntries.filter(entry => {
+        if (promptName && entry.promptName !== promptName) {
+            return false;
+        }
+        
+        return !query || [entry.title, entry.channel, entry.videoUrl]
+            .some(value => (value || '').toLowerCase().includes(query));
+    });
+}
+
+/**
+ * Re-runs a history entry with the same prompt or the profile chosen in the toolbar
+ * @param {object} entry - The history entry
+ */
+function rerunEntry(entry) {
+    const profileId = document.getElementById('rerunProfileSelect').value;
+    const message = profileId
+        ? {
+            action: 'prepareSummary',
+            profileId: profileId,
+            videoUrl: entry.videoUrl,
+            metadata: { title: entry.title, channel: entry.channel }
+        }
+        : { action: 'prepareHistoryRerun', entry: entry };
+    
+    browser.runtime.sendMessage(message).catch(error => {
+        console.error('Error preparing summary:', error);
+    });
+    
+    // Open the sidebar while still handling the click so the browser allows it
+    window.Platform.openChatPanel(pageWindowId);
+}
+
+/**
+ * Creates a small button for a history entry
+ * @param {string} label - The button text
+ * @param {string} className - The button style class
+ * @param {function} onClick - The click handler
+ * @returns {HTMLButtonElement}
+ */
+function createButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.className = className;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Renders the prompt filter options from the prompts used in the history
+ */
+function renderPromptFilter() {
+    const filterElement = document.getElementById('promptFilter');
+    const selectedPrompt = filterElement.value;
+    const promptNames = Array.from(new Set(historyEntries.map(entry => entry.promptName).filter(Boolean))).sort();
+    
+    filterElement.length = 1;
+    promptNames.forEach(promptName => {
+        const option = document.createElement('option');
+        option.value = promptName;
+        option.textContent = promptName;
+        filterElement.appendChild(option);
+    });
+    filterElement.value = promptNames.includes(selectedPrompt) ? selectedPrompt : '';
+}
+
+/**
+ * Renders the history table
+ */
+function renderHistory() {
+    const entries = getFilteredEntries();
+    const listElement = document.getElementById('historyList');
+    listElement.textContent = '';
+    document.getElementById('emptyMessage').style.display = entries.length === 0 ? 'block' : 'none';
+    document.getElementById('historyTable').style.display = entries.length === 0 ? 'none' : 'table';
+    
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        
+        const dateCell = document.createElement('td');
+        dateCell.textContent = new Date(entry.timestamp).toLocaleString();
+        row.appendChild(dateCell);
+        
+        const videoCell = document.createElement('td');
+        const link = document.createElement('a');
+        link.href = entry.videoUrl;
+        link.target = '_blank';
+        link.textContent = entry.title || entry.videoUrl;
+        videoCell.appendChild(link);
+        if (entry.channel) {
+            const channel = document.createElement('div');
+            channel.className = 'entry-meta';
+            channel.textContent = entry.channel;
+            videoCell.appendChild(channel);
+        }
+        row.appendChild(videoCell);
+        
+        const promptCell = document.createElement('td');
+        promptCell.textContent = entry.promptName || '';
+        row.appendChild(promptCell);
+        
+        const actionsCell = document.createElement('td');
+        const actions = document.createElement('div');
+        actions.className = 'entry-actions';
+        actions.appendChild(createButton(window.I18n.getMessage('historyRerunButton'), 'btn-primary', () => rerunEntry(entry)));
+        actions.appendChild(createButton(window.I18n.getMessage('historyDeleteButton'), 'btn-secondary', () => {
+            requestHistoryChange({ action: 'deleteHistoryEntries', entryIds: [entry.id] });
+        }));
+        actionsCell.appendChild(actions);
+        row.appendChild(actionsCell);
+        
+        listElement.appendChild(row);
+    });
+}
+
+/**
+ * Loads the history from storage and renders it
+ */
+function loadHistory() {
+    window.SummaryHistory.loadHistory().then(entries => {
+        historyEntries = entries;
+        renderPromptFilter();
+        renderHistory();
+    }).catch(error => {
+        console.error('Error loading summary history:', error);
+        showStatus(window.I18n.getMessage('historyLoadError'), true);
+    });
+}
+
+/**
+ * Fills in the profiles that entries can be re-run with
+ */
+function loadProfiles() {
+    browser.runtime.sendMessage({ action: 'getPromptProfiles' }).then(response => {
+        const selectElement = document.getElementById('rerunProfileSelect');
+        response.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            selectElement.appendChild(option);
+        });
+    }).catch(error => {
+        console.error('Error loading prompt profiles:', error);
+    });
+}
+
+/**
+ * Downloads text as a file
+ * @param {string} text - The file contents
+ * @param {string} fileName - The suggested file name
+ * @param {string} mimeType - The file type
+ */
+function downloadFile(text, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Exports the filtered entries as JSON or CSV
+ * @param {string} format - 'json' or 'csv'
+ */
+function exportHistory(format) {
+    const entries = getFilteredEntries();
+    const date = new Date().toISOString().slice(0, 10);
+    
+    if (format === 'csv') {
+        downloadFile(window.SummaryHistory.historyToCsv(entries), `summary-history-${date}.csv`, 'text/csv');
+    } else {
+        downloadFile(JSON.stringify(entries, null, 2), `summary-history-${date}.json`, 'application/json');
+    }
+}
+
+/**
+ * Imports entries from a JSON or CSV file chosen by the user
+ * @param {File} file - The file to import
+ */
+function importHistory(file) {
+    file.text().then(text => {
+        const isJson = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('[') || text.trim().startsWith('{');
+        let entries;
+        
+        if (isJson) {
+            const parsed = JSON.parse(text);
+            entries = Array.isArray(parsed) ? parsed : parsed.entries;
+        } else {
+            entries = window.SummaryHistory.parseHistoryCsv(text);
+        }
+        
+        if (!Array.isArray(entries)) {
+            throw new Error(window.I18n.getMessage('historyErrorNotList'));
+        }
+        
+        return browser.runtime.sendMessage({ action: 'importHistoryEntries', entries });
+    }).then(addedCount => {
+        showStatus(window.I18n.getMessage(addedCount === 1 ? 'historyImportedOne' : 'historyImportedMany', String(addedCount)));
+    }).catch(error => {
+        console.error('Error importing summary history:', error);
+        showStatus(window.I18n.getMessage('importError', error.message), true);
+    });
+}
+
+/**
+ * Initializes the history page
+ */
+function initializeHistoryPage() {
+    window.I18n.localizePage();
+    loadProfiles();
+    loadHistory();
+    browser.windows.getCurrent().then(currentWindow => {
+        pageWindowId = currentWindow.id;
+    });
+    
+    document.getElementById('searchInput').addEventListener('input', renderHistory);
+    document.getElementById('promptFilter').addEventListener('change', renderHistory);
+    document.getElementById('exportJsonButton').addEventListener('click', () => exportHistory('json'));
+    document.getElementById('exportCsvButton').addEventListener('click', () => exportHistory('csv'));
+    document.getElementById('importButton').addEventListener('click', () => {
+        document.getElementById('importFileInput').click();
+    });
+    document.getElementById('importFileInput').addEventListener('change', (event) => {
+        if (event.target.files[0]) {
+            importHistory(event.target.files[0]);
+        }
+        event.target.value = '';
+    });
+    document.getElementById('clearButton').addEventListener('click', () => {
+        if (confirm(window.I18n.getMessage('historyConfirmClear'))) {
+            requestHistoryChange({ action: 'clearHistory' });
+        }
+    });
+    
+    // Stay in sync with summaries recorded while the page is open
+    browser.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.summaryHistory) {
+            loadHistory();
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initializeHistoryPage);
@@ -0,0 +1,91 @@
+// Localized strings shared by the extension pages, the background page and the content scripts
+//
+// Messages live in _locales/<language>/messages.json. Pages mark translatable elements with
+// data-i18n (text content), data-i18n-placeholder, data-i18n-title and data-i18n-aria-label.
+
+/**
+ * Looks up a message in the catalog for the browser's language
+ * @param {string} name - The message name
+ * @param {string|Array<string>} [substitutions] - Values for $1, $2, ... in the message
+ * @returns {string} - The message, or its name if the catalog has no such message
+ */
+function getMessage(name, substitutions) {
+  const message = typeof browser !== 'undefined'
+    ? browser.i18n.getMessage(name, substitutions)
+    : '';
+  return message || name;
+}
+
+/**
+ * Replaces an element's content with a message that may contain <strong>, <code> and <br>
+ * @param {Element} element - The element to fill
+ * @param {string} text - The message
+ */
+function setFormattedMessage(element, text) {
+  element.textContent = '';
+  text.split(/(<br>|<strong>.*?<\/strong>|<code>.*?<\/code>)/).forEach(part => {
+    const tag = part.match(/^<(strong|code)>(.*)<\/\1>$/);
+    if (part === '<br>') {
+      element.appendChild(document.createElement('br'));
+    } else if (tag) {
+      const child = document.createElement(tag[1]);
+      child.textContent = tag[2];
+      element.appendChild(child);
+    } else if (part) {
+      element.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+/**
+ * Translates every marked element on a page
+ * @param {Document|Element} [root] - The part of the page to translate
+ */
+function localizePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    setFormattedMessage(element, getMessage(element.dataset.i18n));
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = getMessage(element.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = getMessage(element.dataset.i18nTitle);
+  });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+    element.setAttribute('aria-label', getMessage(element.dataset.i18nAriaLabel));
+  });
+  document.documentElement.lang = browser.i18n.getUILanguage();
+}
+
+/**
+ * Names the browser's language in that language, e.g. "Deutsch" for German
+ * @returns {string}
+ */
+function getUILanguageName() {
+  const language = browser.i18n.getUILanguage().split('-')[0];
+  try {
+    const name = new Intl.DisplayNames([language], { type: 'language' }).of(language);
+    return name.charAt(0).toLocaleUpperCase(language) + name.slice(1);
+  } catch (error) {
+    return language;
+  }
+}
+
+// Make the helpers available to other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    getMessage,
+    setFormattedMessage,
+    localizePage,
+    getUILanguageName
+  };
+} else {
+  // Browser environment - make it globally available
+  window.I18n = {
+    getMessage,
+    setFormattedMessage,
+    localizePage,
+    getUILanguageName
+  };
+}
@@ -1,5 +1,129 @@
 // Use the default prompt from constants.js
 
+// Profiles being edited; written to storage only when the user saves
+let profiles = [];
+let selectedProfileIndex = 0;
+// Rules being edited; written to storage only when the user saves
+let rules = [];
+let selectedRuleIndex = 0;
+// The administrator's policy from managed storage; see settings.js
+let settingsPolicy = { defaults: {}, lockedKeys: [], allowedProviders: null };
+// The imported prompt pack waiting for the user to install it, with its installed version
+// and the pack's profiles the user changed since then
+let pendingPack = null;
+// The form fields of each setting, made read-only when a policy locks the setting.
+// The profile and rule lists stay usable so locked entries can still be read.
+const SETTING_FIELDS = {
+    promptProfiles: ['addProfileButton', 'moveProfileUpButton', 'moveProfileDownButton', 'deleteProfileButton',
+        'profileName', 'promptTemplate', 'importPackButton', 'installPackButton'],
+    defaultProvider: ['defaultProvider'],
+    responseLanguage: ['responseLanguage'],
+    rangePromptTemplate: ['rangePromptTemplate'],
+    recentMinutes: ['recentMinutes'],
+    playlistPromptTemplate: ['playlistPromptTemplate'],
+    playlistMaxVideos: ['playlistMaxVideos'],
+    queuePromptTemplate: ['queuePromptTemplate'],
+    comparePromptTemplate: ['comparePromptTemplate'],
+    questionPromptTemplate: ['questionPromptTemplate'],
+    selectionPromptTemplate: ['selectionPromptTemplate'],
+    promptRules: ['addRuleButton', 'moveRuleUpButton', 'moveRuleDownButton', 'deleteRuleButton',
+        'ruleEnabled', 'ruleName', 'ruleCondition', 'ruleValue', 'ruleTemplate', 'ruleLanguage'],
+    transcriptLanguage: ['transcriptLanguage'],
+    transcriptMaxChars: ['transcriptMaxChars'],
+    transcriptTruncation: ['transcriptTruncation'],
+    historyEnabled: ['historyEnabled'],
+    thumbnailButtonEnabled: ['thumbnailButtonEnabled'],
+    notificationLevels: ['notificationLevelList']
+};
+// Keys accepted in shortcuts, by KeyboardEvent.code, for codes that are not letters, digits or F-keys
+const SHORTCUT_KEY_NAMES = {
+    Comma: 'Comma',
+    Period: 'Period',
+    Space: 'Space',
+    Home: 'Home',
+    End: 'End',
+    PageUp: 'PageUp',
+    PageDown: 'PageDown',
+    Insert: 'Insert',
+    Delete: 'Delete',
+    ArrowUp: 'Up',
+    ArrowDown: 'Down',
+    ArrowLeft: 'Left',
+    ArrowRight: 'Right'
+};
+// Option labels of the notification levels
+const NOTIFICATION_LEVEL_MESSAGES = {
+    always: 'optionsNotificationLevelAlways',
+    errors: 'optionsNotificationLevelErrors',
+    never: 'optionsNotificationLevelNever'
+};
+// The made-up video that template previews are rendered for
+const SAMPLE_VIDEO_URL = 'https://www.youtube.com/watch?v=aBcDeFgHiJk';
+const SAMPLE_PLAYLIST_URL = 'https://www.youtube.com/playlist?list=PLaBcDeFgHiJkLmNoPqRsTuVwXyZ';
+// Template editors, keyed by textarea ID, with the template used when one is left empty
+// and the placeholder values that only their kind of prompt has
+const TEMPLATE_EDITORS = {
+    promptTemplate: {
+        getDefault: () => window.EXTENSION_CONSTANTS.DEFAULT_PROMPT,
+        getExtraValues: () => ({})
+    },
+    ruleTemplate: {
+        // Rules can't be saved without a template
+        getDefault: () => '',
+        getExtraValues: () => ({})
+    },
+    rangePromptTemplate: {
+        getDefault: () => window.EXTENSION_CONSTANTS.DEFAULT_RANGE_PROMPT,
+        getExtraValues: () => ({
+            videoUrl: `${SAMPLE_VIDEO_URL}&t=95s`,
+            startTime: '1:35',
+            endTime: '6:35'
+        })
+    },
+    playlistPromptTemplate: {
+        getDefault: () => window.EXTENSION_CONSTANTS.DEFAULT_PLAYLIST_PROMPT,
+        getExtraValues: () => {
+            const videos = getSampleVideos();
+            return {
+                videoUrl: SAMPLE_PLAYLIST_URL,
+                playlistTitle: window.I18n.getMessage('optionsSamplePlaylistTitle'),
+                playlistUrl: SAMPLE_PLAYLIST_URL,
+                playlistPart: window.I18n.getMessage('playlistPart', ['1', String(videos.length), String(videos.length)]),
+                videoCount: String(videos.length),
+                videoList: window.PromptTemplate.formatVideoList(videos)
+            };
+        }
+    },
+    queuePromptTemplate: {
+        getDefault: () => window.EXTENSION_CONSTANTS.DEFAULT_QUEUE_PROMPT,
+        getExtraValues: () => {
+            const videos = getSampleVideos();
+            return {
+                videoCount: String(videos.length),
+                videoList: window.PromptTemplate.formatVideoList(videos)
+            };
+        }
+    },
+    comparePromptTemplate: {
+        getDefault: () => window.EXTENSION_CONSTANTS.DEFAULT_COMPARE_PROMPT,
+        getExtraValues: () => {
+            const videos = getSampleVideos();
+            return {
+                videoCount: String(videos.length),
+                videoList: window.PromptTemplate.formatVideoList(videos)
+            };
+        }
+    },
+    questionPromptTemplate: {
+        getDefault: () => window.EXTENSION_CONSTANTS.DEFAULT_QUESTION_PROMPT,
+        getExtraValues: () => ({ question: window.I18n.getMessage('optionsSampleQuestion') })
+    },
+    selectionPromptTemplate: {
+        getDefault: () => window.EXTENSION_CONSTANTS.DEFAULT_SELECTION_PROMPT,
+        getExtraValues: () => ({ selection: window.I18n.getMessage('optionsSampleSelection') })
+    }
+};
+
 /**
  * Shows a status message to the user
  * @param {string} message - The message to display
@@ -17,36 +141,655 @@ function showStatus(message, isError = false) {
     }, 3000);
 }
 
+/**
+ * Renders the profile list and the editor for the selected profile
+ */
+function renderProfiles() {
+    const listElement = document.getElementById('profileList');
+    listElement.textContent = '';
+    
+    profiles.forEach((profile, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = profile.name || window.I18n.getMessage('untitledProfile');
+        option.selected = index === selectedProfileIndex;
+        listElement.appendChild(option);
+    });
+    
+    const selectedProfile = profiles[selectedProfileIndex];
+    document.getElementById('profileName').value = selectedProfile.name;
+    document.getElementById('promptTemplate').value = selectedProfile.template;
+    renderTemplateEditor('promptTemplate');
+    document.getElementById('moveProfileUpButton').disabled = selectedProfileIndex === 0;
+    document.getElementById('moveProfileDownButton').disabled = selectedProfileIndex === profiles.length - 1;
+    document.getElementById('deleteProfileButton').disabled = profiles.length === 1;
+    lockSettingFields();
+}
+
+/**
+ * Renders the rule list and the editor for the selected rule
+ */
+function renderRules() {
+    const listElement = document.getElementById('ruleList');
+    listElement.textContent = '';
+    
+    rules.forEach((rule, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = getRuleListLabel(rule);
+        option.selected = index === selectedRuleIndex;
+        listElement.appendChild(option);
+    });
+    
+    const selectedRule = rules[selectedRuleIndex];
+    document.getElementById('ruleEditor').hidden = !selectedRule;
+    document.getElementById('moveRuleUpButton').disabled = !selectedRule || selectedRuleIndex === 0;
+    document.getElementById('moveRuleDownButton').disabled = !selectedRule || selectedRuleIndex === rules.length - 1;
+    document.getElementById('deleteRuleButton').disabled = !selectedRule;
+    
+    if (!selectedRule) {
+        return;
+    }
+    
+    document.getElementById('ruleEnabled').checked = selectedRule.enabled;
+    document.getElementById('ruleName').value = selectedRule.name;
+    document.getElementById('ruleCondition').value = selectedRule.condition;
+    document.getElementById('ruleValue').value = selectedRule.value;
+    document.getElementById('ruleTemplate').value = selectedRule.template;
+    document.getElementById('ruleLanguage').value = selectedRule.language;
+    renderRuleValueField();
+    renderTemplateEditor('ruleTemplate');
+    lockSettingFields();
+}
+
+/**
+ * Describes a rule in the rule list
+ * @param {object} rule - The rule
+ * @returns {string}
+ */
+function getRuleListLabel(rule) {
+    const condition = window.PromptRules.RULE_CONDITIONS.find(item => item.id === rule.condition);
+    const value = condition && condition.valueLabel ? ` ${rule.value}` : '';
+    const disabled = rule.enabled ? '' : ` ${window.I18n.getMessage('optionsRuleDisabled')}`;
+    return `${rule.name || window.I18n.getMessage('untitledRule')}: ${condition ? condition.label : rule.condition}${value}${disabled}`;
+}
+
+/**
+ * Shows the value field only for conditions that need a value, labelled for the condition
+ */
+function renderRuleValueField() {
+    const condition = window.PromptRules.RULE_CONDITIONS
+        .find(item => item.id === document.getElementById('ruleCondition').value);
+    const needsValue = Boolean(condition && condition.valueLabel);
+    
+    document.getElementById('ruleValueLabel').hidden = !needsValue;
+    document.getElementById('ruleValue').hidden = !needsValue;
+    document.getElementById('ruleValueLabel').textContent = needsValue ? `${condition.valueLabel}:` : '';
+}
+
+/**
+ * Adds a new rule and selects it
+ */
+function addRule() {
+    rules.push({
+        id: window.PromptRules.createRuleId(),
+        name: window.I18n.getMessage('optionsNewRuleName'),
+        enabled: true,
+        condition: 'titleMatches',
+        value: '',
+        template: window.EXTENSION_CONSTANTS.DEFAULT_PROMPT,
+        language: ''
+    });
+    selectedRuleIndex = rules.length - 1;
+    renderRules();
+    document.getElementById('ruleName').select();
+}
+
+/**
+ * Moves the selected rule up or down in the list
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveRule(offset) {
+    const targetIndex = selectedRuleIndex + offset;
+    if (targetIndex < 0 || targetIndex >= rules.length) {
+        return;
+    }
+    
+    const [rule] = rules.splice(selectedRuleIndex, 1);
+    rules.splice(targetIndex, 0, rule);
+    selectedRuleIndex = targetIndex;
+    renderRules();
+}
+
+/**
+ * Deletes the selected rule after confirmation
+ */
+function deleteRule() {
+    const rule = rules[selectedRuleIndex];
+    if (!rule || !confirm(window.I18n.getMessage('optionsConfirmDeleteRule', rule.name))) {
+        return;
+    }
+    
+    rules.splice(selectedRuleIndex, 1);
+    selectedRuleIndex = Math.max(0, Math.min(selectedRuleIndex, rules.length - 1));
+    renderRules();
+}
+
+/**
+ * Copies an editor field into the selected rule and refreshes its list entry
+ * @param {string} field - The rule property to update
+ * @param {string|boolean} value - The new value
+ */
+function updateSelectedRule(field, value) {
+    const rule = rules[selectedRuleIndex];
+    if (!rule) {
+        return;
+    }
+    
+    rule[field] = value;
+    document.getElementById('ruleList').options[selectedRuleIndex].textContent = getRuleListLabel(rule);
+}
+
+/**
+ * Fills in the default chat provider picker with the providers the policy allows
+ * @param {string} selectedProviderId - The provider to select
+ */
+function renderProviderSetting(selectedProviderId) {
+    const selectElement = document.getElementById('defaultProvider');
+    selectElement.textContent = '';
+    
+    window.Settings.getAllowedProviders(settingsPolicy).forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.name;
+        selectElement.appendChild(option);
+    });
+    selectElement.value = window.ChatProviders.getChatProvider(selectedProviderId).id;
+}
+
+/**
+ * Fills in every setting on the page
+ * @param {object} settings - Complete settings from the settings module
+ */
+function renderSettings(settings) {
+    profiles = settings.promptProfiles.map(profile => ({ ...profile }));
+    selectedProfileIndex = 0;
+    renderProfiles();
+    rules = settings.promptRules.map(rule => ({ ...rule }));
+    selectedRuleIndex = 0;
+    renderRules();
+    renderProviderSetting(settings.defaultProvider);
+    document.getElementById('rangePromptTemplate').value = settings.rangePromptTemplate;
+    document.getElementById('recentMinutes').value = settings.recentMinutes;
+    document.getElementById('playlistPromptTemplate').value = settings.playlistPromptTemplate;
+    document.getElementById('playlistMaxVideos').value = settings.playlistMaxVideos;
+    document.getElementById('queuePromptTemplate').value = settings.queuePromptTemplate;
+    document.getElementById('comparePromptTemplate').value = settings.comparePromptTemplate;
+    document.getElementById('questionPromptTemplate').value = settings.questionPromptTemplate;
+    document.getElementById('selectionPromptTemplate').value = settings.selectionPromptTemplate;
+    document.getElementById('responseLanguage').value = settings.responseLanguage;
+    document.getElementById('transcriptLanguage').value = settings.transcriptLanguage;
+    document.getElementById('transcriptMaxChars').value = settings.transcriptMaxChars;
+    document.getElementById('transcriptTruncation').value = settings.transcriptTruncation;
+    document.getElementById('historyEnabled').checked = settings.historyEnabled;
+    document.getElementById('thumbnailButtonEnabled').checked = settings.thumbnailButtonEnabled;
+    renderNotificationLevels(settings.notificationLevels);
+    renderTemplateEditors();
+    lockSettingFields();
+}
+
+/**
+ * Makes the fields of the settings locked by the policy read-only
+ * Only ever locks fields, since the list renderers enable their buttons by themselves
+ */
+function lockSettingFields() {
+    const lockedTitle = window.I18n.getMessage('optionsPolicyLockedField');
+    settingsPolicy.lockedKeys.forEach(key => {
+        (SETTING_FIELDS[key] || []).forEach(elementId => {
+            const element = document.getElementById(elementId);
+            const fields = element.matches('input, textarea, select, button')
+                ? [element]
+                : Array.from(element.querySelectorAll('input, textarea, select, button'));
+            fields.forEach(field => {
+                // Read-only text can still be selected and copied
+                if (field.matches('textarea, input[type="text"], input[type="number"]')) {
+                    field.readOnly = true;
+                } else {
+                    field.disabled = true;
+                }
+                field.title = lockedTitle;
+                field.classList.add('policy-locked');
+            });
+        });
+    });
+}
+
+/**
+ * Explains which settings the administrator's policy controls
+ */
+function renderPolicyNotice() {
+    const lines = [];
+    if (settingsPolicy.lockedKeys.length > 0) {
+        const labels = settingsPolicy.lockedKeys.map(key => window.Settings.getSettingLabel(key));
+        lines.push(window.I18n.getMessage('optionsPolicyLocked', labels.join(', ')));
+    }
+    if (settingsPolicy.allowedProviders) {
+        const names = window.Settings.getAllowedProviders(settingsPolicy).map(provider => provider.name);
+        lines.push(window.I18n.getMessage('optionsPolicyProviders', names.join(', ')));
+    }
+    if (Object.keys(settingsPolicy.defaults).length > 0) {
+        lines.push(window.I18n.getMessage('optionsPolicyDefaults'));
+    }
+    
+    const noticeElement = document.getElementById('policyNotice');
+    noticeElement.textContent = lines.join(' ');
+    noticeElement.hidden = lines.length === 0;
+}
+
+/**
+ * Reads the settings as currently entered on the page
+ * @returns {object} - Unvalidated settings
+ */
+function readSettingsForm() {
+    return {
+        promptProfiles: profiles.map(profile => ({
+            id: profile.id,
+            name: profile.name.trim() || window.I18n.getMessage('untitledProfile'),
+            template: profile.template.trim() || window.EXTENSION_CONSTANTS.DEFAULT_PROMPT
+        })),
+        defaultProvider: document.getElementById('defaultProvider').value,
+        promptRules: rules.map(rule => ({ ...rule })),
+        rangePromptTemplate: document.getElementById('rangePromptTemplate').value,
+        recentMinutes: Math.round(Number(document.getElementById('recentMinutes').value)),
+        playlistPromptTemplate: document.getElementById('playlistPromptTemplate').value,
+        playlistMaxVideos: Math.round(Number(document.getElementById('playlistMaxVideos').value)),
+        queuePromptTemplate: document.getElementById('queuePromptTemplate').value,
+        comparePromptTemplate: document.getElementById('comparePromptTemplate').value,
+        questionPromptTemplate: document.getElementById('questionPromptTemplate').value,
+        selectionPromptTemplate: document.getElementById('selectionPromptTemplate').value,
+        responseLanguage: document.getElementById('responseLanguage').value,
+        transcriptLanguage: document.getElementById('transcriptLanguage').value,
+        transcriptMaxChars: Math.round(Number(document.getElementById('transcriptMaxChars').value)),
+        transcriptTruncation: document.getElementById('transcriptTruncation').value,
+        historyEnabled: document.getElementById('historyEnabled').checked,
+        thumbnailButtonEnabled: document.getElementById('thumbnailButtonEnabled').checked,
+        notificationLevels: readNotificationLevels()
+    };
+}
+
+/**
+ * Lists the videos used for playlist and queue previews
+ * @returns {Array<{videoUrl: string, title: string}>}
+ */
+function getSampleVideos() {
+    return [
+        { videoUrl: SAMPLE_VIDEO_URL, title: window.I18n.getMessage('optionsSampleTitle') },
+        { videoUrl: 'https://www.youtube.com/watch?v=kJiHgFeDcBa', title: window.I18n.getMessage('optionsSampleVideo2') },
+        { videoUrl: 'https://www.youtube.com/watch?v=LmNoPqRsTuV', title: window.I18n.getMessage('optionsSampleVideo3') }
+    ];
+}
+
+/**
+ * Builds the placeholder values a template editor's preview is rendered with
+ * @param {string} editorId - The ID of the template's textarea
+ * @returns {Object<string, string>}
+ */
+function getSamplePromptValues(editorId) {
+    const metadata = {
+        title: window.I18n.getMessage('optionsSampleTitle'),
+        channel: window.I18n.getMessage('optionsSampleChannel'),
+        duration: '14:52',
+        publishDate: new Date(2026, 2, 14).toLocaleDateString(),
+        description: window.I18n.getMessage('optionsSampleDescription'),
+        chapters: [
+            { time: '0:00', title: window.I18n.getMessage('optionsSampleChapter1') },
+            { time: '1:35', title: window.I18n.getMessage('optionsSampleChapter2') },
+            { time: '8:20', title: window.I18n.getMessage('optionsSampleChapter3') }
+        ]
+    };
+    return window.PromptTemplate.buildPromptValues(SAMPLE_VIDEO_URL, metadata, {
+        transcript: `[0:00] ${window.I18n.getMessage('optionsSampleTranscript')}`,
+        language: document.getElementById('responseLanguage').value.trim() || window.I18n.getUILanguageName(),
+        ...TEMPLATE_EDITORS[editorId].getExtraValues()
+    });
+}
+
+/**
+ * Shows a template editor's problems next to it and renders its preview for the sample video
+ * Unknown placeholders are left in the preview as written, and marked
+ * @param {string} editorId - The ID of the template's textarea
+ */
+function renderTemplateEditor(editorId) {
+    const textarea = document.getElementById(editorId);
+    const errorList = document.getElementById(`${editorId}Errors`);
+    const template = textarea.value;
+    const errors = window.PromptTemplate.validatePromptTemplate(template);
+    
+    textarea.classList.toggle('template-invalid', errors.length > 0);
+    errorList.hidden = errors.length === 0;
+    errorList.textContent = '';
+    errors.forEach(error => {
+        const lineNumber = template.slice(0, error.start).split('\n').length;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = window.I18n.getMessage('optionsTemplateErrorLine', [String(lineNumber), error.message]);
+        button.addEventListener('click', () => {
+            textarea.focus();
+            textarea.setSelectionRange(error.start, error.end);
+        });
+        const item = document.createElement('li');
+        item.appendChild(button);
+        errorList.appendChild(item);
+    });
+    
+    const previewTemplate = template.trim() ? template : TEMPLATE_EDITORS[editorId].getDefault();
+    const preview = window.PromptTemplate.renderPromptTemplate(previewTemplate, getSamplePromptValues(editorId));
+    const previewElement = document.getElementById(`${editorId}Preview`);
+    previewElement.textContent = '';
+    
+    // Tags that failed to parse are rendered as written, so they can be found in the preview
+    const brokenTags = [...new Set(errors.map(error => template.slice(error.start, error.end)))];
+    if (brokenTags.length === 0) {
+        previewElement.textContent = preview;
+        return;
+    }
+    const brokenTagPattern = new RegExp(`(${brokenTags.map(tag => tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`);
+    preview.split(brokenTagPattern).forEach((part, index) => {
+        if (index % 2 === 1) {
+            const mark = document.createElement('mark');
+            mark.textContent = part;
+            previewElement.appendChild(mark);
+        } else {
+            previewElement.appendChild(document.createTextNode(part));
+        }
+    });
+}
+
+/**
+ * Renders the previews and problems of every template editor
+ */
+function renderTemplateEditors() {
+    Object.keys(TEMPLATE_EDITORS).forEach(renderTemplateEditor);
+}
+
+/**
+ * Finds the first template with problems, selecting its profile or rule so it is in the editor
+ * @param {object} values - Settings as read from the form
+ * @returns {{editorId: string, name: string}|null} - The broken template's editor and name, or null
+ */
+function findBrokenTemplate(values) {
+    const hasErrors = template => window.PromptTemplate.validatePromptTemplate(template).length > 0;
+    
+    const profileIndex = profiles.findIndex(profile => hasErrors(profile.template));
+    if (profileIndex !== -1) {
+        selectedProfileIndex = profileIndex;
+        renderProfiles();
+        return { editorId: 'promptTemplate', name: values.promptProfiles[profileIndex].name };
+    }
+    
+    const ruleIndex = rules.findIndex(rule => hasErrors(rule.template));
+    if (ruleIndex !== -1) {
+        selectedRuleIndex = ruleIndex;
+        renderRules();
+        return { editorId: 'ruleTemplate', name: rules[ruleIndex].name || window.I18n.getMessage('untitledRule') };
+    }
+    
+    const settingLabels = {
+        rangePromptTemplate: 'settingRangePromptTemplate',
+        playlistPromptTemplate: 'settingPlaylistPromptTemplate',
+        queuePromptTemplate: 'settingQueuePromptTemplate',
+        comparePromptTemplate: 'settingComparePromptTemplate',
+        questionPromptTemplate: 'settingQuestionPromptTemplate',
+        selectionPromptTemplate: 'settingSelectionPromptTemplate'
+    };
+    const settingEditorId = Object.keys(settingLabels).find(editorId => hasErrors(values[editorId]));
+    return settingEditorId
+        ? { editorId: settingEditorId, name: window.I18n.getMessage(settingLabels[settingEditorId]) }
+        : null;
+}
+
+/**
+ * Lists the ways to start a summary with a notification level picker for each
+ * @param {Object<string, string>} levels - The notification level of each trigger
+ */
+function renderNotificationLevels(levels) {
+    const listElement = document.getElementById('notificationLevelList');
+    listElement.textContent = '';
+    
+    window.EXTENSION_CONSTANTS.SUMMARY_TRIGGERS.forEach(trigger => {
+        const row = document.createElement('div');
+        row.className = 'shortcut-row';
+        
+        const description = document.createElement('span');
+        description.textContent = window.I18n.getMessage(trigger.messageName);
+        
+        const select = document.createElement('select');
+        select.dataset.trigger = trigger.id;
+        select.setAttribute('aria-label', description.textContent);
+        window.EXTENSION_CONSTANTS.NOTIFICATION_LEVELS.forEach(level => {
+            const option = document.createElement('option');
+            option.value = level;
+            option.textContent = window.I18n.getMessage(NOTIFICATION_LEVEL_MESSAGES[level]);
+            select.appendChild(option);
+        });
+        select.value = levels[trigger.id];
+        
+        row.appendChild(description);
+        row.appendChild(select);
+        listElement.appendChild(row);
+    });
+}
+
+/**
+ * Reads the notification level picked for each way to start a summary
+ * @returns {Object<string, string>} - Levels keyed by trigger ID
+ */
+function readNotificationLevels() {
+    const levels = {};
+    document.querySelectorAll('#notificationLevelList select').forEach(select => {
+        levels[select.dataset.trigger] = select.value;
+    });
+    return levels;
+}
+
+/**
+ * Lists the keyboard shortcuts with an editable field for each
+ */
+function renderShortcuts() {
+    browser.commands.getAll().then(commands => {
+        const listElement = document.getElementById('shortcutList');
+        listElement.textContent = '';
+        
+        commands.forEach(command => {
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+            
+            const description = document.createElement('span');
+            description.textContent = command.description || command.name;
+            
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.readOnly = true;
+            // Chromium browsers only change shortcuts on their own page
+            input.disabled = !window.Platform.canEditShortcuts;
+            input.placeholder = window.I18n.getMessage('optionsShortcutNotSet');
+            input.value = command.shortcut || '';
+            input.dataset.command = command.name;
+            input.dataset.savedShortcut = command.shortcut || '';
+            input.setAttribute('aria-label', description.textContent);
+            input.addEventListener('keydown', handleShortcutKeydown);
+            
+            row.appendChild(description);
+            row.appendChild(input);
+            listElement.appendChild(row);
+        });
+    }).catch(error => {
+        console.error('Error loading keyboard shortcuts:', error);
+    });
+}
+
+/**
+ * Records the key combination pressed in a shortcut field
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleShortcutKeydown(event) {
+    if (event.key === 'Tab') {
+        return;
+    }
+    
+    // Keep Ctrl+S and other page shortcuts from firing while recording
+    event.preventDefault();
+    event.stopPropagation();
+    
+    if (event.key === 'Backspace' && !event.ctrlKey && !event.altKey) {
+        event.target.value = '';
+        return;
+    }
+    
+    const shortcut = shortcutFromKeyEvent(event);
+    if (shortcut) {
+        event.target.value = shortcut;
+    }
+}
+
+/**
+ * Builds a shortcut string in the format browser.commands expects
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {string|null} - The shortcut, or null while only modifiers are pressed or the key is not supported
+ */
+function shortcutFromKeyEvent(event) {
+    let key = SHORTCUT_KEY_NAMES[event.code] || null;
+    const match = event.code.match(/^(?:Key([A-Z])|Digit(\d)|(F\d{1,2}))$/);
+    if (match) {
+        key = match[1] || match[2] || match[3];
+    }
+    if (!key) {
+        return null;
+    }
+    
+    const isMac = navigator.platform.startsWith('Mac');
+    const modifiers = [];
+    if (event.altKey) modifiers.push('Alt');
+    if (isMac && event.metaKey) modifiers.push('Command');
+    if (event.ctrlKey) modifiers.push(isMac ? 'MacCtrl' : 'Ctrl');
+    if (event.shiftKey) modifiers.push('Shift');
+    
+    return [...modifiers, key].join('+');
+}
+
+/**
+ * Applies the shortcuts that were changed on the page
+ * @returns {Promise<string[]>} - The shortcuts Firefox did not accept
+ */
+function saveShortcuts() {
+    const inputs = Array.from(document.querySelectorAll('#shortcutList input'))
+        .filter(input => input.value !== input.dataset.savedShortcut);
+    
+    return Promise.all(inputs.map(input => {
+        return browser.commands.update({ name: input.dataset.command, shortcut: input.value })
+            .then(() => {
+                input.dataset.savedShortcut = input.value;
+                return null;
+            })
+            .catch(error => {
+                console.error('Error updating keyboard shortcut:', error);
+                return input.value;
+            });
+    })).then(results => results.filter(shortcut => shortcut !== null));
+}
+
 /**
  * Loads the saved settings from storage
  */
 function loadSettings() {
-    browser.storage.sync.get(['promptTemplate']).then(result => {
-        const promptTemplate = result.promptTemplate || window.EXTENSION_CONSTANTS.DEFAULT_PROMPT;
-        
-        document.getElementById('promptTemplate').value = promptTemplate;
+    renderShortcuts();
+    Promise.all([window.Settings.loadSettings(), window.Settings.loadPolicy()]).then(([settings, policy]) => {
+        settingsPolicy = policy;
+        renderPolicyNotice();
+        renderSettings(settings);
     }).catch(error => {
         console.error('Error loading settings:', error);
-        showStatus('Error loading settings. Using default values.', true);
-        document.getElementById('promptTemplate').value = window.EXTENSION_CONSTANTS.DEFAULT_PROMPT;
+        showStatus(window.I18n.getMessage('optionsLoadError'), true);
+        renderSettings(window.Settings.getDefaultSettings());
+    });
+}
+
+/**
+ * Adds a new profile based on the default prompt and selects it
+ */
+function addProfile() {
+    profiles.push({
+        id: window.PromptProfiles.createProfileId(),
+        name: window.I18n.getMessage('optionsNewProfileName'),
+        template: window.EXTENSION_CONSTANTS.DEFAULT_PROMPT
     });
+    selectedProfileIndex = profiles.length - 1;
+    renderProfiles();
+    document.getElementById('profileName').select();
+}
+
+/**
+ * Moves the selected profile up or down in the list
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveProfile(offset) {
+    const targetIndex = selectedProfileIndex + offset;
+    if (targetIndex < 0 || targetIndex >= profiles.length) {
+        return;
+    }
+    
+    const [profile] = profiles.splice(selectedProfileIndex, 1);
+    profiles.splice(targetIndex, 0, profile);
+    selectedProfileIndex = targetIndex;
+    renderProfiles();
+}
+
+/**
+ * Deletes the selected profile after confirmation
+ */
+function deleteProfile() {
+    if (profiles.length === 1) {
+        return;
+    }
+    
+    const profile = profiles[selectedProfileIndex];
+    if (!confirm(window.I18n.getMessage('optionsConfirmDeleteProfile', profile.name))) {
+        return;
+    }
+    
+    profiles.splice(selectedProfileIndex, 1);
+    selectedProfileIndex = Math.min(selectedProfileIndex, profiles.length - 1);
+    renderProfiles();
 }
 
 /**
  * Saves the settings to storage
  */
 function saveSettings() {
-    const promptTemplate = document.getElementById('promptTemplate').value.trim();
+    const values = readSettingsForm();
+    const { errors } = window.Settings.validateSettings(values);
     
-    // If empty, use default
-    const templateToSave = promptTemplate || window.EXTENSION_CONSTANTS.DEFAULT_PROMPT;
+    if (errors.length > 0) {
+        showStatus(errors[0], true);
+        return;
+    }
+    
+    // Broken templates would send placeholders as written, so they can't be saved
+    const brokenTemplate = findBrokenTemplate(values);
+    if (brokenTemplate) {
+        document.getElementById(brokenTemplate.editorId).focus();
+        showStatus(window.I18n.getMessage('optionsTemplateInvalid', brokenTemplate.name), true);
+        return;
+    }
     
-    // Check if the template contains the {videoUrl} placeholder
-    if (templateToSave !== window.EXTENSION_CONSTANTS.DEFAULT_PROMPT && !templateToSave.includes('{videoUrl}')) {
+    // Check if the templates contain the {videoUrl} placeholder
+    const profilesWithoutPlaceholder = values.promptProfiles
+        .filter(profile => !window.PromptTemplate.getTemplatePlaceholders(profile.template).has('videoUrl'))
+        .map(profile => `"${profile.name}"`);
+    
+    if (profilesWithoutPlaceholder.length > 0) {
         const continueWithoutPlaceholder = confirm(
-            'Warning: Your custom prompt does not contain the {videoUrl} placeholder. ' +
-            'This means the video URL may not be included in the prompt sent to Gemini.\n\n' +
-            'Do you want to save this prompt anyway?'
+            window.I18n.getMessage('optionsConfirmMissingVideoUrl', profilesWithoutPlaceholder.join(', '))
         );
         
         if (!continueWithoutPlaceholder) {
@@ -54,13 +797,25 @@ function saveSettings() {
         }
     }
     
-    browser.storage.sync.set({
-        promptTemplate: templateToSave
-    }).then(() => {
-        showStatus('Settings saved successfully!');
+    // Shortcuts are only applied once the settings are saved, so a failed save changes nothing
+    window.Settings.saveSettings(values, settingsPolicy).then(settings => {
+        return saveShortcuts().then(rejectedShortcuts => ({ settings, rejectedShortcuts }));
+    }).then(({ settings, rejectedShortcuts }) => {
+        const profileIndex = selectedProfileIndex;
+        const ruleIndex = selectedRuleIndex;
+        renderSettings(settings);
+        selectedProfileIndex = Math.min(profileIndex, profiles.length - 1);
+        renderProfiles();
+        selectedRuleIndex = Math.max(0, Math.min(ruleIndex, rules.length - 1));
+        renderRules();
+        if (rejectedShortcuts.length > 0) {
+            showStatus(window.I18n.getMessage('optionsShortcutsRejected', rejectedShortcuts.join(', ')), true);
+        } else {
+            showStatus(window.I18n.getMessage('optionsSaved'));
+        }
     }).catch(error => {
         console.error('Error saving settings:', error);
-        showStatus('Error saving settings. Please try again.', true);
+        showStatus(window.I18n.getMessage('optionsSaveErrorReason', error.message), true);
     });
 }
 
@@ -68,30 +823,446 @@ function saveSettings() {
  * Resets settings to default values
  */
 function resetSettings() {
-    if (confirm('Are you sure you want to reset to default settings?')) {
-        document.getElementById('promptTemplate').value = window.EXTENSION_CONSTANTS.DEFAULT_PROMPT;
-        
-        browser.storage.sync.set({
-            promptTemplate: window.EXTENSION_CONSTANTS.DEFAULT_PROMPT
+    if (confirm(window.I18n.getMessage('optionsConfirmReset'))) {
+        window.Settings.resetSettings().then(settings => {
+            renderSettings(settings);
+            return browser.commands.getAll();
+        }).then(commands => {
+            if (!window.Platform.canEditShortcuts) {
+                return [];
+            }
+            return Promise.all(commands.map(command => browser.commands.reset(command.name)));
         }).then(() => {
-            showStatus('Settings reset to default values!');
+            renderShortcuts();
+            showStatus(window.I18n.getMessage('optionsResetDone'));
         }).catch(error => {
             console.error('Error resetting settings:', error);
-            showStatus('Error resetting settings. Please try again.', true);
+            showStatus(window.I18n.getMessage('optionsResetError'), true);
         });
     }
 }
 
+/**
+ * Lists the installed prompt packs with their versions
+ */
+function renderInstalledPacks() {
+    window.PromptPacks.loadInstalledPacks().then(packs => {
+        const listElement = document.getElementById('packList');
+        listElement.textContent = '';
+        packs.forEach(pack => {
+            const item = document.createElement('li');
+            item.textContent = window.I18n.getMessage('optionsPackListItem', [pack.name, pack.version, String(pack.templates.length)]);
+            if (pack.description) {
+                item.title = pack.description;
+            }
+            listElement.appendChild(item);
+        });
+        document.getElementById('noPacksMessage').hidden = packs.length > 0;
+    }).catch(error => {
+        console.error('Error loading prompt packs:', error);
+    });
+}
+
+/**
+ * Creates a heading with a list of template names for the pack review
+ * @param {string} heading - The heading text
+ * @param {Array<{name: string, description: string}>} templates - The templates to list
+ * @returns {DocumentFragment}
+ */
+function createPackTemplateList(heading, templates) {
+    const fragment = document.createDocumentFragment();
+    const headingElement = document.createElement('h3');
+    headingElement.textContent = heading;
+    fragment.appendChild(headingElement);
+    
+    const listElement = document.createElement('ul');
+    templates.forEach(template => {
+        const item = document.createElement('li');
+        item.textContent = template.description ? `${template.name}: ${template.description}` : template.name;
+        listElement.appendChild(item);
+    });
+    fragment.appendChild(listElement);
+    return fragment;
+}
+
+/**
+ * Creates the list of pack profiles the user changed, each with a choice to replace it
+ * @param {object} pack - The pack being installed
+ * @param {Array<object>} edited - The changed profiles
+ * @returns {DocumentFragment}
+ */
+function createEditedProfileList(pack, edited) {
+    const fragment = document.createDocumentFragment();
+    const heading = document.createElement('h3');
+    heading.textContent = window.I18n.getMessage('optionsPackEditedHeading');
+    fragment.appendChild(heading);
+    const helpElement = document.createElement('p');
+    helpElement.className = 'help-text';
+    helpElement.textContent = window.I18n.getMessage('optionsPackEditedHelp');
+    fragment.appendChild(helpElement);
+    
+    edited.forEach(profile => {
+        const inPack = pack.templates.some(template =>
+            window.PromptPacks.getPackProfileId(pack.id, template.id) === profile.id);
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'pack-replace-edited';
+        checkbox.value = profile.id;
+        checkbox.addEventListener('change', checkPendingPackSize);
+        const text = document.createElement('span');
+        text.textContent = window.I18n.getMessage(inPack ? 'optionsPackReplaceEdited' : 'optionsPackRemoveEdited', profile.name);
+        label.appendChild(checkbox);
+        label.appendChild(text);
+        fragment.appendChild(label);
+    });
+    return fragment;
+}
+
+/**
+ * Shows what installing the imported pack would change, or why it can't be installed
+ * @param {string} fileName - The name of the imported file
+ * @param {object|null} pack - The pack, or null if it has problems
+ * @param {object|null} installed - The installed version of the pack, if any
+ * @param {string[]} errors - The pack's problems
+ * @param {Array<object>} edited - The pack's profiles the user changed
+ */
+function renderPackReview(fileName, pack, installed, errors, edited) {
+    const changesElement = document.getElementById('packReviewChanges');
+    changesElement.textContent = '';
+    document.getElementById('packReview').hidden = false;
+    document.getElementById('packReviewProblem').hidden = true;
+    document.getElementById('installPackButton').hidden = errors.length > 0;
+    document.getElementById('installPackButton').disabled = false;
+    
+    if (errors.length > 0) {
+        document.getElementById('packReviewTitle').textContent = fileName;
+        document.getElementById('packReviewSummary').textContent = window.I18n.getMessage('optionsPackInvalid');
+        const listElement = document.createElement('ul');
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            listElement.appendChild(item);
+        });
+        changesElement.appendChild(listElement);
+        return;
+    }
+    
+    document.getElementById('packReviewTitle').textContent = pack.description ? `${pack.name}: ${pack.description}` : pack.name;
+    if (!installed) {
+        document.getElementById('packReviewSummary').textContent =
+            window.I18n.getMessage('optionsPackReviewNew', [pack.version, String(pack.templates.length)]);
+        changesElement.appendChild(createPackTemplateList(window.I18n.getMessage('optionsPackAdded'), pack.templates));
+        if (edited.length > 0) {
+            changesElement.appendChild(createEditedProfileList(pack, edited));
+        }
+        return;
+    }
+    
+    const changes = window.PromptPacks.comparePacks(installed, pack);
+    const hasChanges = changes.added.length + changes.removed.length + changes.changed.length > 0;
+    document.getElementById('packReviewSummary').textContent = hasChanges
+        ? window.I18n.getMessage('optionsPackReviewUpdate', [installed.version, pack.version])
+        : window.I18n.getMessage('optionsPackReviewUnchanged', installed.version);
+    
+    if (changes.added.length > 0) {
+        changesElement.appendChild(createPackTemplateList(window.I18n.getMessage('optionsPackAdded'), changes.added));
+    }
+    if (changes.removed.length > 0) {
+        changesElement.appendChild(createPackTemplateList(window.I18n.getMessage('optionsPackRemoved'), changes.removed));
+    }
+    changes.changed.forEach(change => {
+        const heading = document.createElement('h3');
+        heading.textContent = window.I18n.getMessage('optionsPackChanged', change.after.name);
+        changesElement.appendChild(heading);
+        
+        const diffElement = document.createElement('pre');
+        diffElement.className = 'pack-diff';
+        change.lines.forEach(line => {
+            const lineElement = document.createElement('span');
+            const prefix = { same: '  ', added: '+ ', removed: '- ' }[line.type];
+            lineElement.textContent = `${prefix}${line.text}\n`;
+            if (line.type !== 'same') {
+                lineElement.className = `diff-${line.type}`;
+            }
+            diffElement.appendChild(lineElement);
+        });
+        changesElement.appendChild(diffElement);
+    });
+    if (changes.unchanged > 0 && hasChanges) {
+        const unchangedElement = document.createElement('p');
+        unchangedElement.textContent = window.I18n.getMessage('optionsPackUnchangedCount', String(changes.unchanged));
+        changesElement.appendChild(unchangedElement);
+    }
+    if (edited.length > 0) {
+        changesElement.appendChild(createEditedProfileList(pack, edited));
+    }
+}
+
+/**
+ * Returns the profiles as they would be after installing the imported pack
+ * Changed profiles are kept unless the user ticked them in the review.
+ * @returns {Array<object>}
+ */
+function getPendingPackProfiles() {
+    const { pack, installed, edited } = pendingPack;
+    const replacedIds = Array.from(document.querySelectorAll('.pack-replace-edited:checked'), checkbox => checkbox.value);
+    const keptIds = edited.map(profile => profile.id).filter(id => !replacedIds.includes(id));
+    return window.PromptPacks.applyPackToProfiles(readSettingsForm().promptProfiles, pack, installed, keptIds);
+}
+
+/**
+ * Checks whether the profiles of the imported pack fit in sync storage, and only lets the
+ * user install it if they do
+ */
+function checkPendingPackSize() {
+    if (!pendingPack) {
+        return;
+    }
+    
+    window.Settings.checkSettingsSize({ promptProfiles: getPendingPackProfiles() }, settingsPolicy).then(problem => {
+        const problemElement = document.getElementById('packReviewProblem');
+        problemElement.textContent = problem || '';
+        problemElement.hidden = !problem;
+        document.getElementById('installPackButton').disabled = Boolean(problem);
+    }).catch(error => {
+        console.error('Error checking prompt pack size:', error);
+    });
+}
+
+/**
+ * Hides the pack review and forgets the imported pack
+ */
+function closePackReview() {
+    pendingPack = null;
+    document.getElementById('packReview').hidden = true;
+}
+
+/**
+ * Reads a prompt pack file and shows what installing it would change
+ * @param {File} file - The file chosen by the user
+ */
+function importPromptPack(file) {
+    Promise.all([file.text(), window.PromptPacks.loadInstalledPacks()]).then(([text, installedPacks]) => {
+        const { pack, errors } = window.PromptPacks.parsePromptPack(text);
+        const installed = pack ? installedPacks.find(installedPack => installedPack.id === pack.id) || null : null;
+        const edited = pack ? window.PromptPacks.findEditedPackProfiles(readSettingsForm().promptProfiles, pack, installed) : [];
+        pendingPack = pack ? { pack, installed, edited } : null;
+        renderPackReview(file.name, pack, installed, errors, edited);
+        checkPendingPackSize();
+    }).catch(error => {
+        console.error('Error importing prompt pack:', error);
+        closePackReview();
+        showStatus(window.I18n.getMessage('importError', error.message), true);
+    });
+}
+
+/**
+ * Adds or updates the profiles of the imported pack and saves them
+ * Profiles the user changed are only replaced if they ticked them in the review.
+ * Other unsaved changes to the profiles on the page are saved with them.
+ */
+function installPendingPack() {
+    if (!pendingPack) {
+        return;
+    }
+    
+    const { pack } = pendingPack;
+    const updatedProfiles = getPendingPackProfiles();
+    window.Settings.saveSettings({ promptProfiles: updatedProfiles }, settingsPolicy).then(settings => {
+        profiles = settings.promptProfiles.map(profile => ({ ...profile }));
+        selectedProfileIndex = Math.min(selectedProfileIndex, profiles.length - 1);
+        renderProfiles();
+        return window.PromptPacks.saveInstalledPack(pack);
+    }).then(() => {
+        closePackReview();
+        renderInstalledPacks();
+        showStatus(window.I18n.getMessage('optionsPackInstalled', [pack.name, pack.version]));
+    }).catch(error => {
+        console.error('Error installing prompt pack:', error);
+        showStatus(window.I18n.getMessage('optionsSaveErrorReason', error.message), true);
+    });
+}
+
+/**
+ * Downloads the user's own prompt profiles as a prompt pack
+ */
+function exportPromptPack() {
+    const name = prompt(window.I18n.getMessage('optionsPackNamePrompt'), window.I18n.getMessage('optionsPackDefaultName'));
+    if (name === null) {
+        return;
+    }
+    
+    const pack = window.PromptPacks.createPackFromProfiles(
+        readSettingsForm().promptProfiles,
+        name.trim() || window.I18n.getMessage('optionsPackDefaultName')
+    );
+    if (!pack) {
+        showStatus(window.I18n.getMessage('optionsPackNothingToShare'), true);
+        return;
+    }
+    
+    const url = URL.createObjectURL(new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${pack.id}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Downloads the saved settings as a JSON file
+ */
+function exportSettings() {
+    window.Settings.loadSettings().then(settings => {
+        const date = new Date().toISOString().slice(0, 10);
+        const url = URL.createObjectURL(new Blob([window.Settings.exportSettings(settings)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `youtube-summarizer-settings-${date}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }).catch(error => {
+        console.error('Error exporting settings:', error);
+        showStatus(window.I18n.getMessage('optionsExportError'), true);
+    });
+}
+
+/**
+ * Replaces the saved settings with the ones in an exported settings file
+ * @param {File} file - The file chosen by the user
+ */
+function importSettings(file) {
+    file.text().then(text => {
+        const { settings, errors } = window.Settings.parseSettingsFile(text);
+        const warning = errors.length > 0
+            ? `\n\n${window.I18n.getMessage('optionsImportInvalidValues')}\n${errors.join('\n')}`
+            : '';
+        
+        if (!confirm(`${window.I18n.getMessage('optionsConfirmImport', file.name)}${warning}`)) {
+            return;
+        }
+        
+        return window.Settings.saveSettings(settings, settingsPolicy).then(savedSettings => {
+            renderSettings(savedSettings);
+            showStatus(window.I18n.getMessage('optionsImported'));
+        });
+    }).catch(error => {
+        console.error('Error importing settings:', error);
+        showStatus(window.I18n.getMessage('importError', error.message), true);
+    });
+}
+
 /**
  * Initializes the options page
  */
 function initializeOptions() {
+    window.I18n.localizePage();
+    document.getElementById('responseLanguage').placeholder = window.I18n.getUILanguageName();
+    
     // Load current settings
     loadSettings();
+    renderInstalledPacks();
+    
+    if (!window.Platform.canEditShortcuts) {
+        document.getElementById('shortcutsHelp').hidden = true;
+        document.getElementById('browserShortcutsNote').hidden = false;
+        document.getElementById('browserShortcutsButton').addEventListener('click', () => {
+            window.Platform.openShortcutSettings().catch(error => {
+                console.error('Error opening the shortcuts page:', error);
+            });
+        });
+    }
     
     // Set up event listeners
     document.getElementById('saveButton').addEventListener('click', saveSettings);
     document.getElementById('resetButton').addEventListener('click', resetSettings);
+    document.getElementById('exportSettingsButton').addEventListener('click', exportSettings);
+    document.getElementById('importSettingsButton').addEventListener('click', () => {
+        document.getElementById('importSettingsInput').click();
+    });
+    document.getElementById('importSettingsInput').addEventListener('change', (event) => {
+        if (event.target.files.length > 0) {
+            importSettings(event.target.files[0]);
+        }
+        event.target.value = '';
+    });
+    document.getElementById('importPackButton').addEventListener('click', () => {
+        document.getElementById('importPackInput').click();
+    });
+    document.getElementById('importPackInput').addEventListener('change', (event) => {
+        if (event.target.files.length > 0) {
+            importPromptPack(event.target.files[0]);
+        }
+        event.target.value = '';
+    });
+    document.getElementById('exportPackButton').addEventListener('click', exportPromptPack);
+    document.getElementById('installPackButton').addEventListener('click', installPendingPack);
+    document.getElementById('cancelPackButton').addEventListener('click', closePackReview);
+    document.getElementById('addProfileButton').addEventListener('click', addProfile);
+    document.getElementById('moveProfileUpButton').addEventListener('click', () => moveProfile(-1));
+    document.getElementById('moveProfileDownButton').addEventListener('click', () => moveProfile(1));
+    document.getElementById('deleteProfileButton').addEventListener('click', deleteProfile);
+    
+    document.getElementById('addRuleButton').addEventListener('click', addRule);
+    document.getElementById('moveRuleUpButton').addEventListener('click', () => moveRule(-1));
+    document.getElementById('moveRuleDownButton').addEventListener('click', () => moveRule(1));
+    document.getElementById('deleteRuleButton').addEventListener('click', deleteRule);
+    
+    const conditionSelect = document.getElementById('ruleCondition');
+    window.PromptRules.RULE_CONDITIONS.forEach(condition => {
+        const option = document.createElement('option');
+        option.value = condition.id;
+        option.textContent = condition.label;
+        conditionSelect.appendChild(option);
+    });
+    
+    document.getElementById('ruleList').addEventListener('change', (event) => {
+        selectedRuleIndex = Number(event.target.value);
+        renderRules();
+    });
+    
+    // Keep the in-memory rule in sync with the editor
+    document.getElementById('ruleEnabled').addEventListener('change', (event) => {
+        updateSelectedRule('enabled', event.target.checked);
+    });
+    document.getElementById('ruleCondition').addEventListener('change', (event) => {
+        updateSelectedRule('condition', event.target.value);
+        renderRuleValueField();
+    });
+    const ruleFields = {
+        ruleName: 'name',
+        ruleValue: 'value',
+        ruleTemplate: 'template',
+        ruleLanguage: 'language'
+    };
+    Object.entries(ruleFields).forEach(([elementId, field]) => {
+        document.getElementById(elementId).addEventListener('input', (event) => {
+            updateSelectedRule(field, event.target.value);
+        });
+    });
+    
+    // Keep the template problems and previews up to date while typing
+    Object.keys(TEMPLATE_EDITORS).forEach(editorId => {
+        document.getElementById(editorId).addEventListener('input', () => renderTemplateEditor(editorId));
+    });
+    document.getElementById('responseLanguage').addEventListener('input', renderTemplateEditors);
+    
+    document.getElementById('profileList').addEventListener('change', (event) => {
+        selectedProfileIndex = Number(event.target.value);
+        renderProfiles();
+    });
+    
+    // Keep the in-memory profile in sync with the editor
+    document.getElementById('profileName').addEventListener('input', (event) => {
+        profiles[selectedProfileIndex].name = event.target.value;
+        document.getElementById('profileList').options[selectedProfileIndex].textContent =
+            event.target.value || window.I18n.getMessage('untitledProfile');
+    });
+    document.getElementById('promptTemplate').addEventListener('input', (event) => {
+        profiles[selectedProfileIndex].template = event.target.value;
+    });
     
     // Save settings when user presses Ctrl+S
     document.addEventListener('keydown', (event) => {
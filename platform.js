@@ -0,0 +1,215 @@
+// Browser-specific parts of the extension, Firefox version
+//
+// Firefox shows the chat in a sidebar opened from a page action, and adds the
+// prompt header in a blocking webRequest listener. The Chromium build replaces
+// this file with chromium/platform.js, which provides the same functions for
+// the side panel, the toolbar button and declarativeNetRequest.
+
+// Header prompts whose sidebar is navigating to the chat, oldest first
+const armedPromptHeaders = [];
+// Called once an armed prompt's header was added, keyed by delivery
+const promptHeaderCallbacks = new Map();
+
+/**
+ * Opens the chat sidebar; must run while handling a user action
+ * @param {number} [windowId] - The window to open it in; Firefox always uses the current window
+ * @returns {Promise<boolean>} - Whether the sidebar could be opened
+ */
+function openChatPanel(windowId) {
+  return browser.sidebarAction.open().then(() => true, error => {
+    console.error('Error opening chat sidebar:', error);
+    return false;
+  });
+}
+
+/**
+ * Shows the page action for a tab
+ * @param {number} tabId - The ID of the tab
+ * @param {string} popup - The popup page to open, or "" to send a click event instead
+ */
+function showAction(tabId, popup) {
+  browser.pageAction.setPopup({ tabId, popup });
+  browser.pageAction.show(tabId);
+}
+
+/**
+ * Hides the page action for a tab
+ * @param {number} tabId - The ID of the tab
+ */
+function hideAction(tabId) {
+  browser.pageAction.hide(tabId);
+}
+
+/**
+ * Sets the tooltip of the page action for a tab
+ * @param {number} tabId - The ID of the tab
+ * @param {string} title - The tooltip
+ */
+function setActionTitle(tabId, title) {
+  browser.pageAction.setTitle({ tabId, title });
+}
+
+/**
+ * Sets the icon of the page action for a tab
+ * @param {number} tabId - The ID of the tab
+ * @param {Object<number, ImageData>|null} imageData - Image data keyed by size, or null for the manifest icon
+ * @returns {Promise<void>}
+ */
+function setActionIcon(tabId, imageData) {
+  // Passing a null path restores the icon from the manifest
+  return imageData
+    ? browser.pageAction.setIcon({ tabId, imageData })
+    : browser.pageAction.setIcon({ tabId, path: null });
+}
+
+/**
+ * Listens for clicks on the page action while it has no popup
+ * @param {function(object): void} listener - Called with the tab
+ */
+function addActionClickListener(listener) {
+  browser.pageAction.onClicked.addListener(listener);
+}
+
+/**
+ * Copies text to the clipboard from the background script
+ * @param {string} text - The text to copy
+ * @returns {Promise<void>}
+ */
+function copyText(text) {
+  return navigator.clipboard.writeText(text);
+}
+
+/**
+ * Sets up the background script's browser-specific parts; Firefox needs none
+ */
+function initializeBackground() {}
+
+/**
+ * Lets the allowed chat sites load in the chat panel; Firefox's sidebar navigates
+ * to the chat instead of framing it, so it needs nothing
+ * @param {Array<object>} providers - The chat providers the policy allows
+ * @returns {Promise<void>}
+ */
+function allowChatFrames(providers) {
+  return Promise.resolve();
+}
+
+/**
+ * Starts adding a prompt header to the navigation of the sidebar that loads the delivery's chat
+ * Sidebars ask for their URL right before navigating, so navigations are matched
+ * to deliveries in the order the sidebars asked
+ * @param {{provider: object, promptPromise: Promise<string>, windowId: number}} delivery - A header delivery
+ * @param {function(object): void} onDelivered - Called with the delivery once its header was added
+ * @returns {Promise<void>} - Resolves when the sidebar may navigate
+ */
+function armPromptHeader(delivery, onDelivered) {
+  armedPromptHeaders.push(delivery);
+  promptHeaderCallbacks.set(delivery, onDelivered);
+
+  if (!browser.webRequest.onBeforeSendHeaders.hasListener(addPromptHeader)) {
+    browser.webRequest.onBeforeSendHeaders.addListener(
+      addPromptHeader,
+      {
+        urls: window.ChatProviders.CHAT_PROVIDERS
+          .filter(provider => provider.delivery === 'header')
+          .flatMap(provider => provider.hostPermissions),
+        types: ['main_frame']
+      },
+      ['blocking', 'requestHeaders']
+    );
+  }
+  return Promise.resolve();
+}
+
+/**
+ * Stops adding a delivery's prompt header; does nothing for deliveries that aren't armed
+ * @param {object} delivery - The delivery
+ */
+function disarmPromptHeader(delivery) {
+  const armedIndex = armedPromptHeaders.indexOf(delivery);
+  if (armedIndex === -1) {
+    return;
+  }
+  armedPromptHeaders.splice(armedIndex, 1);
+  promptHeaderCallbacks.delete(delivery);
+
+  if (armedPromptHeaders.length === 0 &&
+    browser.webRequest.onBeforeSendHeaders.hasListener(addPromptHeader)) {
+    browser.webRequest.onBeforeSendHeaders.removeListener(addPromptHeader);
+  }
+}
+
+/**
+ * Lists the header prompts still waiting for their sidebar's navigation, oldest first
+ * @returns {Array<object>}
+ */
+function getArmedPromptHeaders() {
+  return armedPromptHeaders.slice();
+}
+
+/**
+ * Adds the prompt header to the sidebar navigation of the oldest armed delivery for the provider
+ * @param {object} details - The webRequest details
+ * @returns {Promise<{requestHeaders: Array<object>}>|undefined}
+ */
+function addPromptHeader(details) {
+  // Sidebars aren't tabs, so a chat opened in a tab never takes a sidebar's prompt
+  if (details.tabId !== -1) {
+    return;
+  }
+
+  const delivery = armedPromptHeaders.find(armed =>
+    window.ChatProviders.isProviderAppNavigation(armed.provider, details));
+  if (!delivery) {
+    return;
+  }
+
+  const onDelivered = promptHeaderCallbacks.get(delivery);
+  disarmPromptHeader(delivery);
+  onDelivered(delivery);
+
+  // Firefox waits for a promise returned from a blocking listener, so metadata
+  // that is still being scraped can finish before the request is sent
+  return delivery.promptPromise.then(promptText => {
+    const headerName = delivery.provider.headerName;
+    const requestHeaders = (details.requestHeaders || [])
+      .filter(header => header.name.toLowerCase() !== headerName.toLowerCase());
+
+    // Encode the prompt as URI component to handle newlines and special characters
+    requestHeaders.push({
+      name: headerName,
+      value: encodeURIComponent(promptText)
+    });
+
+    return {requestHeaders};
+  });
+}
+
+/**
+ * Shows a chat by navigating the sidebar to it
+ * @param {string} url - The chat URL
+ * @param {function(): void} [onLoad] - Only called by builds that frame the chat
+ */
+function showChat(url, onLoad) {
+  window.location.href = url;
+}
+
+window.Platform = {
+  // The context menu context of the extension's button
+  ACTION_MENU_CONTEXT: 'page_action',
+  // Whether the options page can change shortcuts with commands.update() and commands.reset()
+  canEditShortcuts: true,
+  openChatPanel,
+  showAction,
+  hideAction,
+  setActionTitle,
+  setActionIcon,
+  addActionClickListener,
+  copyText,
+  initializeBackground,
+  allowChatFrames,
+  armPromptHeader,
+  disarmPromptHeader,
+  getArmedPromptHeaders,
+  showChat
+};
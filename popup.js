@@ -0,0 +1,105 @@
+/**
+ * Summarizes the active tab's video with the chosen prompt profile, or asks a question about it
+ * @param {object} tab - The YouTube tab to summarize
+ * @param {{profileId?: string, question?: string}} choice - The prompt profile to use, leaving it
+ *   out to let the prompt rules choose, or the question to ask
+ */
+function summarizeTab(tab, choice) {
+    browser.runtime.sendMessage({
+        action: 'prepareSummary',
+        profileId: choice.profileId,
+        question: choice.question,
+        providerId: document.getElementById('providerSelect').value,
+        videoUrl: tab.url,
+        tabId: tab.id,
+        source: {
+            tabId: tab.id,
+            windowId: tab.windowId,
+            incognito: tab.incognito,
+            trigger: 'toolbar'
+        }
+    }).catch(error => {
+        console.error('Error preparing summary:', error);
+    });
+
+    // Open the sidebar while still handling the click so the browser allows it
+    window.Platform.openChatPanel(tab.windowId);
+    window.close();
+}
+
+/**
+ * Fills in the chat provider picker, preselecting the default provider
+ * @param {{providers: Array<{id: string, name: string}>, defaultProviderId: string}} response - The provider list
+ */
+function renderProviders(response) {
+    const selectElement = document.getElementById('providerSelect');
+    response.providers.forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.name;
+        option.selected = provider.id === response.defaultProviderId;
+        selectElement.appendChild(option);
+    });
+}
+
+/**
+ * Suggests the recently asked questions in the question field
+ */
+function renderRecentQuestions() {
+    window.RecentQuestions.loadRecentQuestions().then(questions => {
+        const listElement = document.getElementById('recentQuestions');
+        questions.forEach(question => {
+            const option = document.createElement('option');
+            option.value = question;
+            listElement.appendChild(option);
+        });
+    }).catch(error => {
+        console.error('Error loading recent questions:', error);
+    });
+}
+
+/**
+ * Renders one button per prompt profile and the question field
+ */
+function initializePopup() {
+    window.I18n.localizePage();
+
+    Promise.all([
+        browser.tabs.query({ active: true, currentWindow: true }),
+        browser.runtime.sendMessage({ action: 'getPromptProfiles' }),
+        browser.runtime.sendMessage({ action: 'getChatProviders' })
+    ]).then(([tabs, response, providerResponse]) => {
+        renderProviders(providerResponse);
+
+        const tab = tabs[0];
+        document.getElementById('questionForm').addEventListener('submit', event => {
+            event.preventDefault();
+            const question = document.getElementById('questionInput').value.trim();
+            if (question) {
+                summarizeTab(tab, { question });
+            }
+        });
+
+        const listElement = document.getElementById('profileList');
+
+        if (response.hasRules) {
+            const button = document.createElement('button');
+            button.textContent = window.I18n.getMessage('automaticProfileName');
+            button.addEventListener('click', () => summarizeTab(tab, {}));
+            listElement.appendChild(button);
+        }
+
+        response.profiles.forEach(profile => {
+            const button = document.createElement('button');
+            button.textContent = profile.name;
+            button.addEventListener('click', () => summarizeTab(tab, { profileId: profile.id }));
+            listElement.appendChild(button);
+        });
+    }).catch(error => {
+        console.error('Error loading prompt profiles:', error);
+    });
+
+    renderRecentQuestions();
+}
+
+document.addEventListener('DOMContentLoaded', initializePopup);
@@ -0,0 +1,369 @@
+// Prompt packs: files of named prompt templates to share, used by the options page
+//
+// A pack has an ID, a name, a version and a list of templates, each with an ID, a name,
+// the template text and the placeholders it needs. Installing a pack adds one prompt
+// profile per template, with profile IDs made from the pack and template IDs, so a newer
+// version of the pack updates the same profiles. Installed packs are kept in local
+// storage, so importing a pack again can show what changed since it was installed.
+// Profiles the user changed since installing the pack are only replaced when they agree to it.
+
+const PROMPT_PACK_FORMAT = 'youtube-summarizer-prompt-pack';
+// Pack and template IDs end up in profile IDs, so they are kept to simple words
+const PACK_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+// Starts the IDs of profiles installed from packs. Older versions joined the IDs with
+// dashes, so pack "a" with template "b-c" and pack "a-b" with template "c" shared a profile;
+// a colon can't appear in pack or template IDs.
+const PACK_PROFILE_PREFIX = 'pack:';
+const LEGACY_PACK_PROFILE_PREFIX = 'pack-';
+
+/**
+ * Checks one template of a pack
+ * @param {object} template - The template as written in the file
+ * @param {number} index - The template's position, for messages about templates without a name
+ * @returns {string[]} - The problems found
+ */
+function validatePackTemplate(template, index) {
+  if (!template || typeof template !== 'object') {
+    return [window.I18n.getMessage('packErrorTemplateNotObject', String(index + 1))];
+  }
+
+  const name = typeof template.name === 'string' && template.name.trim()
+    ? template.name.trim()
+    : `#${index + 1}`;
+  const errors = [];
+
+  if (typeof template.id !== 'string' || !PACK_ID_PATTERN.test(template.id)) {
+    errors.push(window.I18n.getMessage('packErrorTemplateId', name));
+  }
+  if (typeof template.name !== 'string' || !template.name.trim()) {
+    errors.push(window.I18n.getMessage('packErrorTemplateName', name));
+  }
+  if (template.description !== undefined && typeof template.description !== 'string') {
+    errors.push(window.I18n.getMessage('packErrorTemplateDescription', name));
+  }
+  if (typeof template.template !== 'string' || !template.template.trim()) {
+    errors.push(window.I18n.getMessage('packErrorTemplateText', name));
+    return errors;
+  }
+
+  const templateErrors = window.PromptTemplate.validatePromptTemplate(template.template);
+  if (templateErrors.length > 0) {
+    errors.push(window.I18n.getMessage('packErrorTemplateSyntax', [name, templateErrors[0].message]));
+  }
+
+  const required = template.requiredPlaceholders === undefined ? [] : template.requiredPlaceholders;
+  if (!Array.isArray(required) || required.some(placeholder => typeof placeholder !== 'string')) {
+    errors.push(window.I18n.getMessage('packErrorRequiredPlaceholders', name));
+    return errors;
+  }
+
+  const used = window.PromptTemplate.getTemplatePlaceholders(template.template);
+  required.forEach(placeholder => {
+    if (!window.PromptTemplate.PROMPT_PLACEHOLDERS.includes(placeholder)) {
+      errors.push(window.I18n.getMessage('packErrorUnknownPlaceholder', [name, placeholder]));
+    } else if (!used.has(placeholder)) {
+      errors.push(window.I18n.getMessage('packErrorMissingPlaceholder', [name, placeholder]));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Reads a prompt pack file
+ * @param {string} text - The JSON file contents
+ * @returns {{pack: object, errors: string[]}} - The pack with its fields cleaned up, and every
+ *   problem found; a pack with problems must not be installed
+ * @throws {Error} - If the file is not a prompt pack
+ */
+function parsePromptPack(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(window.I18n.getMessage('settingsErrorInvalidJson'));
+  }
+
+  if (!parsed || parsed.format !== PROMPT_PACK_FORMAT || !Array.isArray(parsed.templates)) {
+    throw new Error(window.I18n.getMessage('packErrorNotPack'));
+  }
+
+  const errors = [];
+  if (typeof parsed.id !== 'string' || !PACK_ID_PATTERN.test(parsed.id)) {
+    errors.push(window.I18n.getMessage('packErrorId'));
+  }
+  if (typeof parsed.name !== 'string' || !parsed.name.trim()) {
+    errors.push(window.I18n.getMessage('packErrorName'));
+  }
+  if (typeof parsed.version !== 'string' || !parsed.version.trim()) {
+    errors.push(window.I18n.getMessage('packErrorVersion'));
+  }
+  if (parsed.templates.length === 0) {
+    errors.push(window.I18n.getMessage('packErrorNoTemplates'));
+  }
+
+  parsed.templates.forEach((template, index) => {
+    errors.push(...validatePackTemplate(template, index));
+  });
+
+  const templateIds = parsed.templates.map(template => template && template.id);
+  const duplicateId = templateIds.find((id, index) => id && templateIds.indexOf(id) !== index);
+  if (duplicateId) {
+    errors.push(window.I18n.getMessage('packErrorDuplicateId', duplicateId));
+  }
+
+  if (errors.length > 0) {
+    return { pack: null, errors };
+  }
+
+  return {
+    pack: {
+      id: parsed.id,
+      name: parsed.name.trim(),
+      version: parsed.version.trim(),
+      description: typeof parsed.description === 'string' ? parsed.description.trim() : '',
+      templates: parsed.templates.map(template => ({
+        id: template.id,
+        name: template.name.trim(),
+        description: (template.description || '').trim(),
+        requiredPlaceholders: template.requiredPlaceholders || [],
+        template: template.template
+      }))
+    },
+    errors
+  };
+}
+
+/**
+ * Returns the ID of the prompt profile installed for a pack template
+ * @param {string} packId - The pack ID
+ * @param {string} templateId - The template ID
+ * @returns {string}
+ */
+function getPackProfileId(packId, templateId) {
+  return `${PACK_PROFILE_PREFIX}${packId}:${templateId}`;
+}
+
+/**
+ * Checks whether a profile was installed from a pack
+ * @param {object} profile - The prompt profile
+ * @returns {boolean}
+ */
+function isPackProfile(profile) {
+  return profile.id.startsWith(PACK_PROFILE_PREFIX) || profile.id.startsWith(LEGACY_PACK_PROFILE_PREFIX);
+}
+
+/**
+ * Gives the pack's profiles installed by older versions the current form of their ID
+ * Only templates in the installed version of the pack are looked for, so another pack's
+ * profile isn't taken over.
+ * @param {Array<object>} profiles - The current prompt profiles
+ * @param {object} pack - The pack being installed
+ * @param {object|null} installed - The installed version of the pack, if any
+ * @returns {Array<object>} - Copies of the profiles
+ */
+function renameLegacyPackProfiles(profiles, pack, installed) {
+  const oldTemplates = installed ? installed.templates : [];
+  return profiles.map(profile => {
+    const template = oldTemplates.find(old =>
+      profile.id === `${LEGACY_PACK_PROFILE_PREFIX}${pack.id}-${old.id}`);
+    const id = template && getPackProfileId(pack.id, template.id);
+    return id && !profiles.some(other => other.id === id) ? { ...profile, id } : { ...profile };
+  });
+}
+
+/**
+ * Loads the installed packs from local storage
+ * @returns {Promise<Array<object>>} - The packs as they were installed, with an installedAt time
+ */
+function loadInstalledPacks() {
+  return browser.storage.local.get(['promptPacks']).then(result => {
+    return Array.isArray(result.promptPacks) ? result.promptPacks : [];
+  });
+}
+
+/**
+ * Records a pack as installed, replacing an earlier version of it
+ * @param {object} pack - The pack from parsePromptPack
+ * @returns {Promise<void>}
+ */
+function saveInstalledPack(pack) {
+  return loadInstalledPacks().then(packs => {
+    const others = packs.filter(installed => installed.id !== pack.id);
+    return browser.storage.local.set({ promptPacks: [...others, { ...pack, installedAt: Date.now() }] });
+  });
+}
+
+/**
+ * Compares two texts line by line
+ * @param {string} before - The old text
+ * @param {string} after - The new text
+ * @returns {Array<{type: string, text: string}>} - The lines of both texts in order, each
+ *   'same', 'removed' or 'added'
+ */
+function diffLines(before, after) {
+  const oldLines = before.split('\n');
+  const newLines = after.split('\n');
+
+  // Longest common subsequence lengths of every pair of suffixes
+  const lengths = oldLines.map(() => new Array(newLines.length + 1).fill(0));
+  lengths.push(new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      lines.push({ type: 'same', text: oldLines[i] });
+      i++;
+      j++;
+    } else if (i < oldLines.length && (j === newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      // Removed lines come before the lines that replace them
+      lines.push({ type: 'removed', text: oldLines[i] });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: newLines[j] });
+      j++;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Lists what installing a pack changes compared to the installed version
+ * @param {object|null} installed - The installed version of the pack, if any
+ * @param {object} pack - The pack being imported
+ * @returns {{added: Array<object>, removed: Array<object>, changed: Array<{before: object, after: object, lines: Array<object>}>, unchanged: number}}
+ */
+function comparePacks(installed, pack) {
+  const oldTemplates = installed ? installed.templates : [];
+  const changes = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  pack.templates.forEach(template => {
+    const before = oldTemplates.find(old => old.id === template.id);
+    if (!before) {
+      changes.added.push(template);
+    } else if (before.name !== template.name || before.description !== template.description ||
+      before.template !== template.template) {
+      changes.changed.push({ before, after: template, lines: diffLines(before.template, template.template) });
+    } else {
+      changes.unchanged++;
+    }
+  });
+  changes.removed = oldTemplates.filter(old => !pack.templates.some(template => template.id === old.id));
+
+  return changes;
+}
+
+/**
+ * Finds the pack's profiles that the user changed since the pack was installed
+ * Without an installed version, a profile counts as changed when it differs from the pack's template.
+ * @param {Array<object>} profiles - The current prompt profiles
+ * @param {object} pack - The pack being installed
+ * @param {object|null} installed - The installed version of the pack, if any
+ * @returns {Array<object>} - The changed profiles
+ */
+function findEditedPackProfiles(profiles, pack, installed) {
+  const oldTemplates = installed ? installed.templates : [];
+  return renameLegacyPackProfiles(profiles, pack, installed).filter(profile => {
+    const template = [...oldTemplates, ...pack.templates]
+      .find(candidate => getPackProfileId(pack.id, candidate.id) === profile.id);
+    return template && (profile.name !== template.name || profile.template !== template.template);
+  });
+}
+
+/**
+ * Adds or updates the profiles of a pack's templates
+ * Profiles of templates dropped from the pack are removed; the user's other profiles stay as they are.
+ * @param {Array<object>} profiles - The current prompt profiles
+ * @param {object} pack - The pack being installed
+ * @param {object|null} installed - The installed version of the pack, if any
+ * @param {string[]} [keptIds] - IDs of the pack's profiles to leave as they are, such as ones the
+ *   user changed and wants to keep
+ * @returns {Array<object>} - The new profile list
+ */
+function applyPackToProfiles(profiles, pack, installed, keptIds = []) {
+  const removedIds = (installed ? installed.templates : [])
+    .filter(old => !pack.templates.some(template => template.id === old.id))
+    .map(old => getPackProfileId(pack.id, old.id))
+    .filter(id => !keptIds.includes(id));
+  const updated = renameLegacyPackProfiles(profiles, pack, installed)
+    .filter(profile => !removedIds.includes(profile.id));
+
+  pack.templates.forEach(template => {
+    const id = getPackProfileId(pack.id, template.id);
+    if (keptIds.includes(id)) {
+      return;
+    }
+    const profile = updated.find(existing => existing.id === id);
+    if (profile) {
+      profile.name = template.name;
+      profile.template = template.template;
+    } else {
+      updated.push({ id, name: template.name, template: template.template });
+    }
+  });
+
+  return updated;
+}
+
+/**
+ * Turns prompt profiles into a pack to share
+ * Profiles installed from packs are left out, since they belong to those packs.
+ * @param {Array<object>} profiles - The prompt profiles
+ * @param {string} name - The pack name
+ * @returns {object|null} - The pack, or null when there are no profiles of the user's own
+ */
+function createPackFromProfiles(profiles, name) {
+  const ownProfiles = profiles.filter(profile => !isPackProfile(profile));
+  if (ownProfiles.length === 0) {
+    return null;
+  }
+
+  const packId = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'my-prompts';
+  const usedIds = new Set();
+  return {
+    format: PROMPT_PACK_FORMAT,
+    id: packId,
+    name,
+    version: new Date().toISOString().slice(0, 10),
+    description: '',
+    templates: ownProfiles.map(profile => {
+      // Profile IDs are random, so templates are named after the profile instead
+      const baseId = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'prompt';
+      let id = baseId;
+      for (let number = 2; usedIds.has(id); number++) {
+        id = `${baseId}-${number}`;
+      }
+      usedIds.add(id);
+
+      return {
+        id,
+        name: profile.name,
+        description: '',
+        requiredPlaceholders: Array.from(window.PromptTemplate.getTemplatePlaceholders(profile.template))
+          .filter(placeholder => window.PromptTemplate.PROMPT_PLACEHOLDERS.includes(placeholder)),
+        template: profile.template
+      };
+    })
+  };
+}
+
+window.PromptPacks = {
+  parsePromptPack,
+  getPackProfileId,
+  loadInstalledPacks,
+  saveInstalledPack,
+  diffLines,
+  comparePacks,
+  findEditedPackProfiles,
+  applyPackToProfiles,
+  createPackFromProfiles
+};
@@ -0,0 +1,50 @@
+// Prompt profile helpers shared by the background and options pages; see settings.js for storage
+
+/**
+ * Creates a unique identifier for a new prompt profile
+ * @returns {string} - The profile ID
+ */
+function createProfileId() {
+  return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Returns the profile list used when nothing has been saved yet
+ * @param {string} [legacyTemplate] - A template saved by versions before profiles existed
+ * @returns {Array<{id: string, name: string, template: string}>}
+ */
+function getDefaultProfiles(legacyTemplate) {
+  return [{
+    id: 'default',
+    name: window.I18n.getMessage('defaultProfileName'),
+    template: legacyTemplate || window.EXTENSION_CONSTANTS.DEFAULT_PROMPT
+  }];
+}
+
+/**
+ * Cleans up a stored profile list, falling back to the default profile when it is empty
+ * @param {Array} storedProfiles - The value of the promptProfiles storage key
+ * @param {string} [legacyTemplate] - The value of the legacy promptTemplate storage key
+ * @returns {Array<{id: string, name: string, template: string}>}
+ */
+function normalizeProfiles(storedProfiles, legacyTemplate) {
+  if (!Array.isArray(storedProfiles)) {
+    return getDefaultProfiles(legacyTemplate);
+  }
+
+  const profiles = storedProfiles
+    .filter(profile => profile && typeof profile.template === 'string' && profile.template.trim())
+    .map(profile => ({
+      id: profile.id || createProfileId(),
+      name: (profile.name || '').trim() || window.I18n.getMessage('untitledProfile'),
+      template: profile.template
+    }));
+
+  return profiles.length > 0 ? profiles : getDefaultProfiles(legacyTemplate);
+}
+
+window.PromptProfiles = {
+  createProfileId,
+  getDefaultProfiles,
+  normalizeProfiles
+};
@@ -0,0 +1,147 @@
+// Prompt rules that pick a template from the video's details
+//
+// Rules are checked in order when a video is summarized without choosing a profile.
+// The first enabled rule whose condition matches supplies the template, and
+// optionally the language the chat should respond in, used for its {language} placeholder.
+
+// The conditions a rule can test, with the labels shown on the options page
+const RULE_CONDITIONS = [
+  { id: 'channel', label: window.I18n.getMessage('ruleConditionChannel'), valueLabel: window.I18n.getMessage('ruleValueChannel') },
+  { id: 'durationOver', label: window.I18n.getMessage('ruleConditionDurationOver'), valueLabel: window.I18n.getMessage('ruleValueMinutes') },
+  { id: 'titleMatches', label: window.I18n.getMessage('ruleConditionTitleMatches'), valueLabel: window.I18n.getMessage('ruleValueTitlePattern') },
+  { id: 'isShort', label: window.I18n.getMessage('ruleConditionIsShort'), valueLabel: null }
+];
+
+/**
+ * Creates a unique identifier for a new rule
+ * @returns {string} - The rule ID
+ */
+function createRuleId() {
+  return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Builds the regular expression for a "title matches" rule
+ * Values written as /pattern/flags are used as is; other text matches anywhere, ignoring case
+ * @param {string} value - The rule value
+ * @returns {RegExp}
+ * @throws {SyntaxError} - If the value is not a valid regular expression
+ */
+function parseTitlePattern(value) {
+  const literal = value.match(/^\/(.+)\/([a-z]*)$/);
+  if (literal) {
+    return new RegExp(literal[1], literal[2]);
+  }
+  return new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+/**
+ * Checks a rule for problems that would stop it from working
+ * @param {object} rule - The rule to check
+ * @returns {string|null} - A description of the problem, or null if the rule is valid
+ */
+function validateRule(rule) {
+  const name = rule && rule.name ? rule.name : window.I18n.getMessage('untitledRule');
+
+  if (!rule || !RULE_CONDITIONS.some(condition => condition.id === rule.condition)) {
+    return window.I18n.getMessage('ruleErrorCondition', name);
+  }
+  if (typeof rule.template !== 'string' || !rule.template.trim()) {
+    return window.I18n.getMessage('ruleErrorTemplate', name);
+  }
+
+  const value = typeof rule.value === 'string' ? rule.value.trim() : '';
+  if (rule.condition === 'channel' && !value) {
+    return window.I18n.getMessage('ruleErrorChannel', name);
+  }
+  if (rule.condition === 'durationOver' && !(Number(value) > 0)) {
+    return window.I18n.getMessage('ruleErrorMinutes', name);
+  }
+  if (rule.condition === 'titleMatches') {
+    if (!value) {
+      return window.I18n.getMessage('ruleErrorTitle', name);
+    }
+    try {
+      parseTitlePattern(value);
+    } catch (error) {
+      return window.I18n.getMessage('ruleErrorRegularExpression', name);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Cleans up a stored rule list
+ * @param {Array} rules - The rules to clean up, which must all be valid
+ * @returns {Array<{id: string, name: string, enabled: boolean, condition: string, value: string, template: string, language: string}>}
+ */
+function normalizeRules(rules) {
+  return rules.map(rule => ({
+    id: rule.id || createRuleId(),
+    name: (rule.name || '').trim() || window.I18n.getMessage('untitledRule'),
+    enabled: rule.enabled !== false,
+    condition: rule.condition,
+    value: typeof rule.value === 'string' ? rule.value.trim() : '',
+    template: rule.template,
+    language: typeof rule.language === 'string' ? rule.language.trim() : ''
+  }));
+}
+
+/**
+ * Checks whether a rule's condition matches a video
+ * @param {object} rule - The rule
+ * @param {object} metadata - The video metadata scraped from the page
+ * @returns {boolean}
+ */
+function ruleMatches(rule, metadata) {
+  switch (rule.condition) {
+    case 'channel':
+      return Boolean(metadata.channel) &&
+        metadata.channel.trim().toLowerCase() === rule.value.toLowerCase();
+    case 'durationOver':
+      return typeof metadata.durationSeconds === 'number' &&
+        metadata.durationSeconds > Number(rule.value) * 60;
+    case 'titleMatches':
+      return Boolean(metadata.title) && parseTitlePattern(rule.value).test(metadata.title);
+    case 'isShort':
+      return metadata.isShort === true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Finds the first enabled rule that matches a video
+ * @param {Array<object>} rules - The rules in priority order
+ * @param {object} metadata - The video metadata scraped from the page
+ * @returns {object|null} - The matching rule, or null if none matches
+ */
+function findMatchingRule(rules, metadata) {
+  return rules.find(rule => rule.enabled && ruleMatches(rule, metadata)) || null;
+}
+
+// Make the rule helpers available to other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    RULE_CONDITIONS,
+    createRuleId,
+    parseTitlePattern,
+    validateRule,
+    normalizeRules,
+    ruleMatches,
+    findMatchingRule
+  };
+} else {
+  // Browser environment - make it globally available
+  window.PromptRules = {
+    RULE_CONDITIONS,
+    createRuleId,
+    parseTitlePattern,
+    validateRule,
+    normalizeRules,
+    ruleMatches,
+    findMatchingRule
+  };
+}
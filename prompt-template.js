@@ -0,0 +1,384 @@
+// Prompt template rendering shared by the background and options pages
+//
+// Templates are plain text with tags in braces:
+// - {name} inserts a placeholder value; {name|fallback} uses the fallback text when it is empty
+// - {name:filter} passes the value through filters, e.g. {description:truncate(300)}
+// - {#if name} ... {#else} ... {/if} keeps a section only when the value is not empty;
+//   {#if !name} does the opposite
+// Braces that don't start with a letter, # or / are plain text.
+
+// Placeholders that can be used in prompt templates
+const PROMPT_PLACEHOLDERS = [
+  'videoUrl',
+  'videoTitle',
+  'channel',
+  'duration',
+  'publishDate',
+  'description',
+  'chapters',
+  'startTime',
+  'endTime',
+  'playlistTitle',
+  'playlistUrl',
+  'playlistPart',
+  'videoCount',
+  'videoList',
+  'question',
+  'selection',
+  'transcript',
+  'language'
+];
+
+// Filters that can follow a placeholder name, with whether they need a number argument
+const TEMPLATE_FILTERS = {
+  truncate: {
+    needsNumber: true,
+    apply: (value, length) => {
+      if (value.length <= length) {
+        return value;
+      }
+      // Cut at the last space so words stay whole
+      const cut = value.slice(0, length);
+      const lastSpace = cut.lastIndexOf(' ');
+      return `${(lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+    }
+  },
+  lines: {
+    needsNumber: true,
+    apply: (value, count) => value.split('\n').slice(0, count).join('\n')
+  },
+  oneline: {
+    needsNumber: false,
+    apply: value => value.replace(/\s+/g, ' ').trim()
+  },
+  upper: {
+    needsNumber: false,
+    apply: value => value.toUpperCase()
+  },
+  lower: {
+    needsNumber: false,
+    apply: value => value.toLowerCase()
+  }
+};
+
+// A tag is a brace starting with a letter, # or /, on a single line
+const TEMPLATE_TAG_PATTERN = /\{([A-Za-z#/][^{}\n]*)\}/g;
+
+/**
+ * Formats a number of seconds as h:mm:ss or m:ss
+ * @param {number} totalSeconds - The number of seconds
+ * @returns {string} - The formatted timestamp
+ */
+function formatTimestamp(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Formats a chapter list as one "time title" line per chapter
+ * @param {Array<{time: string, title: string}>} chapters - The chapters to format
+ * @returns {string}
+ */
+function formatChapters(chapters) {
+  return (chapters || []).map(chapter => `${chapter.time} ${chapter.title}`).join('\n');
+}
+
+/**
+ * Formats videos as a numbered list with one "title - URL" line per video
+ * @param {Array<{videoUrl: string, title: string}>} videos - The videos to format
+ * @param {number} [firstNumber] - The number of the first video in the list
+ * @returns {string}
+ */
+function formatVideoList(videos, firstNumber = 1) {
+  return (videos || []).map((video, index) => {
+    const label = video.title ? `${video.title} - ${video.videoUrl}` : video.videoUrl;
+    return `${firstNumber + index}. ${label}`;
+  }).join('\n');
+}
+
+/**
+ * Builds the placeholder values for a video
+ * @param {string} videoUrl - The YouTube video URL
+ * @param {object} [metadata] - Metadata scraped by the content script
+ * @param {Object<string, string>} [extraValues] - Values for action-specific placeholders
+ * @returns {Object<string, string>} - Values keyed by placeholder name
+ */
+function buildPromptValues(videoUrl, metadata = {}, extraValues = {}) {
+  return {
+    videoUrl,
+    videoTitle: metadata.title || '',
+    channel: metadata.channel || '',
+    duration: metadata.duration || '',
+    publishDate: metadata.publishDate || '',
+    description: metadata.description || '',
+    chapters: formatChapters(metadata.chapters),
+    startTime: '',
+    endTime: '',
+    playlistTitle: '',
+    playlistUrl: '',
+    playlistPart: '',
+    videoCount: '',
+    videoList: '',
+    question: '',
+    selection: '',
+    transcript: '',
+    language: '',
+    ...extraValues
+  };
+}
+
+/**
+ * Reads a placeholder tag such as "videoTitle:truncate(80)|this video"
+ * @param {string} content - The text between the braces
+ * @returns {{name: string, filters: Array<{name: string, argument: number|null}>, fallback: string|null, error: string|null}}
+ */
+function parsePlaceholderTag(content) {
+  const separatorIndex = content.indexOf('|');
+  const expression = separatorIndex === -1 ? content : content.slice(0, separatorIndex);
+  const fallback = separatorIndex === -1 ? null : content.slice(separatorIndex + 1);
+  const [name, ...filterTexts] = expression.split(':').map(part => part.trim());
+  const tag = { name, filters: [], fallback, error: null };
+
+  if (!/^\w+$/.test(name)) {
+    tag.error = window.I18n.getMessage('templateErrorSyntax', content);
+  } else if (!PROMPT_PLACEHOLDERS.includes(name)) {
+    tag.error = window.I18n.getMessage('templateErrorUnknownPlaceholder', name);
+  }
+
+  for (const filterText of filterTexts) {
+    if (tag.error) {
+      break;
+    }
+    const match = filterText.match(/^(\w+)(?:\((\d+)\))?$/);
+    const filter = match && TEMPLATE_FILTERS[match[1]];
+    if (!filter) {
+      tag.error = window.I18n.getMessage('templateErrorUnknownFilter', filterText);
+    } else if (filter.needsNumber && !match[2]) {
+      tag.error = window.I18n.getMessage('templateErrorFilterNumber', match[1]);
+    } else {
+      tag.filters.push({ name: match[1], argument: match[2] ? Number(match[2]) : null });
+    }
+  }
+
+  return tag;
+}
+
+/**
+ * Splits a template into text and tags
+ * Section tags alone on their line take the whole line with them, so they leave no blank lines
+ * @param {string} template - The prompt template
+ * @returns {Array<{type: string, start: number, end: number}>} - Text and tag tokens in order
+ */
+function tokenizeTemplate(template) {
+  const tokens = [];
+  let textStart = 0;
+  let match;
+
+  TEMPLATE_TAG_PATTERN.lastIndex = 0;
+  while ((match = TEMPLATE_TAG_PATTERN.exec(template)) !== null) {
+    const content = match[1].trim();
+    let start = match.index;
+    let end = start + match[0].length;
+
+    if (content[0] === '#' || content[0] === '/') {
+      const lineStart = template.lastIndexOf('\n', start - 1) + 1;
+      const lineEnd = template.indexOf('\n', end);
+      const after = template.slice(end, lineEnd === -1 ? template.length : lineEnd);
+      if (!template.slice(lineStart, start).trim() && !after.trim()) {
+        start = Math.max(lineStart, textStart);
+        end = lineEnd === -1 ? template.length : lineEnd + 1;
+      }
+    }
+
+    if (start > textStart) {
+      tokens.push({ type: 'text', start: textStart, end: start });
+    }
+    tokens.push({ type: 'tag', content, start: match.index, end: match.index + match[0].length });
+    textStart = end;
+    TEMPLATE_TAG_PATTERN.lastIndex = end;
+  }
+
+  if (textStart < template.length) {
+    tokens.push({ type: 'text', start: textStart, end: template.length });
+  }
+  return tokens;
+}
+
+/**
+ * Parses a template into a tree of text, placeholders and sections
+ * Problems are collected rather than thrown, and the tree is still usable:
+ * unreadable tags are kept as text and unclosed sections run to the end
+ * @param {string} template - The prompt template
+ * @returns {{nodes: Array<object>, errors: Array<{message: string, start: number, end: number}>}}
+ */
+function parsePromptTemplate(template) {
+  const root = { nodes: [] };
+  const stack = [root];
+  const errors = [];
+  const current = () => stack[stack.length - 1];
+  // Nodes go to the else branch once a section has seen {#else}
+  const addNode = node => (current().elseNodes || current().nodes).push(node);
+  const addError = (message, token) => errors.push({ message, start: token.start, end: token.end });
+
+  tokenizeTemplate(template).forEach(token => {
+    const source = template.slice(token.start, token.end);
+    if (token.type === 'text') {
+      addNode({ type: 'text', text: source });
+      return;
+    }
+
+    const sectionMatch = token.content.match(/^#if\s+(!?)\s*(\w+)$/);
+    if (sectionMatch) {
+      if (!PROMPT_PLACEHOLDERS.includes(sectionMatch[2])) {
+        addError(window.I18n.getMessage('templateErrorUnknownPlaceholder', sectionMatch[2]), token);
+      }
+      const section = {
+        type: 'if',
+        name: sectionMatch[2],
+        negated: sectionMatch[1] === '!',
+        nodes: [],
+        elseNodes: null,
+        token
+      };
+      addNode(section);
+      stack.push(section);
+    } else if (token.content === '#else') {
+      const section = current();
+      if (section === root || section.elseNodes) {
+        addError(window.I18n.getMessage('templateErrorUnexpectedElse'), token);
+        addNode({ type: 'text', text: source });
+      } else {
+        section.elseNodes = [];
+      }
+    } else if (token.content === '/if') {
+      if (current() === root) {
+        addError(window.I18n.getMessage('templateErrorUnexpectedEnd'), token);
+        root.nodes.push({ type: 'text', text: source });
+      } else {
+        stack.pop();
+      }
+    } else if (token.content[0] === '#' || token.content[0] === '/') {
+      addError(window.I18n.getMessage('templateErrorSyntax', token.content), token);
+      addNode({ type: 'text', text: source });
+    } else {
+      const tag = parsePlaceholderTag(token.content);
+      if (tag.error) {
+        addError(tag.error, token);
+        addNode({ type: 'text', text: source });
+      } else {
+        addNode({ type: 'value', name: tag.name, filters: tag.filters, fallback: tag.fallback, source });
+      }
+    }
+  });
+
+  stack.slice(1).forEach(section => {
+    addError(window.I18n.getMessage('templateErrorUnclosedSection', section.name), section.token);
+  });
+
+  return { nodes: root.nodes, errors: errors.sort((a, b) => a.start - b.start) };
+}
+
+/**
+ * Checks a template for unknown placeholders and syntax errors
+ * @param {string} template - The prompt template
+ * @returns {Array<{message: string, start: number, end: number}>} - The problems, in template order
+ */
+function validatePromptTemplate(template) {
+  return parsePromptTemplate(template).errors;
+}
+
+/**
+ * Lists the placeholders a template uses, in values, fallbacks or section conditions
+ * @param {string} template - The prompt template
+ * @returns {Set<string>} - The placeholder names
+ */
+function getTemplatePlaceholders(template) {
+  const names = new Set();
+  const visit = nodes => nodes.forEach(node => {
+    if (node.type === 'value') {
+      names.add(node.name);
+    } else if (node.type === 'if') {
+      names.add(node.name);
+      visit(node.nodes);
+      visit(node.elseNodes || []);
+    }
+  });
+  visit(parsePromptTemplate(template).nodes);
+  return names;
+}
+
+/**
+ * Renders parsed template nodes
+ * @param {Array<object>} nodes - Nodes from parsePromptTemplate
+ * @param {Object<string, string>} values - Values keyed by placeholder name
+ * @returns {string}
+ */
+function renderTemplateNodes(nodes, values) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.text;
+    }
+
+    const hasValue = Object.prototype.hasOwnProperty.call(values, node.name);
+    const value = hasValue ? String(values[node.name]) : '';
+    if (node.type === 'if') {
+      const isShown = Boolean(value.trim()) !== node.negated;
+      return renderTemplateNodes(isShown ? node.nodes : node.elseNodes || [], values);
+    }
+
+    // Placeholders without a value are kept as written, as before the template language
+    if (!hasValue) {
+      return node.source;
+    }
+    const filtered = node.filters.reduce((text, filter) => {
+      return TEMPLATE_FILTERS[filter.name].apply(text, filter.argument);
+    }, value);
+    return !filtered.trim() && node.fallback !== null ? node.fallback : filtered;
+  }).join('');
+}
+
+/**
+ * Renders a template with placeholder values
+ * Tags that can't be read are left untouched, so literal braces survive
+ * @param {string} template - The prompt template
+ * @param {Object<string, string>} values - Values keyed by placeholder name
+ * @returns {string} - The rendered prompt
+ */
+function renderPromptTemplate(template, values) {
+  return renderTemplateNodes(parsePromptTemplate(template).nodes, values);
+}
+
+// Make the renderer available to other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    PROMPT_PLACEHOLDERS,
+    formatTimestamp,
+    formatChapters,
+    formatVideoList,
+    buildPromptValues,
+    parsePromptTemplate,
+    validatePromptTemplate,
+    getTemplatePlaceholders,
+    renderPromptTemplate
+  };
+} else {
+  // Browser environment - make it globally available
+  window.PromptTemplate = {
+    PROMPT_PLACEHOLDERS,
+    formatTimestamp,
+    formatChapters,
+    formatVideoList,
+    buildPromptValues,
+    parsePromptTemplate,
+    validatePromptTemplate,
+    getTemplatePlaceholders,
+    renderPromptTemplate
+  };
+}
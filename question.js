@@ -0,0 +1,71 @@
+/**
+ * Sends the question to the background page and closes the window
+ * The sidebar was opened when the menu item was clicked, and shows the chat once the prompt is ready.
+ * @param {{videoUrl: string, metadata: object, source: object}} video - The video asked about
+ * @param {string} question - The question to ask
+ */
+function askQuestion(video, question) {
+    browser.runtime.sendMessage({
+        action: 'prepareSummary',
+        videoUrl: video.videoUrl,
+        metadata: video.metadata,
+        source: video.source,
+        question: question
+    }).then(() => {
+        window.close();
+    }).catch(error => {
+        console.error('Error preparing question:', error);
+    });
+}
+
+/**
+ * Suggests the recently asked questions in the question field
+ */
+function renderRecentQuestions() {
+    window.RecentQuestions.loadRecentQuestions().then(questions => {
+        const listElement = document.getElementById('recentQuestions');
+        questions.forEach(question => {
+            const option = document.createElement('option');
+            option.value = question;
+            listElement.appendChild(option);
+        });
+    }).catch(error => {
+        console.error('Error loading recent questions:', error);
+    });
+}
+
+/**
+ * Loads the video this window was opened for and enables the question field
+ */
+function initializeQuestionWindow() {
+    window.I18n.localizePage();
+    renderRecentQuestions();
+    
+    const questionId = new URLSearchParams(window.location.search).get('id');
+    browser.runtime.sendMessage({ action: 'getQuestionVideo', questionId }).then(video => {
+        if (!video) {
+            // The background page was restarted, or the window was reloaded
+            document.getElementById('errorMessage').style.display = 'block';
+            return;
+        }
+        
+        document.getElementById('videoTitle').textContent = video.metadata.title || video.videoUrl;
+        const inputElement = document.getElementById('questionInput');
+        inputElement.disabled = false;
+        document.getElementById('askButton').disabled = false;
+        inputElement.focus();
+        
+        document.getElementById('questionForm').addEventListener('submit', event => {
+            event.preventDefault();
+            const question = inputElement.value.trim();
+            if (question) {
+                askQuestion(video, question);
+            }
+        });
+    }).catch(error => {
+        console.error('Error loading the question video:', error);
+        document.getElementById('errorMessage').style.display = 'block';
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initializeQuestionWindow);
@@ -0,0 +1,183 @@
+// Queue items as last loaded from storage
+let queueItems = [];
+// The window this page is in; Chromium opens the side panel by window
+let pageWindowId;
+
+/**
+ * Opens the chat sidebar; must run while handling the click so the browser allows it
+ */
+function openSidebar() {
+    window.Platform.openChatPanel(pageWindowId);
+}
+
+/**
+ * Asks the background page to change the queue, since it makes all queue changes in turn
+ * @param {object} message - The change, such as {action: 'clearQueue'}
+ */
+function requestQueueChange(message) {
+    browser.runtime.sendMessage(message).catch(error => {
+        console.error('Error changing summary queue:', error);
+    });
+}
+
+/**
+ * Summarizes one queued video with the selected profile and removes it from the queue
+ * @param {object} item - The queue item
+ */
+function summarizeItem(item) {
+    browser.runtime.sendMessage({
+        action: 'prepareSummary',
+        profileId: document.getElementById('profileSelect').value,
+        videoUrl: item.videoUrl,
+        metadata: {
+            title: item.title,
+            channel: item.channel,
+            duration: item.duration
+        }
+    }).catch(error => {
+        console.error('Error preparing summary:', error);
+    });
+    
+    openSidebar();
+    requestQueueChange({ action: 'removeFromQueue', itemIds: [item.id] });
+}
+
+/**
+ * Summarizes every queued video in one prompt and empties the queue
+ */
+function summarizeAll() {
+    if (queueItems.length === 0) {
+        return;
+    }
+    
+    browser.runtime.sendMessage({
+        action: 'prepareCombinedSummary',
+        videos: queueItems.map(item => ({ videoUrl: item.videoUrl, title: item.title }))
+    }).catch(error => {
+        console.error('Error preparing combined summary:', error);
+    });
+    
+    openSidebar();
+    requestQueueChange({ action: 'removeFromQueue', itemIds: queueItems.map(item => item.id) });
+}
+
+/**
+ * Moves a queue item up or down
+ * @param {number} index - The current position of the item
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveItem(index, offset) {
+    requestQueueChange({ action: 'moveQueueItem', itemId: queueItems[index].id, offset });
+}
+
+/**
+ * Creates a small button for a queue item
+ * @param {string} label - The button text
+ * @param {string} className - The button style class
+ * @param {function} onClick - The click handler
+ * @param {boolean} [disabled] - Whether the button is disabled
+ * @returns {HTMLButtonElement}
+ */
+function createButton(label, className, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.className = className;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Renders the queue list
+ */
+function renderQueue() {
+    const listElement = document.getElementById('queueList');
+    listElement.textContent = '';
+    document.getElementById('emptyMessage').style.display = queueItems.length === 0 ? 'block' : 'none';
+    document.getElementById('summarizeAllButton').disabled = queueItems.length === 0;
+    document.getElementById('clearButton').disabled = queueItems.length === 0;
+    
+    queueItems.forEach((item, index) => {
+        const row = document.createElement('li');
+        row.className = 'queue-item';
+        
+        const details = document.createElement('div');
+        details.className = 'queue-item-details';
+        
+        const title = document.createElement('a');
+        title.className = 'queue-item-title';
+        title.href = item.videoUrl;
+        title.target = '_blank';
+        title.textContent = item.title || item.videoUrl;
+        details.appendChild(title);
+        
+        const meta = document.createElement('div');
+        meta.className = 'queue-item-meta';
+        meta.textContent = [item.channel, item.duration].filter(Boolean).join(' · ');
+        details.appendChild(meta);
+        
+        row.appendChild(details);
+        row.appendChild(createButton('↑', 'btn-secondary', () => moveItem(index, -1), index === 0));
+        row.appendChild(createButton('↓', 'btn-secondary', () => moveItem(index, 1), index === queueItems.length - 1));
+        row.appendChild(createButton(window.I18n.getMessage('queueSummarizeButton'), 'btn-primary', () => summarizeItem(item)));
+        row.appendChild(createButton(window.I18n.getMessage('queueRemoveButton'), 'btn-secondary', () => requestQueueChange({ action: 'removeFromQueue', itemIds: [item.id] })));
+        listElement.appendChild(row);
+    });
+}
+
+/**
+ * Loads the queue from storage and renders it
+ */
+function loadQueue() {
+    window.SummaryQueue.loadQueue().then(items => {
+        queueItems = items;
+        renderQueue();
+    }).catch(error => {
+        console.error('Error loading summary queue:', error);
+    });
+}
+
+/**
+ * Fills in the profile picker used for single videos
+ */
+function loadProfiles() {
+    browser.runtime.sendMessage({ action: 'getPromptProfiles' }).then(response => {
+        const selectElement = document.getElementById('profileSelect');
+        response.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            selectElement.appendChild(option);
+        });
+    }).catch(error => {
+        console.error('Error loading prompt profiles:', error);
+    });
+}
+
+/**
+ * Initializes the queue page
+ */
+function initializeQueuePage() {
+    window.I18n.localizePage();
+    loadProfiles();
+    loadQueue();
+    browser.windows.getCurrent().then(currentWindow => {
+        pageWindowId = currentWindow.id;
+    });
+    
+    document.getElementById('summarizeAllButton').addEventListener('click', summarizeAll);
+    document.getElementById('clearButton').addEventListener('click', () => {
+        if (confirm(window.I18n.getMessage('queueConfirmClear'))) {
+            requestQueueChange({ action: 'clearQueue' });
+        }
+    });
+    
+    // Stay in sync with videos added from the context menu
+    browser.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.summaryQueue) {
+            loadQueue();
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initializeQueuePage);
@@ -0,0 +1,33 @@
+// Recently asked questions, suggested by the question fields of the address bar popup
+// and the question window
+
+// Oldest questions are dropped once the list grows past this size
+const MAX_RECENT_QUESTIONS = 10;
+
+/**
+ * Loads the recent questions from local storage, newest first
+ * @returns {Promise<string[]>}
+ */
+function loadRecentQuestions() {
+  return browser.storage.local.get(['recentQuestions']).then(result => {
+    return Array.isArray(result.recentQuestions) ? result.recentQuestions : [];
+  });
+}
+
+/**
+ * Moves a question to the top of the recent questions, adding it if it is new
+ * @param {string} question - The question as asked
+ * @returns {Promise<void>}
+ */
+function rememberQuestion(question) {
+  return loadRecentQuestions().then(questions => {
+    const key = question.toLowerCase();
+    const others = questions.filter(recent => recent.toLowerCase() !== key);
+    return browser.storage.local.set({ recentQuestions: [question, ...others].slice(0, MAX_RECENT_QUESTIONS) });
+  });
+}
+
+window.RecentQuestions = {
+  loadRecentQuestions,
+  rememberQuestion
+};
@@ -0,0 +1,37 @@
+// Background state kept in session storage, used by the background page
+//
+// Chromium stops the service worker when it is idle, losing everything kept in
+// its variables. The background script saves what it still needs here, such as
+// prompts waiting for the side panel, and reads it back when it starts again.
+// Session storage is cleared when the browser closes. Browsers without it keep
+// the background page loaded, so there the state only lives in memory.
+
+/**
+ * Checks whether the browser has session storage
+ * @returns {boolean}
+ */
+function hasSessionStorage() {
+  return Boolean(browser.storage.session);
+}
+
+/**
+ * Loads the saved background state
+ * @returns {Promise<object>} - The saved values keyed by name, or nothing without session storage
+ */
+function loadSessionState() {
+  return hasSessionStorage() ? browser.storage.session.get(null) : Promise.resolve({});
+}
+
+/**
+ * Saves parts of the background state, replacing their earlier values
+ * @param {object} values - The values to save, keyed by name; they must be plain JSON data
+ * @returns {Promise<void>}
+ */
+function saveSessionState(values) {
+  return hasSessionStorage() ? browser.storage.session.set(values) : Promise.resolve();
+}
+
+window.SessionState = {
+  loadSessionState,
+  saveSessionState
+};
@@ -0,0 +1,673 @@
+// Settings shared by the background, options and popup pages
+//
+// Settings are stored as separate keys in sync storage, next to a settingsVersion key.
+// Prompt profiles are the exception: each is stored under its own key, with their order
+// under promptProfileIds, since the whole list quickly outgrows the limit of one key.
+// Older stored settings and imported files are migrated forward one version at a time,
+// then every value is validated against SETTINGS_SCHEMA and replaced by its default
+// when it is missing or invalid.
+//
+// An administrator can also set a policy in managed storage (see chromium/managed-schema.json):
+// organization defaults under the setting keys themselves, lockedSettings listing the
+// settings users can't change, and allowedProviders limiting the chats. Each setting
+// then takes the first valid value of:
+// 1. the policy's value, if the setting is locked
+// 2. the user's value in sync storage
+// 3. the policy's value
+// 4. the built-in default
+//
+// Sync storage limits the size of each key and of all keys together, so settings are
+// measured before they are written, and a save that doesn't fit is refused with a message.
+
+const SETTINGS_VERSION = 4;
+const SETTINGS_VERSION_KEY = 'settingsVersion';
+const SETTINGS_FILE_FORMAT = 'youtube-summarizer-settings';
+// Sync storage limits in Firefox and Chromium, in bytes of the key and its JSON value
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+// Followed by a profile ID
+const PROFILE_KEY_PREFIX = 'promptProfile:';
+const PROFILE_IDS_KEY = 'promptProfileIds';
+
+/**
+ * Describes a prompt template setting
+ * @param {string} label - The name shown in error messages
+ * @param {function(): string} getDefault - Returns the default template
+ * @returns {object} - The schema entry
+ */
+function templateSetting(label, getDefault) {
+  return {
+    label,
+    getDefault,
+    validate: value => typeof value === 'string' ? null : window.I18n.getMessage('settingsErrorText'),
+    // An empty template means the default one
+    normalize: value => value.trim() || getDefault()
+  };
+}
+
+/**
+ * Describes a whole number setting
+ * @param {string} label - The name shown in error messages
+ * @param {function(): number} getDefault - Returns the default number
+ * @param {number} min - The smallest allowed value
+ * @param {number} max - The largest allowed value
+ * @returns {object} - The schema entry
+ */
+function integerSetting(label, getDefault, min, max) {
+  return {
+    label,
+    getDefault,
+    validate: value => Number.isInteger(value) && value >= min && value <= max
+      ? null
+      : window.I18n.getMessage('settingsErrorRange', [String(min), String(max)])
+  };
+}
+
+// Every setting with its default value and validation
+const SETTINGS_SCHEMA = {
+  promptProfiles: {
+    label: window.I18n.getMessage('settingPromptProfiles'),
+    getDefault: () => window.PromptProfiles.getDefaultProfiles(),
+    validate: value => Array.isArray(value) && value.length > 0 ? null : window.I18n.getMessage('settingsErrorProfiles'),
+    normalize: value => window.PromptProfiles.normalizeProfiles(value)
+  },
+  defaultProvider: {
+    label: window.I18n.getMessage('settingDefaultProvider'),
+    getDefault: () => window.ChatProviders.DEFAULT_PROVIDER_ID,
+    validate: value => window.ChatProviders.CHAT_PROVIDERS.some(provider => provider.id === value)
+      ? null
+      : window.I18n.getMessage('settingsErrorProvider')
+  },
+  responseLanguage: {
+    label: window.I18n.getMessage('settingResponseLanguage'),
+    // Empty means the browser's language
+    getDefault: () => '',
+    validate: value => typeof value === 'string' && value.trim().length <= 40
+      ? null
+      : window.I18n.getMessage('settingsErrorResponseLanguage'),
+    normalize: value => value.trim()
+  },
+  rangePromptTemplate: templateSetting(
+    window.I18n.getMessage('settingRangePromptTemplate'),
+    () => window.EXTENSION_CONSTANTS.DEFAULT_RANGE_PROMPT
+  ),
+  recentMinutes: integerSetting(
+    window.I18n.getMessage('settingRecentMinutes'),
+    () => window.EXTENSION_CONSTANTS.DEFAULT_RECENT_MINUTES,
+    1,
+    180
+  ),
+  playlistPromptTemplate: templateSetting(
+    window.I18n.getMessage('settingPlaylistPromptTemplate'),
+    () => window.EXTENSION_CONSTANTS.DEFAULT_PLAYLIST_PROMPT
+  ),
+  playlistMaxVideos: integerSetting(
+    window.I18n.getMessage('settingPlaylistMaxVideos'),
+    () => window.EXTENSION_CONSTANTS.DEFAULT_PLAYLIST_MAX_VIDEOS,
+    1,
+    200
+  ),
+  queuePromptTemplate: templateSetting(
+    window.I18n.getMessage('settingQueuePromptTemplate'),
+    () => window.EXTENSION_CONSTANTS.DEFAULT_QUEUE_PROMPT
+  ),
+  comparePromptTemplate: templateSetting(
+    window.I18n.getMessage('settingComparePromptTemplate'),
+    () => window.EXTENSION_CONSTANTS.DEFAULT_COMPARE_PROMPT
+  ),
+  questionPromptTemplate: templateSetting(
+    window.I18n.getMessage('settingQuestionPromptTemplate'),
+    () => window.EXTENSION_CONSTANTS.DEFAULT_QUESTION_PROMPT
+  ),
+  selectionPromptTemplate: templateSetting(
+    window.I18n.getMessage('settingSelectionPromptTemplate'),
+    () => window.EXTENSION_CONSTANTS.DEFAULT_SELECTION_PROMPT
+  ),
+  promptRules: {
+    label: window.I18n.getMessage('settingPromptRules'),
+    getDefault: () => [],
+    validate: value => {
+      if (!Array.isArray(value)) {
+        return window.I18n.getMessage('settingsErrorRules');
+      }
+      const problem = value.map(window.PromptRules.validateRule).find(error => error);
+      return problem || null;
+    },
+    normalize: value => window.PromptRules.normalizeRules(value)
+  },
+  transcriptLanguage: {
+    label: window.I18n.getMessage('settingTranscriptLanguage'),
+    getDefault: () => '',
+    validate: value => typeof value === 'string' && /^([a-z]{2,3}(-[a-z0-9]+)*)?$/i.test(value.trim())
+      ? null
+      : window.I18n.getMessage('settingsErrorLanguageCode'),
+    normalize: value => value.trim()
+  },
+  transcriptMaxChars: integerSetting(
+    window.I18n.getMessage('settingTranscriptMaxChars'),
+    () => window.EXTENSION_CONSTANTS.DEFAULT_TRANSCRIPT_MAX_CHARS,
+    1000,
+    500000
+  ),
+  transcriptTruncation: {
+    label: window.I18n.getMessage('settingTranscriptTruncation'),
+    getDefault: () => window.EXTENSION_CONSTANTS.DEFAULT_TRANSCRIPT_TRUNCATION,
+    validate: value => ['start', 'startEnd', 'sample'].includes(value) ? null : window.I18n.getMessage('settingsErrorOption')
+  },
+  historyEnabled: {
+    label: window.I18n.getMessage('settingHistoryEnabled'),
+    getDefault: () => true,
+    validate: value => typeof value === 'boolean' ? null : window.I18n.getMessage('settingsErrorBoolean')
+  },
+  thumbnailButtonEnabled: {
+    label: window.I18n.getMessage('settingThumbnailButtonEnabled'),
+    // Off by default so YouTube looks unchanged until the user asks for the buttons
+    getDefault: () => false,
+    validate: value => typeof value === 'boolean' ? null : window.I18n.getMessage('settingsErrorBoolean')
+  },
+  notificationLevels: {
+    label: window.I18n.getMessage('settingNotificationLevels'),
+    // Keyed by trigger ID; every notification is shown by default
+    getDefault: () => Object.fromEntries(window.EXTENSION_CONSTANTS.SUMMARY_TRIGGERS.map(trigger => [trigger.id, 'always'])),
+    validate: value => value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.values(value).every(level => window.EXTENSION_CONSTANTS.NOTIFICATION_LEVELS.includes(level))
+      ? null
+      : window.I18n.getMessage('settingsErrorOption'),
+    // Triggers added in later versions start with every notification shown
+    normalize: value => Object.fromEntries(window.EXTENSION_CONSTANTS.SUMMARY_TRIGGERS.map(trigger => {
+      return [trigger.id, value[trigger.id] || 'always'];
+    }))
+  }
+};
+
+const SETTINGS_KEYS = Object.keys(SETTINGS_SCHEMA);
+
+// Forward migrations, keyed by the version they upgrade from
+const SETTINGS_MIGRATIONS = {
+  // Version 1 stored a single promptTemplate before prompt profiles existed
+  1: stored => {
+    const migrated = { ...stored };
+    if (!Array.isArray(migrated.promptProfiles) && typeof migrated.promptTemplate === 'string') {
+      migrated.promptProfiles = window.PromptProfiles.getDefaultProfiles(migrated.promptTemplate);
+    }
+    delete migrated.promptTemplate;
+    return migrated;
+  },
+  // Version 3 only changed how profiles are stored; see readStoredSettings
+  2: stored => ({ ...stored }),
+  // Up to version 3 a rule's language was added to its prompt as a sentence of its own; it now
+  // fills {language}, so rules without the placeholder get that sentence written into them
+  3: stored => {
+    const migrated = { ...stored };
+    if (Array.isArray(migrated.promptRules)) {
+      migrated.promptRules = migrated.promptRules.map(rule => {
+        if (!rule || !rule.language || typeof rule.template !== 'string' || rule.template.includes('{language}')) {
+          return rule;
+        }
+        return { ...rule, template: `${rule.template}\n\n${window.I18n.getMessage('respondInInstruction')}` };
+      });
+    }
+    return migrated;
+  }
+};
+
+// Keys removed by migrations, deleted from storage once settings are migrated; version 2
+// stored the whole profile list under promptProfiles
+const OBSOLETE_SETTINGS_KEYS = ['promptTemplate', 'promptProfiles'];
+
+// Policy lists whose items need an ID; items without one get an ID from their position,
+// which stays the same each time the policy is read
+const POLICY_LIST_KEYS = ['promptProfiles', 'promptRules'];
+
+/**
+ * Returns every setting at its default value
+ * @returns {object}
+ */
+function getDefaultSettings() {
+  const settings = {};
+  SETTINGS_KEYS.forEach(key => {
+    settings[key] = SETTINGS_SCHEMA[key].getDefault();
+  });
+  return settings;
+}
+
+/**
+ * Upgrades stored or imported settings to the current version
+ * @param {object} stored - The settings, with or without a settingsVersion
+ * @returns {object} - The migrated settings
+ * @throws {Error} - If the settings come from a newer version of the extension
+ */
+function migrateSettings(stored) {
+  let version = Number.isInteger(stored[SETTINGS_VERSION_KEY]) ? stored[SETTINGS_VERSION_KEY] : 1;
+  if (version > SETTINGS_VERSION) {
+    throw new Error(window.I18n.getMessage('settingsErrorNewerVersion'));
+  }
+
+  let migrated = { ...stored };
+  while (version < SETTINGS_VERSION) {
+    migrated = SETTINGS_MIGRATIONS[version](migrated);
+    version++;
+  }
+
+  migrated[SETTINGS_VERSION_KEY] = SETTINGS_VERSION;
+  return migrated;
+}
+
+/**
+ * Checks every setting against the schema
+ * Missing values silently use their default; invalid values use their default and are reported
+ * @param {object} values - The settings to check
+ * @param {object} [fallbacks] - Valid values to use instead of the built-in defaults, such as a policy's
+ * @returns {{settings: object, errors: string[]}} - The complete, valid settings and one message per invalid value
+ */
+function validateSettings(values, fallbacks = {}) {
+  const settings = {};
+  const errors = [];
+
+  SETTINGS_KEYS.forEach(key => {
+    const schema = SETTINGS_SCHEMA[key];
+    const value = values[key];
+    const getFallback = () => fallbacks[key] !== undefined ? fallbacks[key] : schema.getDefault();
+
+    if (value === undefined) {
+      settings[key] = getFallback();
+      return;
+    }
+
+    const error = schema.validate(value);
+    if (error) {
+      errors.push(window.I18n.getMessage('settingsInvalidValue', [schema.label, error]));
+      settings[key] = getFallback();
+    } else {
+      settings[key] = schema.normalize ? schema.normalize(value) : value;
+    }
+  });
+
+  return { settings, errors };
+}
+
+/**
+ * Returns the policy in effect when no administrator has set one
+ * @returns {{defaults: object, lockedKeys: string[], allowedProviders: string[]|null}}
+ */
+function getEmptyPolicy() {
+  return { defaults: {}, lockedKeys: [], allowedProviders: null };
+}
+
+/**
+ * Reads a policy from the values in managed storage
+ * Invalid values are left out and logged, so a mistake in the policy falls back to the user's settings
+ * @param {object} managed - The contents of managed storage
+ * @returns {{defaults: object, lockedKeys: string[], allowedProviders: string[]|null}} - The
+ *   organization's valid setting values, the locked setting keys, and the allowed provider IDs,
+ *   or null when every provider is allowed
+ */
+function parsePolicy(managed) {
+  const defaults = {};
+  SETTINGS_KEYS.filter(key => managed[key] !== undefined).forEach(key => {
+    const schema = SETTINGS_SCHEMA[key];
+    let value = managed[key];
+    if (POLICY_LIST_KEYS.includes(key) && Array.isArray(value)) {
+      value = value.map((item, index) => item && !item.id ? { ...item, id: `policy-${key}-${index}` } : item);
+    }
+
+    const error = schema.validate(value);
+    if (error) {
+      console.error(`Ignoring the policy value of ${key}:`, error);
+      return;
+    }
+    defaults[key] = schema.normalize ? schema.normalize(value) : value;
+  });
+
+  const providerIds = window.ChatProviders.CHAT_PROVIDERS.map(provider => provider.id);
+  const allowedProviders = Array.isArray(managed.allowedProviders)
+    ? managed.allowedProviders.filter(providerId => providerIds.includes(providerId))
+    : [];
+
+  return {
+    defaults,
+    lockedKeys: Array.isArray(managed.lockedSettings)
+      ? managed.lockedSettings.filter(key => SETTINGS_SCHEMA[key])
+      : [],
+    // A list without any known provider would leave no chat, so it allows every provider
+    allowedProviders: allowedProviders.length > 0 ? allowedProviders : null
+  };
+}
+
+/**
+ * Loads the administrator's policy from managed storage
+ * @returns {Promise<{defaults: object, lockedKeys: string[], allowedProviders: string[]|null}>} - See parsePolicy
+ */
+function loadPolicy() {
+  if (!browser.storage.managed) {
+    return Promise.resolve(getEmptyPolicy());
+  }
+
+  // Firefox rejects the request when no policy is installed for the extension
+  return browser.storage.managed.get(null)
+    .then(managed => parsePolicy(managed || {}))
+    .catch(() => getEmptyPolicy());
+}
+
+/**
+ * Combines the user's settings with a policy, in the order described at the top of this file
+ * @param {object} stored - The user's settings, at the current version
+ * @param {{defaults: object, lockedKeys: string[], allowedProviders: string[]|null}} policy - The policy
+ * @returns {object} - The complete, valid settings
+ */
+function applyPolicy(stored, policy) {
+  const values = { ...stored };
+  policy.lockedKeys.forEach(key => {
+    values[key] = policy.defaults[key] !== undefined ? policy.defaults[key] : SETTINGS_SCHEMA[key].getDefault();
+  });
+
+  const { settings } = validateSettings(values, policy.defaults);
+  if (policy.allowedProviders && !policy.allowedProviders.includes(settings.defaultProvider)) {
+    settings.defaultProvider = policy.allowedProviders.includes(policy.defaults.defaultProvider)
+      ? policy.defaults.defaultProvider
+      : policy.allowedProviders[0];
+  }
+  return settings;
+}
+
+/**
+ * Returns the chat providers a policy allows, in the registry's order
+ * @param {{allowedProviders: string[]|null}} policy - The policy
+ * @returns {Array<object>}
+ */
+function getAllowedProviders(policy) {
+  return window.ChatProviders.CHAT_PROVIDERS.filter(provider => {
+    return !policy.allowedProviders || policy.allowedProviders.includes(provider.id);
+  });
+}
+
+/**
+ * Returns the name of a setting as shown in messages
+ * @param {string} key - The setting key
+ * @returns {string}
+ */
+function getSettingLabel(key) {
+  return SETTINGS_SCHEMA[key] ? SETTINGS_SCHEMA[key].label : key;
+}
+
+/**
+ * Measures a sync storage item the way the browsers count it against their limits
+ * @param {string} key - The storage key
+ * @param {*} value - The value
+ * @returns {number} - The size in bytes
+ */
+function getSyncItemSize(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Formats a size in bytes as kilobytes for messages
+ * @param {number} bytes - The size
+ * @returns {string}
+ */
+function formatKilobytes(bytes) {
+  return (bytes / 1024).toFixed(1);
+}
+
+/**
+ * Reads the settings from the items in sync storage, putting the profiles back in one list
+ * @param {object} items - Everything in sync storage
+ * @returns {object} - The stored settings; versions before 3 already have the list
+ */
+function readStoredSettings(items) {
+  const stored = {};
+  Object.keys(items)
+    .filter(key => key !== PROFILE_IDS_KEY && !key.startsWith(PROFILE_KEY_PREFIX))
+    .forEach(key => {
+      stored[key] = items[key];
+    });
+
+  if (Array.isArray(items[PROFILE_IDS_KEY])) {
+    // Profiles that haven't synced yet are left out until they arrive
+    stored.promptProfiles = items[PROFILE_IDS_KEY]
+      .map(id => items[`${PROFILE_KEY_PREFIX}${id}`])
+      .filter(profile => profile);
+  }
+  return stored;
+}
+
+/**
+ * Turns a settings update into sync storage items, with one key per profile
+ * @param {object} update - The settings to write
+ * @param {string[]} removedKeys - The settings to remove
+ * @param {object} items - Everything now in sync storage, for finding the keys of removed profiles
+ * @returns {{update: object, removedKeys: string[]}} - The items to write and the keys to remove
+ */
+function toStorageItems(update, removedKeys, items) {
+  const storageUpdate = { ...update };
+  delete storageUpdate.promptProfiles;
+  const storageRemovedKeys = removedKeys.filter(key => key !== 'promptProfiles');
+
+  if (update.promptProfiles || removedKeys.includes('promptProfiles')) {
+    const profiles = update.promptProfiles || [];
+    const profileKeys = profiles.map(profile => `${PROFILE_KEY_PREFIX}${profile.id}`);
+    profiles.forEach((profile, index) => {
+      storageUpdate[profileKeys[index]] = profile;
+    });
+    if (update.promptProfiles) {
+      storageUpdate[PROFILE_IDS_KEY] = profiles.map(profile => profile.id);
+    } else {
+      storageRemovedKeys.push(PROFILE_IDS_KEY);
+    }
+
+    // The list itself is only left from version 2
+    storageRemovedKeys.push('promptProfiles', ...Object.keys(items)
+      .filter(key => key.startsWith(PROFILE_KEY_PREFIX) && !profileKeys.includes(key)));
+  }
+  return { update: storageUpdate, removedKeys: storageRemovedKeys };
+}
+
+/**
+ * Checks whether a sync storage update fits in the storage limits
+ * @param {object} stored - Everything now in sync storage
+ * @param {object} update - The items about to be written
+ * @param {string[]} removedKeys - The keys about to be removed
+ * @returns {string|null} - What doesn't fit, or null if the update fits
+ */
+function findSyncQuotaProblem(stored, update, removedKeys) {
+  const tooLargeKey = Object.keys(update).find(key => getSyncItemSize(key, update[key]) > SYNC_QUOTA_BYTES_PER_ITEM);
+  if (tooLargeKey) {
+    return window.I18n.getMessage('settingsErrorItemTooLarge', [
+      tooLargeKey.startsWith(PROFILE_KEY_PREFIX) ? update[tooLargeKey].name : getSettingLabel(tooLargeKey),
+      formatKilobytes(getSyncItemSize(tooLargeKey, update[tooLargeKey])),
+      formatKilobytes(SYNC_QUOTA_BYTES_PER_ITEM)
+    ]);
+  }
+
+  const result = { ...stored, ...update };
+  removedKeys.forEach(key => {
+    delete result[key];
+  });
+  const totalSize = Object.keys(result).reduce((total, key) => total + getSyncItemSize(key, result[key]), 0);
+  if (totalSize > SYNC_QUOTA_BYTES) {
+    return window.I18n.getMessage('settingsErrorSyncFull', [formatKilobytes(totalSize), formatKilobytes(SYNC_QUOTA_BYTES)]);
+  }
+  return null;
+}
+
+/**
+ * Writes settings to sync storage once they are known to fit
+ * @param {object} update - The settings to write
+ * @param {string[]} removedKeys - The settings to remove
+ * @returns {Promise<void>}
+ * @throws {Error} - If the update doesn't fit, or the browser refuses it; nothing is written then
+ */
+function writeSyncSettings(update, removedKeys) {
+  return browser.storage.sync.get(null).then(items => {
+    const storage = toStorageItems(update, removedKeys, items);
+    const problem = findSyncQuotaProblem(items, storage.update, storage.removedKeys);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    return browser.storage.sync.set(storage.update).catch(error => {
+      // Other devices may have synced more data since the check
+      throw new Error(window.I18n.getMessage('settingsErrorSyncRejected', error.message));
+    }).then(() => browser.storage.sync.remove(storage.removedKeys));
+  });
+}
+
+/**
+ * Loads the settings from sync storage, migrating them first if they are from an older version,
+ * and applies the policy from managed storage
+ * @returns {Promise<object>} - The complete, valid settings
+ */
+function loadSettings() {
+  return Promise.all([browser.storage.sync.get(null), loadPolicy()]).then(([items, policy]) => {
+    const stored = readStoredSettings(items);
+    if (stored[SETTINGS_VERSION_KEY] === SETTINGS_VERSION) {
+      return applyPolicy(stored, policy);
+    }
+
+    const migrated = migrateSettings(stored);
+    const migratedKeys = [SETTINGS_VERSION_KEY, ...SETTINGS_KEYS].filter(key => migrated[key] !== undefined);
+    const update = {};
+    migratedKeys.forEach(key => {
+      update[key] = migrated[key];
+    });
+
+    return writeSyncSettings(update, OBSOLETE_SETTINGS_KEYS).then(() => applyPolicy(migrated, policy));
+  });
+}
+
+/**
+ * Validates settings and writes them to sync storage
+ * Locked settings are not written. Values equal to the policy's are removed instead, so the
+ * user keeps following the organization's defaults when the policy changes.
+ * @param {object} values - The settings to save; keys that are left out keep their stored values
+ * @param {object} [policy] - The policy from loadPolicy
+ * @returns {Promise<object>} - The settings now in effect
+ * @throws {Error} - If a value is invalid or the settings don't fit in sync storage; nothing is saved in that case
+ */
+function saveSettings(values, policy = getEmptyPolicy()) {
+  return loadSettings().then(current => {
+    const { settings, errors } = validateSettings({ ...current, ...values });
+    if (errors.length > 0) {
+      throw new Error(errors.join(' '));
+    }
+
+    const { update, removedKeys } = getSettingsUpdate(values, settings, policy);
+    return writeSyncSettings(update, removedKeys).then(() => applyPolicy(settings, policy));
+  });
+}
+
+/**
+ * Lists what saving settings writes to sync storage and what it removes
+ * @param {object} values - The settings to save, as passed to saveSettings
+ * @param {object} settings - The validated settings
+ * @param {object} policy - The policy from loadPolicy
+ * @returns {{update: object, removedKeys: string[]}}
+ */
+function getSettingsUpdate(values, settings, policy) {
+  const update = { [SETTINGS_VERSION_KEY]: SETTINGS_VERSION };
+  const removedKeys = [];
+  Object.keys(values)
+    .filter(key => SETTINGS_SCHEMA[key] && !policy.lockedKeys.includes(key))
+    .forEach(key => {
+      if (policy.defaults[key] !== undefined && JSON.stringify(policy.defaults[key]) === JSON.stringify(settings[key])) {
+        removedKeys.push(key);
+      } else {
+        update[key] = settings[key];
+      }
+    });
+  return { update, removedKeys };
+}
+
+/**
+ * Checks whether settings would fit in sync storage, without saving them
+ * @param {object} values - The settings to save, as passed to saveSettings
+ * @param {object} [policy] - The policy from loadPolicy
+ * @returns {Promise<string|null>} - Why saving them would fail, or null if they fit
+ */
+function checkSettingsSize(values, policy = getEmptyPolicy()) {
+  const { settings, errors } = validateSettings(values);
+  if (errors.length > 0) {
+    return Promise.resolve(errors.join(' '));
+  }
+
+  const { update, removedKeys } = getSettingsUpdate(values, settings, policy);
+  return browser.storage.sync.get(null).then(items => {
+    const storage = toStorageItems(update, removedKeys, items);
+    return findSyncQuotaProblem(items, storage.update, storage.removedKeys);
+  });
+}
+
+/**
+ * Removes the user's settings from sync storage, so the policy's values or the defaults apply
+ * @returns {Promise<object>} - The settings now in effect
+ */
+function resetSettings() {
+  return browser.storage.sync.get(null).then(items => {
+    const profileKeys = Object.keys(items).filter(key => key.startsWith(PROFILE_KEY_PREFIX));
+    return browser.storage.sync.remove([...SETTINGS_KEYS, PROFILE_IDS_KEY, ...profileKeys]);
+  }).then(loadSettings);
+}
+
+/**
+ * Checks whether a storage change touches the settings
+ * @param {object} changes - The changes passed to storage.onChanged
+ * @returns {boolean}
+ */
+function hasSettingsChange(changes) {
+  return SETTINGS_KEYS.some(key => changes[key]) ||
+    Object.keys(changes).some(key => key === PROFILE_IDS_KEY || key.startsWith(PROFILE_KEY_PREFIX));
+}
+
+/**
+ * Serializes settings for an export file
+ * @param {object} settings - The settings to export
+ * @returns {string} - The JSON file contents
+ */
+function exportSettings(settings) {
+  return JSON.stringify({
+    format: SETTINGS_FILE_FORMAT,
+    [SETTINGS_VERSION_KEY]: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings
+  }, null, 2);
+}
+
+/**
+ * Reads an exported settings file, migrating it from older versions
+ * @param {string} text - The JSON file contents
+ * @returns {{settings: object, errors: string[]}} - The complete, valid settings and one message per value replaced by its default
+ * @throws {Error} - If the file is not a settings export
+ */
+function parseSettingsFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(window.I18n.getMessage('settingsErrorInvalidJson'));
+  }
+
+  if (!parsed || parsed.format !== SETTINGS_FILE_FORMAT || !parsed.settings || typeof parsed.settings !== 'object') {
+    throw new Error(window.I18n.getMessage('settingsErrorNotExport'));
+  }
+
+  const migrated = migrateSettings({ ...parsed.settings, [SETTINGS_VERSION_KEY]: parsed[SETTINGS_VERSION_KEY] });
+  return validateSettings(migrated);
+}
+
+window.Settings = {
+  SETTINGS_VERSION,
+  SETTINGS_KEYS,
+  getDefaultSettings,
+  migrateSettings,
+  validateSettings,
+  loadPolicy,
+  getAllowedProviders,
+  getSettingLabel,
+  loadSettings,
+  saveSettings,
+  checkSettingsSize,
+  resetSettings,
+  hasSettingsChange,
+  exportSettings,
+  parseSettingsFile
+};
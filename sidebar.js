@@ -1,3 +1,23 @@
+// How many recently summarized videos the launcher lists
+const RECENT_VIDEO_COUNT = 5;
+
+// The video playing in this window's active tab, or null
+let tabVideo = null;
+// The video the launcher will summarize: the tab's video or a recent one
+let selectedVideo = null;
+// Where summaries started from the launcher come from; its tab downloads transcripts
+let summarySource = null;
+// The name and profile of the prompt shown in the preview, recorded in the history
+let previewDetails = null;
+// Counts preview requests so a slow preview can't replace a newer one
+let previewRequestCount = 0;
+// Chat providers keyed by ID, for opening a chat without a prompt
+const chatProviders = new Map();
+// Set once the sidebar starts navigating to the chat
+let isOpeningChat = false;
+// The window this sidebar belongs to; the background script keeps summaries apart by window
+let sidebarWindowId = null;
+
 /**
  * Displays a message in the loading container
  * @param {string} message - The message to display
@@ -13,22 +33,321 @@ function displayMessage(message, isError = false) {
 }
 
 /**
- * Initializes the sidebar by requesting video URL and handling navigation
+ * Leaves the launcher for a URL in the chat provider's site
+ * @param {string} url - The URL to open in the sidebar
+ */
+function navigateToChat(url) {
+    isOpeningChat = true;
+    document.getElementById('launcher').hidden = true;
+    document.getElementById('loading').hidden = false;
+    window.Platform.showChat(url, () => {
+        // The Chromium side panel frames the chat; its prompt header rule can go now
+        browser.runtime.sendMessage({ action: 'chatLoaded', windowId: sidebarWindowId }).catch(error => {
+            console.error('Error reporting the chat as loaded:', error);
+        });
+    });
+}
+
+/**
+ * Opens the chat with the summary prepared by the background script
+ */
+function openChat() {
+    if (isOpeningChat) {
+        return;
+    }
+    isOpeningChat = true;
+
+    browser.runtime.sendMessage({ action: 'getSidebarUrl', windowId: sidebarWindowId })
+        .then(response => {
+            // Redirect the sidebar to the chat provider; the URL may carry the prompt
+            navigateToChat(response.sidebarUrl);
+        })
+        .catch(error => {
+            console.error('Error getting chat URL:', error);
+            isOpeningChat = false;
+            displayMessage(window.I18n.getMessage('sidebarLoadError'), true);
+        });
+}
+
+/**
+ * Shows a status line under the prompt preview
+ * @param {string} message - The message to show
+ * @param {boolean} [isError] - Whether the message describes an error
+ */
+function showPromptStatus(message, isError = false) {
+    const statusElement = document.getElementById('promptStatus');
+    statusElement.textContent = message;
+    statusElement.classList.toggle('error', isError);
+}
+
+/**
+ * Renders the prompt for the selected video and profile into the editable preview
+ */
+function refreshPromptPreview() {
+    const previewElement = document.getElementById('promptPreview');
+    const requestNumber = ++previewRequestCount;
+    previewDetails = null;
+    document.getElementById('goButton').disabled = true;
+
+    if (!selectedVideo) {
+        previewElement.value = '';
+        previewElement.disabled = true;
+        showPromptStatus(window.I18n.getMessage('launcherPromptHelp'));
+        return;
+    }
+
+    previewElement.disabled = false;
+    showPromptStatus(window.I18n.getMessage('launcherPromptLoading'));
+
+    browser.runtime.sendMessage({
+        action: 'previewPrompt',
+        videoUrl: selectedVideo.videoUrl,
+        // An empty value is the automatic choice made by the prompt rules
+        profileId: document.getElementById('profileSelect').value || undefined,
+        metadata: selectedVideo.metadata,
+        source: summarySource
+    }).then(response => {
+        if (requestNumber !== previewRequestCount) {
+            return;
+        }
+        previewElement.value = response.prompt;
+        previewDetails = { promptName: response.promptName, profileId: response.profileId };
+        document.getElementById('goButton').disabled = false;
+        showPromptStatus(window.I18n.getMessage('launcherPromptHelp'));
+    }).catch(error => {
+        console.error('Error preparing prompt preview:', error);
+        if (requestNumber === previewRequestCount) {
+            showPromptStatus(window.I18n.getMessage('launcherPromptError'), true);
+        }
+    });
+}
+
+/**
+ * Shows the selected video's thumbnail and details
+ */
+function renderSelectedVideo() {
+    const hasVideo = Boolean(selectedVideo);
+    document.getElementById('videoCard').hidden = !hasVideo;
+    document.getElementById('noVideo').hidden = hasVideo;
+    document.getElementById('tabVideoButton').hidden = !tabVideo ||
+        (hasVideo && selectedVideo.videoUrl === tabVideo.videoUrl);
+
+    if (!hasVideo) {
+        return;
+    }
+
+    document.getElementById('videoThumbnail').src = window.YouTubeUrl.buildThumbnailUrl(selectedVideo.videoId);
+    document.getElementById('videoTitle').textContent = selectedVideo.metadata.title || window.I18n.getMessage('untitledVideo');
+    document.getElementById('videoChannel').textContent = selectedVideo.metadata.channel || '';
+}
+
+/**
+ * Makes a video the one the launcher summarizes
+ * @param {{videoUrl: string, videoId: string, metadata: object}|null} video - The video, or null for none
+ */
+function selectVideo(video) {
+    selectedVideo = video;
+    renderSelectedVideo();
+    refreshPromptPreview();
+}
+
+/**
+ * Loads the video playing in this window's active tab
+ * The launcher follows the tab unless a recent video was picked instead
+ */
+function loadTabVideo() {
+    browser.tabs.query({ active: true, currentWindow: true })
+        .then(tabs => browser.runtime.sendMessage({ action: 'getLauncherVideo', tabId: tabs[0].id }))
+        .then(response => {
+            const followsTab = !selectedVideo || selectedVideo === tabVideo;
+            tabVideo = response.video;
+            summarySource = response.source;
+            if (!followsTab) {
+                renderSelectedVideo();
+            } else if (selectedVideo && tabVideo && selectedVideo.videoUrl === tabVideo.videoUrl) {
+                // Same video after a reload; keep any edits made to the prompt
+                selectedVideo = tabVideo;
+                renderSelectedVideo();
+            } else {
+                selectVideo(tabVideo);
+            }
+        })
+        .catch(error => {
+            console.error('Error loading the current video:', error);
+        });
+}
+
+/**
+ * Lists the most recently summarized videos, newest first and without repeats
+ * @param {Array<object>} entries - The summary history, newest first
+ */
+function renderRecentVideos(entries) {
+    const listElement = document.getElementById('recentList');
+    const seenVideoIds = new Set();
+    const recentEntries = entries.filter(entry => {
+        if (!entry.videoId || seenVideoIds.has(entry.videoId)) {
+            return false;
+        }
+        seenVideoIds.add(entry.videoId);
+        return true;
+    }).slice(0, RECENT_VIDEO_COUNT);
+
+    listElement.innerHTML = '';
+    document.getElementById('noRecent').hidden = recentEntries.length > 0;
+
+    recentEntries.forEach(entry => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        const thumbnail = document.createElement('img');
+        const title = document.createElement('span');
+
+        thumbnail.src = window.YouTubeUrl.buildThumbnailUrl(entry.videoId);
+        thumbnail.alt = '';
+        title.textContent = entry.title || window.I18n.getMessage('untitledVideo');
+        button.title = entry.channel || '';
+        button.append(thumbnail, title);
+        button.addEventListener('click', () => selectVideo({
+            videoUrl: entry.videoUrl,
+            videoId: entry.videoId,
+            metadata: { title: entry.title, channel: entry.channel }
+        }));
+
+        item.appendChild(button);
+        listElement.appendChild(item);
+    });
+}
+
+/**
+ * Fills in the profile picker, starting with the automatic choice when prompt rules exist
+ * @param {{profiles: Array<{id: string, name: string}>, hasRules: boolean}} response - The profile list
+ */
+function renderProfiles(response) {
+    const selectElement = document.getElementById('profileSelect');
+    const options = response.hasRules
+        ? [{ id: '', name: window.I18n.getMessage('automaticProfileName') }, ...response.profiles]
+        : response.profiles;
+
+    options.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        selectElement.appendChild(option);
+    });
+}
+
+/**
+ * Fills in the chat provider picker, preselecting the default provider
+ * @param {{providers: Array<{id: string, name: string, sidebarUrl: string}>, defaultProviderId: string}} response - The provider list
+ */
+function renderProviders(response) {
+    const selectElement = document.getElementById('providerSelect');
+    response.providers.forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.name;
+        option.selected = provider.id === response.defaultProviderId;
+        selectElement.appendChild(option);
+        chatProviders.set(provider.id, provider);
+    });
+}
+
+/**
+ * Sends the prompt as edited in the preview; the sidebar opens the chat once it is prepared
+ */
+function sendPrompt() {
+    const promptText = document.getElementById('promptPreview').value.trim();
+    if (!selectedVideo || !previewDetails || !promptText) {
+        return;
+    }
+
+    document.getElementById('goButton').disabled = true;
+    browser.runtime.sendMessage({
+        action: 'sendLauncherPrompt',
+        videoUrl: selectedVideo.videoUrl,
+        metadata: selectedVideo.metadata,
+        prompt: promptText,
+        promptName: previewDetails.promptName,
+        profileId: previewDetails.profileId,
+        providerId: document.getElementById('providerSelect').value,
+        source: summarySource,
+        windowId: sidebarWindowId
+    }).then(openChat).catch(error => {
+        console.error('Error sending prompt:', error);
+        document.getElementById('goButton').disabled = false;
+    });
+}
+
+/**
+ * Shows the launcher and loads the current video, profiles, providers and recent videos
+ */
+function showLauncher() {
+    document.getElementById('loading').hidden = true;
+    document.getElementById('launcher').hidden = false;
+
+    document.getElementById('profileSelect').addEventListener('change', refreshPromptPreview);
+    document.getElementById('goButton').addEventListener('click', sendPrompt);
+    document.getElementById('tabVideoButton').addEventListener('click', () => selectVideo(tabVideo));
+    document.getElementById('openChatButton').addEventListener('click', () => {
+        navigateToChat(chatProviders.get(document.getElementById('providerSelect').value).sidebarUrl);
+    });
+
+    Promise.all([
+        browser.runtime.sendMessage({ action: 'getPromptProfiles' }),
+        browser.runtime.sendMessage({ action: 'getChatProviders' }),
+        window.SummaryHistory.loadHistory()
+    ]).then(([profileResponse, providerResponse, entries]) => {
+        renderProfiles(profileResponse);
+        renderProviders(providerResponse);
+        renderRecentVideos(entries);
+        loadTabVideo();
+    }).catch(error => {
+        console.error('Error loading the launcher:', error);
+        displayMessage(window.I18n.getMessage('sidebarLoadError'), true);
+    });
+
+    // Follow the active tab of this window
+    browser.tabs.onActivated.addListener(activeInfo => {
+        if (!isOpeningChat && activeInfo.windowId === sidebarWindowId) {
+            loadTabVideo();
+        }
+    });
+    browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+        if (!isOpeningChat && tab.active && tab.windowId === sidebarWindowId &&
+            (changeInfo.url || changeInfo.status === 'complete')) {
+            loadTabVideo();
+        }
+    });
+}
+
+/**
+ * Initializes the sidebar: opens the chat if a summary is waiting, otherwise shows the launcher
  */
 function initializeSidebar() {
-    browser.runtime.sendMessage({ action: "getSidebarUrl" })
+    window.I18n.localizePage();
+
+    // Summaries started in this window from a menu or shortcut while the launcher is open
+    browser.runtime.onMessage.addListener(request => {
+        if (request.action === 'summaryPrepared' && request.windowId === sidebarWindowId) {
+            openChat();
+        }
+    });
+
+    browser.windows.getCurrent()
+        .then(currentWindow => {
+            sidebarWindowId = currentWindow.id;
+            return browser.runtime.sendMessage({ action: 'getSidebarUrl', windowId: sidebarWindowId });
+        })
         .then(response => {
-            if (response && response.videoUrl) {
-                // Redirect the sidebar to Gemini
-                window.location.href = 'https://gemini.google.com/app';
+            if (response.hasPendingSummary) {
+                // Redirect the sidebar to the chat provider; the URL may carry the prompt
+                navigateToChat(response.sidebarUrl);
             } else {
-                // Show message if no video URL is available
-                displayMessage('Click the extension icon while on a YouTube video to get started.');
+                showLauncher();
             }
         })
         .catch(error => {
-            console.error('Error getting video URL:', error);
-            displayMessage('Error loading. Please try again.', true);
+            console.error('Error getting sidebar URL:', error);
+            displayMessage(window.I18n.getMessage('sidebarLoadError'), true);
         });
 }
 
@@ -0,0 +1,25 @@
+// Runs the changes to a list kept in local storage one after another
+//
+// The summary queue, history and comparison marks are each stored as one list, so two changes
+// that read a list at the same time would each save a copy without the other's change. Only the
+// background page changes them; extension pages ask it to by message, and it runs the changes of
+// each list in turn.
+
+/**
+ * Creates a queue that runs changes one after another
+ * @returns {function(function(): Promise<*>): Promise<*>} - Runs a change once the earlier ones
+ *   have finished, and resolves to its result
+ */
+function createWriteQueue() {
+  let lastWrite = Promise.resolve();
+  return change => {
+    const result = lastWrite.then(change);
+    // A failed change doesn't hold up the ones after it
+    lastWrite = result.catch(() => {});
+    return result;
+  };
+}
+
+window.StorageWrites = {
+  createWriteQueue
+};
@@ -0,0 +1,129 @@
+// Recent summarization attempts, shared by the background and diagnostics pages
+//
+// The background records each summary the user starts: where it was started from,
+// the video and chat, and how it ended. Outcomes are pending, delivered, failed or
+// cancelled; failed and cancelled attempts have a reason, and warnings note problems
+// that did not stop the summary, such as a missing transcript. Reasons and warnings
+// are codes, listed in ATTEMPT_REASONS, with an optional detail such as an error message.
+
+// Oldest attempts are dropped once the list grows past this size
+const MAX_SUMMARY_ATTEMPTS = 50;
+
+// Reason and warning codes, with the message that explains them; the detail fills in $1
+const ATTEMPT_REASONS = {
+  // Failures
+  videoNotDetected: 'diagnosticsReasonVideoNotDetected',
+  notVideoPage: 'diagnosticsReasonNotVideoPage',
+  noHoveredVideo: 'diagnosticsReasonNoHoveredVideo',
+  noProfile: 'diagnosticsReasonNoProfile',
+  noPlaylistPart: 'diagnosticsReasonNoPlaylistPart',
+  notEnoughMarked: 'diagnosticsReasonNotEnoughMarked',
+  promptFailed: 'diagnosticsReasonPromptFailed',
+  copyFailed: 'diagnosticsReasonCopyFailed',
+  headerTimeout: 'diagnosticsReasonHeaderTimeout',
+  backgroundStopped: 'diagnosticsReasonBackgroundStopped',
+  // Cancellations
+  replaced: 'diagnosticsReasonReplaced',
+  windowClosed: 'diagnosticsReasonWindowClosed',
+  // Warnings
+  contentScriptUnavailable: 'diagnosticsReasonContentScriptUnavailable',
+  transcriptMissing: 'diagnosticsReasonTranscriptMissing',
+  playlistNotFound: 'diagnosticsReasonPlaylistNotFound',
+  playlistVideosLeftOut: 'diagnosticsReasonPlaylistVideosLeftOut',
+  sidebarNotOpened: 'diagnosticsReasonSidebarNotOpened'
+};
+
+// Keeps writes in order, since an attempt is often updated right after it is added
+let attemptsUpdate = Promise.resolve();
+
+/**
+ * Loads the recorded attempts from local storage, newest first
+ * @returns {Promise<Array<object>>}
+ */
+function loadAttempts() {
+  return browser.storage.local.get(['summaryAttempts']).then(result => {
+    return Array.isArray(result.summaryAttempts) ? result.summaryAttempts : [];
+  });
+}
+
+/**
+ * Creates an ID for a new attempt
+ * @returns {string}
+ */
+function createAttemptId() {
+  return `attempt-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Records an attempt at the top of the list, or updates the stored copy of one with the same ID
+ * @param {object} attempt - The attempt
+ * @returns {Promise<void>}
+ */
+function saveAttempt(attempt) {
+  const update = attemptsUpdate.catch(() => {}).then(loadAttempts).then(attempts => {
+    const index = attempts.findIndex(stored => stored.id === attempt.id);
+    if (index === -1) {
+      attempts.unshift({ ...attempt });
+    } else {
+      attempts[index] = { ...attempt };
+    }
+    return browser.storage.local.set({ summaryAttempts: attempts.slice(0, MAX_SUMMARY_ATTEMPTS) });
+  });
+
+  attemptsUpdate = update;
+  return update;
+}
+
+/**
+ * Removes every recorded attempt
+ * @returns {Promise<void>}
+ */
+function clearAttempts() {
+  attemptsUpdate = attemptsUpdate.catch(() => {}).then(() => browser.storage.local.set({ summaryAttempts: [] }));
+  return attemptsUpdate;
+}
+
+/**
+ * Writes attempts as plain text for a bug report, with codes rather than translated messages
+ * @param {Array<object>} attempts - The attempts, newest first
+ * @param {{version: string, userAgent: string}} environment - The extension version and browser
+ * @returns {string}
+ */
+function formatAttemptReport(attempts, environment) {
+  const lines = [
+    `Extension version: ${environment.version}`,
+    `Browser: ${environment.userAgent}`,
+    `Report created: ${new Date().toISOString()}`
+  ];
+
+  attempts.forEach(attempt => {
+    const outcome = attempt.reason ? `${attempt.outcome} (${attempt.reason})` : attempt.outcome;
+    lines.push('', `${new Date(attempt.timestamp).toISOString()} ${attempt.trigger}: ${outcome}`);
+    if (attempt.detail) {
+      lines.push(`  Detail: ${attempt.detail}`);
+    }
+    if (attempt.videoUrl) {
+      lines.push(`  Video: ${attempt.videoUrl}`);
+    }
+    if (attempt.providerName) {
+      lines.push(`  Chat: ${attempt.providerName}${attempt.method ? ` (${attempt.method})` : ''}`);
+    }
+    if (attempt.promptName) {
+      lines.push(`  Prompt: ${attempt.promptName}`);
+    }
+    (attempt.warnings || []).forEach(warning => {
+      lines.push(`  Warning: ${warning.reason}${warning.detail ? ` (${warning.detail})` : ''}`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+window.SummaryAttempts = {
+  ATTEMPT_REASONS,
+  loadAttempts,
+  createAttemptId,
+  saveAttempt,
+  clearAttempts,
+  formatAttemptReport
+};
@@ -0,0 +1,190 @@
+// Summary history storage helpers shared by the background and history pages
+//
+// Only the background page changes the history; the history page asks it to by message.
+
+// Oldest entries are dropped once the history grows past this size
+const MAX_HISTORY_ENTRIES = 1000;
+
+// Columns written to and read from CSV exports, in order
+const HISTORY_CSV_COLUMNS = ['id', 'timestamp', 'videoId', 'videoUrl', 'title', 'channel', 'profileId', 'promptName', 'prompt'];
+
+const runHistoryWrite = window.StorageWrites.createWriteQueue();
+
+/**
+ * Loads the history entries from local storage, newest first
+ * @returns {Promise<Array<object>>}
+ */
+function loadHistory() {
+  return browser.storage.local.get(['summaryHistory']).then(result => {
+    return Array.isArray(result.summaryHistory) ? result.summaryHistory : [];
+  });
+}
+
+/**
+ * Replaces the history entries in local storage
+ * @param {Array<object>} entries - The entries, newest first
+ * @returns {Promise<void>}
+ */
+function saveHistory(entries) {
+  return browser.storage.local.set({ summaryHistory: entries.slice(0, MAX_HISTORY_ENTRIES) });
+}
+
+/**
+ * Records a summary at the top of the history
+ * @param {object} entry - The entry without id and timestamp
+ * @returns {Promise<void>}
+ */
+function addHistoryEntry(entry) {
+  return runHistoryWrite(() => loadHistory().then(entries => {
+    entries.unshift({
+      id: `history-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: Date.now(),
+      ...entry
+    });
+    return saveHistory(entries);
+  }));
+}
+
+/**
+ * Removes history entries by ID
+ * @param {string[]} entryIds - The IDs of the entries to remove
+ * @returns {Promise<void>}
+ */
+function deleteHistoryEntries(entryIds) {
+  return runHistoryWrite(() => loadHistory().then(entries => {
+    return saveHistory(entries.filter(entry => !entryIds.includes(entry.id)));
+  }));
+}
+
+/**
+ * Removes every history entry
+ * @returns {Promise<void>}
+ */
+function clearHistory() {
+  return runHistoryWrite(() => saveHistory([]));
+}
+
+/**
+ * Adds imported entries to the history, skipping entries that already exist
+ * @param {Array<object>} importedEntries - The entries to import
+ * @returns {Promise<number>} - The number of entries added
+ */
+function importHistoryEntries(importedEntries) {
+  return runHistoryWrite(() => loadHistory().then(entries => {
+    const knownIds = new Set(entries.map(entry => entry.id));
+    const newEntries = importedEntries
+      .map(normalizeHistoryEntry)
+      .filter(entry => entry && !knownIds.has(entry.id));
+
+    const merged = entries.concat(newEntries).sort((a, b) => b.timestamp - a.timestamp);
+    return saveHistory(merged).then(() => newEntries.length);
+  }));
+}
+
+/**
+ * Validates an imported entry and fills in missing fields
+ * @param {object} entry - The imported entry
+ * @returns {object|null} - The entry, or null if it has no video URL
+ */
+function normalizeHistoryEntry(entry) {
+  if (!entry || typeof entry.videoUrl !== 'string' || !entry.videoUrl) {
+    return null;
+  }
+
+  const normalized = {};
+  HISTORY_CSV_COLUMNS.forEach(column => {
+    normalized[column] = entry[column] === undefined || entry[column] === null ? '' : String(entry[column]);
+  });
+  normalized.id = normalized.id || `history-import-${Math.random().toString(36).slice(2, 10)}`;
+  normalized.timestamp = Number(entry.timestamp) || Date.parse(entry.timestamp) || Date.now();
+
+  return normalized;
+}
+
+/**
+ * Converts history entries to CSV with a header row
+ * @param {Array<object>} entries - The entries to export
+ * @returns {string}
+ */
+function historyToCsv(entries) {
+  const escapeCell = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = entries.map(entry => HISTORY_CSV_COLUMNS.map(column => {
+    return column === 'timestamp' ? new Date(entry.timestamp).toISOString() : escapeCell(entry[column]);
+  }).join(','));
+
+  return [HISTORY_CSV_COLUMNS.join(',')].concat(rows).join('\r\n');
+}
+
+/**
+ * Parses CSV produced by historyToCsv back into entries
+ * @param {string} text - The CSV text
+ * @returns {Array<object>} - The parsed entries, keyed by the header row
+ */
+function parseHistoryCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(cells => cells.some(Boolean));
+  if (!header) {
+    return [];
+  }
+
+  return records.map(cells => {
+    const entry = {};
+    header.forEach((column, index) => {
+      entry[column.trim()] = cells[index] || '';
+    });
+    return entry;
+  });
+}
+
+window.SummaryHistory = {
+  loadHistory,
+  addHistoryEntry,
+  deleteHistoryEntries,
+  importHistoryEntries,
+  clearHistory,
+  historyToCsv,
+  parseHistoryCsv
+};
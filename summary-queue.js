@@ -0,0 +1,99 @@
+// Summary queue storage helpers shared by the background and queue pages
+//
+// Only the background page changes the queue, one change at a time; the queue page sends
+// it messages instead.
+
+// Runs the queue changes in order, so concurrent adds and removals aren't lost
+const runQueueWrite = window.StorageWrites.createWriteQueue();
+
+/**
+ * Loads the queued videos from local storage
+ * @returns {Promise<Array<{id: string, videoUrl: string, title: string, channel: string, duration: string, addedAt: number}>>}
+ */
+function loadQueue() {
+  return browser.storage.local.get(['summaryQueue']).then(result => {
+    return Array.isArray(result.summaryQueue) ? result.summaryQueue : [];
+  });
+}
+
+/**
+ * Replaces the queued videos in local storage
+ * @param {Array} items - The queue items in order
+ * @returns {Promise<void>}
+ */
+function saveQueue(items) {
+  return browser.storage.local.set({ summaryQueue: items });
+}
+
+/**
+ * Adds a video to the end of the queue unless it is already queued
+ * @param {string} videoUrl - The YouTube watch URL
+ * @param {object} [metadata] - Metadata scraped by the content script
+ * @returns {Promise<{added: boolean, length: number}>}
+ */
+function addToQueue(videoUrl, metadata = {}) {
+  return runQueueWrite(() => loadQueue().then(items => {
+    const key = window.YouTubeUrl.getVideoKey(videoUrl);
+    if (items.some(item => window.YouTubeUrl.getVideoKey(item.videoUrl) === key)) {
+      return { added: false, length: items.length };
+    }
+
+    items.push({
+      id: `queue-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      videoUrl,
+      title: metadata.title || '',
+      channel: metadata.channel || '',
+      duration: metadata.duration || '',
+      addedAt: Date.now()
+    });
+
+    return saveQueue(items).then(() => ({ added: true, length: items.length }));
+  }));
+}
+
+/**
+ * Removes queue items by ID
+ * @param {string[]} itemIds - The IDs of the items to remove
+ * @returns {Promise<void>}
+ */
+function removeFromQueue(itemIds) {
+  return runQueueWrite(() => loadQueue().then(items => {
+    return saveQueue(items.filter(item => !itemIds.includes(item.id)));
+  }));
+}
+
+/**
+ * Moves a queue item up or down
+ * @param {string} itemId - The ID of the item to move
+ * @param {number} offset - -1 to move it up, 1 to move it down
+ * @returns {Promise<void>}
+ */
+function moveQueueItem(itemId, offset) {
+  return runQueueWrite(() => loadQueue().then(items => {
+    const index = items.findIndex(item => item.id === itemId);
+    const newIndex = index + offset;
+    if (index === -1 || newIndex < 0 || newIndex >= items.length) {
+      return undefined;
+    }
+
+    const [item] = items.splice(index, 1);
+    items.splice(newIndex, 0, item);
+    return saveQueue(items);
+  }));
+}
+
+/**
+ * Removes every queued video
+ * @returns {Promise<void>}
+ */
+function clearQueue() {
+  return runQueueWrite(() => saveQueue([]));
+}
+
+window.SummaryQueue = {
+  loadQueue,
+  addToQueue,
+  removeFromQueue,
+  moveQueueItem,
+  clearQueue
+};
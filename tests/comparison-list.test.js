@@ -0,0 +1,80 @@
+// Tests for comparison-list.js, run with `node --test tests/`
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIRECTORY = path.join(__dirname, '..');
+const SCRIPTS = ['youtube-url.js', 'storage-writes.js', 'comparison-list.js'];
+
+/**
+ * Loads the comparison scripts with an empty local storage that answers after a random delay,
+ * so changes started together overlap the way they can in the browser
+ * @returns {object} - The ComparisonList module
+ */
+function loadComparisonModule() {
+  const localItems = {};
+  const later = callback => new Promise(resolve => setTimeout(() => resolve(callback()), Math.random() * 5));
+  const context = {
+    console,
+    URL,
+    browser: {
+      storage: {
+        local: {
+          get: () => later(() => JSON.parse(JSON.stringify(localItems))),
+          set: items => later(() => {
+            Object.assign(localItems, JSON.parse(JSON.stringify(items)));
+          })
+        }
+      }
+    }
+  };
+  context.window = context;
+  vm.createContext(context);
+  SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT_DIRECTORY, file), 'utf8'), context, { filename: file });
+  });
+  return context.ComparisonList;
+}
+
+/**
+ * Builds a watch URL for a made-up video ID
+ * @param {number} number - Which video
+ * @returns {string}
+ */
+function getVideoUrl(number) {
+  return `https://www.youtube.com/watch?v=${String(number).padStart(11, 'a')}`;
+}
+
+test('videos marked at the same time are all kept', async () => {
+  const comparison = loadComparisonModule();
+
+  await Promise.all([1, 2, 3].map(number => comparison.markVideo(getVideoUrl(number))));
+
+  const videos = await comparison.loadMarkedVideos();
+  assert.deepStrictEqual(videos.map(video => video.videoUrl).sort(), [1, 2, 3].map(getVideoUrl));
+});
+
+test('a Shorts link to a marked video is not marked again', async () => {
+  const comparison = loadComparisonModule();
+  await comparison.markVideo('https://youtu.be/aaaaaaaaaaa');
+
+  const result = await comparison.markVideo('https://www.youtube.com/shorts/aaaaaaaaaaa');
+
+  assert.strictEqual(result.added, false);
+  assert.strictEqual(result.full, false);
+  assert.strictEqual(result.length, 1);
+});
+
+test('marking stops once the list is full', async () => {
+  const comparison = loadComparisonModule();
+  const count = comparison.MAX_MARKED_VIDEOS + 1;
+
+  const results = await Promise.all(Array.from({ length: count }, (_, index) => comparison.markVideo(getVideoUrl(index))));
+
+  assert.strictEqual(results.filter(result => result.added).length, comparison.MAX_MARKED_VIDEOS);
+  assert.strictEqual(results[count - 1].full, true);
+  assert.strictEqual((await comparison.loadMarkedVideos()).length, comparison.MAX_MARKED_VIDEOS);
+});
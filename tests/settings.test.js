@@ -0,0 +1,80 @@
+// Tests for settings.js, run with `node --test tests/`
+//
+// The shared scripts expect the browser's globals, so they are loaded into a context with
+// an in-memory sync storage in place of browser.storage.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIRECTORY = path.join(__dirname, '..');
+// The background page's scripts that settings.js depends on, in the manifest's order
+const SCRIPTS = ['i18n.js', 'constants.js', 'chat-providers.js', 'prompt-profiles.js', 'prompt-rules.js', 'settings.js', 'prompt-template.js'];
+
+/**
+ * Loads the settings scripts with an empty sync storage
+ * @returns {{Settings: object, syncItems: object}} - The Settings module and the stored items
+ */
+function loadSettingsModule() {
+  const syncItems = {};
+  const context = {
+    console,
+    TextEncoder,
+    URL,
+    browser: {
+      i18n: {
+        getMessage: () => '',
+        getUILanguage: () => 'en'
+      },
+      storage: {
+        sync: {
+          get: () => Promise.resolve(JSON.parse(JSON.stringify(syncItems))),
+          set: items => Promise.resolve(Object.assign(syncItems, JSON.parse(JSON.stringify(items)))),
+          remove: keys => Promise.resolve([].concat(keys).forEach(key => delete syncItems[key]))
+        }
+      }
+    }
+  };
+  context.window = context;
+  vm.createContext(context);
+  SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT_DIRECTORY, file), 'utf8'), context, { filename: file });
+  });
+  return { Settings: context.Settings, syncItems };
+}
+
+test('saving one setting keeps the others', async () => {
+  const { Settings } = loadSettingsModule();
+  await Settings.saveSettings({ responseLanguage: 'German', recentMinutes: 10 });
+
+  const saved = await Settings.saveSettings({ playlistMaxVideos: 5 });
+  const loaded = await Settings.loadSettings();
+
+  for (const settings of [saved, loaded]) {
+    assert.strictEqual(settings.playlistMaxVideos, 5);
+    assert.strictEqual(settings.responseLanguage, 'German');
+    assert.strictEqual(settings.recentMinutes, 10);
+  }
+});
+
+test('saving only the profiles keeps the other settings', async () => {
+  const { Settings } = loadSettingsModule();
+  await Settings.saveSettings({ responseLanguage: 'Spanish' });
+
+  const profiles = [{ id: 'notes', name: 'Notes', template: 'Take notes on {videoUrl}' }];
+  const saved = await Settings.saveSettings({ promptProfiles: profiles });
+
+  assert.strictEqual(saved.responseLanguage, 'Spanish');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(saved.promptProfiles)), profiles);
+});
+
+test('an invalid value saves nothing', async () => {
+  const { Settings, syncItems } = loadSettingsModule();
+  await Settings.saveSettings({ recentMinutes: 10 });
+  const before = JSON.stringify(syncItems);
+
+  await assert.rejects(Settings.saveSettings({ responseLanguage: 'French', recentMinutes: -1 }));
+  assert.strictEqual(JSON.stringify(syncItems), before);
+});
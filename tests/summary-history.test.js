@@ -0,0 +1,65 @@
+// Tests for summary-history.js, run with `node --test tests/`
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIRECTORY = path.join(__dirname, '..');
+const SCRIPTS = ['storage-writes.js', 'summary-history.js'];
+
+/**
+ * Loads the history scripts with an empty local storage that answers after a random delay,
+ * so changes started together overlap the way they can in the browser
+ * @returns {object} - The SummaryHistory module
+ */
+function loadHistoryModule() {
+  const localItems = {};
+  const later = callback => new Promise(resolve => setTimeout(() => resolve(callback()), Math.random() * 5));
+  const context = {
+    console,
+    browser: {
+      storage: {
+        local: {
+          get: () => later(() => JSON.parse(JSON.stringify(localItems))),
+          set: items => later(() => {
+            Object.assign(localItems, JSON.parse(JSON.stringify(items)));
+          })
+        }
+      }
+    }
+  };
+  context.window = context;
+  vm.createContext(context);
+  SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT_DIRECTORY, file), 'utf8'), context, { filename: file });
+  });
+  return context.SummaryHistory;
+}
+
+test('summaries that finish at the same time are all recorded', async () => {
+  const history = loadHistoryModule();
+  const titles = ['First', 'Second', 'Third', 'Fourth'];
+
+  await Promise.all(titles.map(title => history.addHistoryEntry({ title, videoUrl: 'https://www.youtube.com/watch?v=aaaaaaaaaaa' })));
+
+  const entries = await history.loadHistory();
+  assert.deepStrictEqual(entries.map(entry => entry.title).sort(), [...titles].sort());
+});
+
+test('deleting and importing while a summary is recorded keeps every change', async () => {
+  const history = loadHistoryModule();
+  await history.addHistoryEntry({ title: 'Old', videoUrl: 'https://www.youtube.com/watch?v=aaaaaaaaaaa' });
+  const [oldEntry] = await history.loadHistory();
+
+  const [, addedCount] = await Promise.all([
+    history.deleteHistoryEntries([oldEntry.id]),
+    history.importHistoryEntries([{ id: 'imported', timestamp: 1, title: 'Imported', videoUrl: 'https://www.youtube.com/watch?v=bbbbbbbbbbb' }]),
+    history.addHistoryEntry({ title: 'New', videoUrl: 'https://www.youtube.com/watch?v=ccccccccccc' })
+  ]);
+
+  const entries = await history.loadHistory();
+  assert.strictEqual(addedCount, 1);
+  assert.deepStrictEqual(entries.map(entry => entry.title), ['New', 'Imported']);
+});
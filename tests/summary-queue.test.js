@@ -0,0 +1,78 @@
+// Tests for summary-queue.js, run with `node --test tests/`
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIRECTORY = path.join(__dirname, '..');
+const SCRIPTS = ['youtube-url.js', 'storage-writes.js', 'summary-queue.js'];
+
+/**
+ * Loads the queue scripts with an empty local storage that answers after a random delay,
+ * so changes started together overlap the way they can in the browser
+ * @returns {object} - The SummaryQueue module
+ */
+function loadQueueModule() {
+  const localItems = {};
+  const later = callback => new Promise(resolve => setTimeout(() => resolve(callback()), Math.random() * 5));
+  const context = {
+    console,
+    URL,
+    browser: {
+      storage: {
+        local: {
+          get: () => later(() => JSON.parse(JSON.stringify(localItems))),
+          set: items => later(() => {
+            Object.assign(localItems, JSON.parse(JSON.stringify(items)));
+          })
+        }
+      }
+    }
+  };
+  context.window = context;
+  vm.createContext(context);
+  SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT_DIRECTORY, file), 'utf8'), context, { filename: file });
+  });
+  return context.SummaryQueue;
+}
+
+test('videos added at the same time are all queued', async () => {
+  const queue = loadQueueModule();
+  const videoIds = ['aaaaaaaaaaa', 'bbbbbbbbbbb', 'ccccccccccc', 'ddddddddddd'];
+
+  await Promise.all(videoIds.map(videoId => queue.addToQueue(`https://www.youtube.com/watch?v=${videoId}`)));
+
+  const items = await queue.loadQueue();
+  assert.deepStrictEqual(items.map(item => item.videoUrl.slice(-11)), videoIds);
+});
+
+test('moving, removing and adding at the same time keeps every change', async () => {
+  const queue = loadQueueModule();
+  for (const videoId of ['aaaaaaaaaaa', 'bbbbbbbbbbb', 'ccccccccccc']) {
+    await queue.addToQueue(`https://www.youtube.com/watch?v=${videoId}`);
+  }
+  const items = await queue.loadQueue();
+
+  await Promise.all([
+    queue.moveQueueItem(items[2].id, -1),
+    queue.removeFromQueue([items[0].id]),
+    queue.addToQueue('https://www.youtube.com/watch?v=eeeeeeeeeee')
+  ]);
+
+  const updated = await queue.loadQueue();
+  assert.deepStrictEqual(updated.map(item => item.videoUrl.slice(-11)), ['ccccccccccc', 'bbbbbbbbbbb', 'eeeeeeeeeee']);
+});
+
+test('Shorts, live and youtu.be links to a queued video are not queued again', async () => {
+  const queue = loadQueueModule();
+  await queue.addToQueue('https://www.youtube.com/watch?v=aaaaaaaaaaa');
+
+  for (const videoUrl of ['https://www.youtube.com/shorts/aaaaaaaaaaa', 'https://www.youtube.com/live/aaaaaaaaaaa', 'https://youtu.be/aaaaaaaaaaa?t=30']) {
+    const result = await queue.addToQueue(videoUrl);
+    assert.strictEqual(result.added, false, videoUrl);
+  }
+  assert.strictEqual((await queue.loadQueue()).length, 1);
+});
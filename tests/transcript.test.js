@@ -0,0 +1,85 @@
+// Tests for content-scripts/transcript.js, run with `node --test tests/`
+//
+// Firefox reads the caption tracks of the video being watched from the page's player, which
+// content scripts reach through wrappedJSObject. Chromium has no wrappedJSObject, so it
+// downloads the watch page instead; both paths are checked here.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIRECTORY = path.join(__dirname, '..');
+// The content scripts transcript.js depends on, in the manifest's order
+const SCRIPTS = ['i18n.js', 'prompt-template.js', 'youtube-url.js', 'content-scripts/url-utils.js', 'content-scripts/caption-parser.js', 'content-scripts/transcript.js'];
+
+const VIDEO_ID = 'aaaaaaaaaaa';
+const PLAYER_TRACK = { baseUrl: 'https://www.youtube.com/api/timedtext?v=aaaaaaaaaaa&lang=en', languageCode: 'en', kind: '' };
+const WATCH_PAGE_TRACK = { baseUrl: 'https://www.youtube.com/api/timedtext?v=aaaaaaaaaaa&lang=de', languageCode: 'de', kind: 'asr' };
+
+/**
+ * Loads the transcript scripts into a page watching VIDEO_ID
+ * @param {{firefox: boolean}} options - Whether to give the document and player wrappedJSObject
+ *   as Firefox does
+ * @returns {{TranscriptUtils: object, fetchedUrls: string[]}} - The TranscriptUtils module and
+ *   the URLs it downloaded
+ */
+function loadTranscriptModule({ firefox }) {
+  const fetchedUrls = [];
+  const player = {};
+  const document = {
+    getElementById: id => (id === 'movie_player' ? player : null)
+  };
+  if (firefox) {
+    document.wrappedJSObject = {};
+    player.wrappedJSObject = {
+      getPlayerResponse: () => ({ captions: { playerCaptionsTracklistRenderer: { captionTracks: [PLAYER_TRACK] } } })
+    };
+  }
+
+  const watchPage = `<script>var ytInitialPlayerResponse = {"captions":{"playerCaptionsTracklistRenderer":{"captionTracks":${JSON.stringify([WATCH_PAGE_TRACK])}}}};</script>`;
+  const context = {
+    console,
+    URL,
+    document,
+    location: { href: `https://www.youtube.com/watch?v=${VIDEO_ID}` },
+    fetch: url => {
+      fetchedUrls.push(url);
+      return Promise.resolve({ text: () => Promise.resolve(watchPage) });
+    }
+  };
+  context.window = context;
+  vm.createContext(context);
+  SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT_DIRECTORY, file), 'utf8'), context, { filename: file });
+  });
+  return { TranscriptUtils: context.TranscriptUtils, fetchedUrls };
+}
+
+test('Firefox reads the tracks of the video being watched from the player', async () => {
+  const { TranscriptUtils, fetchedUrls } = loadTranscriptModule({ firefox: true });
+
+  const tracks = await TranscriptUtils.getCaptionTracks(VIDEO_ID);
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(tracks)), [PLAYER_TRACK]);
+  assert.deepStrictEqual(fetchedUrls, []);
+});
+
+test('Chromium downloads the watch page of the video being watched', async () => {
+  const { TranscriptUtils, fetchedUrls } = loadTranscriptModule({ firefox: false });
+
+  const tracks = await TranscriptUtils.getCaptionTracks(VIDEO_ID);
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(tracks)), [WATCH_PAGE_TRACK]);
+  assert.deepStrictEqual(fetchedUrls, [`https://www.youtube.com/watch?v=${VIDEO_ID}`]);
+});
+
+test('Firefox downloads the watch page of a video not being watched', async () => {
+  const { TranscriptUtils, fetchedUrls } = loadTranscriptModule({ firefox: true });
+
+  const tracks = await TranscriptUtils.getCaptionTracks('bbbbbbbbbbb');
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(tracks)), [WATCH_PAGE_TRACK]);
+  assert.deepStrictEqual(fetchedUrls, ['https://www.youtube.com/watch?v=bbbbbbbbbbb']);
+});
@@ -0,0 +1,246 @@
+// YouTube URL parsing shared by the background page and content scripts
+//
+// Recognizes watch, Shorts, live, embed (including youtube-nocookie.com), /v/,
+// youtu.be and thumbnail image URLs on www, m and music.youtube.com, and
+// normalizes them to a canonical watch URL that keeps the start time and playlist.
+
+const YOUTUBE_PAGE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com'];
+const YOUTUBE_EMBED_HOSTS = ['youtube-nocookie.com', 'www.youtube-nocookie.com'];
+const YOUTUBE_THUMBNAIL_HOSTS = ['i.ytimg.com', 'img.youtube.com'];
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+// Match patterns for YouTube pages, including m. and music.
+const YOUTUBE_PAGE_URL_PATTERNS = ['*://*.youtube.com/*'];
+// Match patterns for YouTube pages that play a single video
+const YOUTUBE_VIDEO_PAGE_URL_PATTERNS = [
+  '*://*.youtube.com/watch*',
+  '*://*.youtube.com/shorts/*',
+  '*://*.youtube.com/live/*'
+];
+// Match patterns for embedded YouTube players
+const YOUTUBE_EMBED_URL_PATTERNS = ['*://*.youtube.com/embed/*', '*://*.youtube-nocookie.com/embed/*'];
+// Match patterns for links and images that point to a video from any site
+const YOUTUBE_VIDEO_LINK_URL_PATTERNS = [
+  ...YOUTUBE_VIDEO_PAGE_URL_PATTERNS,
+  ...YOUTUBE_EMBED_URL_PATTERNS,
+  '*://*.youtube.com/v/*',
+  '*://youtu.be/*',
+  '*://i.ytimg.com/vi/*',
+  '*://i.ytimg.com/vi_webp/*',
+  '*://img.youtube.com/vi/*'
+];
+
+/**
+ * Parses a t= or start= value such as 90, 90s, 1m30s or 1h2m3s into seconds
+ * @param {string|null} value - The time parameter
+ * @returns {number|null} - The number of seconds, or null if the value is not a time
+ */
+function parseStartTime(value) {
+  if (!value) return null;
+
+  if (/^\d+s?$/.test(value)) {
+    return parseInt(value, 10);
+  }
+
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || !(match[1] || match[2] || match[3])) {
+    return null;
+  }
+
+  return Number(match[1] || 0) * 3600 + Number(match[2] || 0) * 60 + Number(match[3] || 0);
+}
+
+/**
+ * Returns the path segment after a prefix like /shorts/ when it is a video ID
+ * @param {string} pathname - The URL path
+ * @param {string[]} prefixes - Path prefixes followed by a video ID
+ * @returns {string|null}
+ */
+function getVideoIdFromPath(pathname, prefixes) {
+  for (const prefix of prefixes) {
+    if (pathname.startsWith(prefix)) {
+      const videoId = pathname.slice(prefix.length).split('/')[0];
+      if (VIDEO_ID_PATTERN.test(videoId)) {
+        return videoId;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses any supported YouTube video URL
+ * @param {string} url - The URL, which may be relative to youtube.com
+ * @returns {{videoId: string|null, playlistId: string|null, index: string|null, startSeconds: number|null, kind: string}|null}
+ *   - The parsed URL, or null if it is not a YouTube video or playlist URL
+ */
+function parseYouTubeUrl(url) {
+  if (!url) return null;
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url, 'https://www.youtube.com');
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsedUrl.hostname.toLowerCase();
+  const params = parsedUrl.searchParams;
+  const path = parsedUrl.pathname;
+  let videoId = null;
+  let kind = null;
+
+  if (YOUTUBE_PAGE_HOSTS.includes(host)) {
+    if (path === '/watch' || path === '/watch/') {
+      videoId = params.get('v');
+      kind = 'watch';
+    } else if ((videoId = getVideoIdFromPath(path, ['/shorts/']))) {
+      kind = 'shorts';
+    } else if ((videoId = getVideoIdFromPath(path, ['/live/']))) {
+      kind = 'live';
+    } else if ((videoId = getVideoIdFromPath(path, ['/embed/', '/v/', '/e/']))) {
+      kind = 'embed';
+    } else if (path === '/playlist') {
+      kind = 'playlist';
+    }
+  } else if (YOUTUBE_EMBED_HOSTS.includes(host)) {
+    videoId = getVideoIdFromPath(path, ['/embed/', '/v/']);
+    kind = 'embed';
+  } else if (host === 'youtu.be') {
+    videoId = getVideoIdFromPath(path, ['/']);
+    kind = 'short-link';
+  } else if (YOUTUBE_THUMBNAIL_HOSTS.includes(host)) {
+    videoId = getVideoIdFromPath(path, ['/vi/', '/vi_webp/']);
+    kind = 'thumbnail';
+  }
+
+  if (videoId && !VIDEO_ID_PATTERN.test(videoId)) {
+    videoId = null;
+  }
+
+  const playlistId = params.get('list');
+  if (!videoId && !(kind === 'playlist' && playlistId)) {
+    return null;
+  }
+
+  return {
+    videoId,
+    playlistId: playlistId || null,
+    index: params.get('index'),
+    startSeconds: parseStartTime(params.get('t') || params.get('start')),
+    kind
+  };
+}
+
+/**
+ * Builds a canonical watch URL
+ * @param {{videoId: string, playlistId?: string|null, index?: string|null, startSeconds?: number|null}} parts
+ * @returns {string}
+ */
+function buildWatchUrl(parts) {
+  const url = new URL('https://www.youtube.com/watch');
+  url.searchParams.set('v', parts.videoId);
+  if (parts.playlistId) {
+    url.searchParams.set('list', parts.playlistId);
+    if (parts.index) {
+      url.searchParams.set('index', parts.index);
+    }
+  }
+  if (parts.startSeconds) {
+    url.searchParams.set('t', `${parts.startSeconds}s`);
+  }
+  return url.toString();
+}
+
+/**
+ * Normalizes any supported YouTube video URL to a canonical watch URL
+ * @param {string} url - The URL to normalize
+ * @param {{startSeconds?: number}} [overrides] - Parts to replace, such as a new start time
+ * @returns {string|null} - The watch URL, or null if the URL does not point to a video
+ */
+function normalizeYouTubeUrl(url, overrides = {}) {
+  const parsed = parseYouTubeUrl(url);
+  if (!parsed || !parsed.videoId) {
+    return null;
+  }
+
+  return buildWatchUrl({ ...parsed, ...overrides });
+}
+
+/**
+ * Returns a key identifying the video behind a URL, so watch, Shorts, live and youtu.be
+ * links to the same video match
+ * @param {string} url - The video URL
+ * @returns {string} - The video ID, or the URL itself if it does not point to a video
+ */
+function getVideoKey(url) {
+  const parsed = parseYouTubeUrl(url);
+  return (parsed && parsed.videoId) || url;
+}
+
+/**
+ * Checks whether a URL is a YouTube page (not an embed or short link)
+ * @param {string} url - The URL to check
+ * @returns {boolean}
+ */
+function isYouTubePage(url) {
+  try {
+    return YOUTUBE_PAGE_HOSTS.includes(new URL(url).hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a URL is a YouTube page playing a single video (watch, Shorts or live)
+ * @param {string} url - The URL to check
+ * @returns {boolean}
+ */
+function isYouTubeVideoPage(url) {
+  const parsed = isYouTubePage(url) && parseYouTubeUrl(url);
+  return Boolean(parsed && parsed.videoId && ['watch', 'shorts', 'live'].includes(parsed.kind));
+}
+
+/**
+ * Builds the URL of a video's medium-size thumbnail image
+ * @param {string} videoId - The YouTube video ID
+ * @returns {string}
+ */
+function buildThumbnailUrl(videoId) {
+  return `https://i.ytimg.com/vi/${encodeURIComponent(videoId)}/mqdefault.jpg`;
+}
+
+// Make the parser available to other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    YOUTUBE_PAGE_URL_PATTERNS,
+    YOUTUBE_VIDEO_PAGE_URL_PATTERNS,
+    YOUTUBE_EMBED_URL_PATTERNS,
+    YOUTUBE_VIDEO_LINK_URL_PATTERNS,
+    parseStartTime,
+    parseYouTubeUrl,
+    buildWatchUrl,
+    normalizeYouTubeUrl,
+    getVideoKey,
+    isYouTubePage,
+    isYouTubeVideoPage,
+    buildThumbnailUrl
+  };
+} else {
+  // Browser environment - make it globally available
+  window.YouTubeUrl = {
+    YOUTUBE_PAGE_URL_PATTERNS,
+    YOUTUBE_VIDEO_PAGE_URL_PATTERNS,
+    YOUTUBE_EMBED_URL_PATTERNS,
+    YOUTUBE_VIDEO_LINK_URL_PATTERNS,
+    parseStartTime,
+    parseYouTubeUrl,
+    buildWatchUrl,
+    normalizeYouTubeUrl,
+    getVideoKey,
+    isYouTubePage,
+    isYouTubeVideoPage,
+    buildThumbnailUrl
+  };
+}